@@ -1,123 +1,308 @@
 // Simple Betting Exchange Simulator (client-side only)
-// Match: Arsenal vs Liverpool
+// Match: driven by a fixture definition (default: Arsenal vs Liverpool)
 // Notes:
-// - All pool inputs are GLOBAL totals (not per user)
-// - Post-match payout can be "withdrawn" to watch pools reduce
+// - This file is the page only: it renders a match and turns clicks into calls on match-engine.js,
+//   which holds all the money logic and also runs headless from Node
+// - The fixture comes from ?fixture=<url.json>, ?home=…&away=… query params, or a JSON file picked before kick-off
+// - Several parimutuel markets run off the same match (first scorer, 1X2, goals, BTTS, correct score)
+// - Each market's outcome pools are derived from a ledger of named bet slips
+// - At full time every slip is settled individually (payout, fee, refund when the market is void)
+// - A match can also be abandoned (settled or voided per the abandonment rule) or postponed (all void)
+// - While the match is live a slip can be cashed out at a price from the live pools (minus the fee)
+// - Fees follow a selectable fee model with per-market overrides; fees actually collected go to a house ledger
+// - Every state-changing action is appended to an audit journal that can be exported and replayed
+// - Settled slips can be "withdrawn" to watch pools reduce
+// - An optional simulated crowd (crowd.js) places slips every minute the clock runs, so the pools move on their own
+// - "Back/lay exchange" mode trades the same markets through an order book (orderbook.js) instead of pools
+// - Odds and pool sizes are sampled every minute and on every edit, and charted up to the settlement point
+// - A Monte Carlo panel plays thousands of matches without the clock (montecarlo.js) to check a market design
+// - Goals come from a seeded PRNG (rng.js): the same seed + ledger replays to the same settlement
+// - Several matches run side by side on a dashboard, driven by one page clock (1×, 5× or instant); the panels show the open one
+// - Each half gets added time drawn from the seed; at half-time the markets are suspended for a short break
+// - The whole page state is saved in localStorage (storage.js) and resumed after a reload
+// - Amounts are whole minor units (money.js); stake boxes take major units and go through toMinor()
 
 // -----------------------------
 // Utilities
 // -----------------------------
 
-// Currency formatter for Nigerian Naira (₦)
-const ngn = new Intl.NumberFormat("en-NG", {
-  style: "currency",
-  currency: "NGN",
-  maximumFractionDigits: 0
-});
-
 function clampNumber(value, min, max) {
   return Math.min(Math.max(value, min), max);
 }
 
-function safeNumber(inputValue) {
-  // Convert input string to a finite number >= 0.
-  const n = Number(inputValue);
-  if (!Number.isFinite(n)) return 0;
-  return Math.max(0, n);
-}
-
-function safeDivide(numerator, denominator) {
-  // Prevent division by zero and negative/invalid denominators.
-  if (!Number.isFinite(numerator) || !Number.isFinite(denominator) || denominator <= 0) return 0;
-  return numerator / denominator;
-}
-
 function fmtOdds(x) {
   // For display only; odds derived from pools.
   if (!Number.isFinite(x) || x <= 0) return "—";
   return x.toFixed(4);
 }
 
-function fmtMoney(x) {
-  if (!Number.isFinite(x)) return "—";
-  return ngn.format(Math.round(x));
+// -----------------------------
+// Fixture
+// -----------------------------
+
+async function loadFixtureFromUrl(search) {
+  // ?fixture=fixtures/el-clasico.json loads a whole definition;
+  // ?home=…&away=…&duration=…&homeRate=…&awayRate=…&maxGoals=… override single fields.
+  const params = new URLSearchParams(search);
+  let raw = {};
+
+  const url = params.get("fixture");
+  if (url) {
+    const res = await fetch(url);
+    if (!res.ok) throw new Error(`Could not load fixture from ${url} (HTTP ${res.status}).`);
+    raw = await res.json();
+  }
+
+  raw = { ...raw, scoring: { ...(raw.scoring || {}) } };
+  if (params.has("home")) raw.home = params.get("home");
+  if (params.has("away")) raw.away = params.get("away");
+  if (params.has("competition")) raw.competition = params.get("competition");
+  if (params.has("duration")) raw.durationMinutes = Number(params.get("duration"));
+  if (params.has("homeRate")) raw.scoring.homeRate = Number(params.get("homeRate"));
+  if (params.has("awayRate")) raw.scoring.awayRate = Number(params.get("awayRate"));
+  if (params.has("maxGoals")) raw.scoring.maxGoals = Number(params.get("maxGoals"));
+
+  const res = normalizeFixture(raw);
+  if (!res.ok) throw new Error(res.reason);
+  return res.fixture;
+}
+
+// -----------------------------
+// Fee models
+// -----------------------------
+
+// The fee models offered in the selects; an imported settlement may carry any other valid one ("custom").
+const FEE_PRESETS = {
+  flat: { type: "flat", rate: EXIT_FEE },
+  net: { type: "net", rate: 0.05 },
+  tiered: { type: "tiered", basis: "gross", tiers: [{ upTo: 1000000, rate: 0.03 }, { upTo: 10000000, rate: 0.02 }, { upTo: null, rate: 0.01 }] }
+};
+
+function feePresetKey(model) {
+  const key = Object.keys(FEE_PRESETS).find(k => JSON.stringify(FEE_PRESETS[k]) === JSON.stringify(model));
+  return key || "custom";
 }
 
 // -----------------------------
 // State
 // -----------------------------
 
-const EXIT_FEE = 0.03;
+// The match open in the detail panels (see createMatch in match-engine.js); set by init() once the fixture
+// is loaded. Reset, replay and import swap a new one into its dashboard slot through showMatch().
+let match = null;
 
-const state = {
-  minute: 1,
-  running: false,
-  ended: false,
-  timerId: null,
-  // Settlement snapshot
-  settlement: null,
-  // Stores the last computed final payout so we can execute a withdraw step.
-  lastFinalCalc: null
-};
+/**
+ * One match on the dashboard, with the page clock driving its tickMatch(); the clock is not part of the match itself.
+ * @typedef {Object} BoardEntry
+ * @property {number} id Dashboard number, shown in the list.
+ * @property {Object} match
+ * @property {number} elapsedMs Clock time run towards the match's next minute (see Match clock).
+ * @property {number} breakLeft Minutes of the half-time break still to run.
+ * @property {Object} crowd Simulated bettors for this match (see crowd.js); page state like the clock.
+ */
+
+/** @type {BoardEntry[]} */
+const board = [];
+let nextBoardId = 1;
 
 // -----------------------------
 // DOM
 // -----------------------------
 
+const pageTitleEl = document.getElementById("pageTitle");
+const matchCountEl = document.getElementById("matchCount");
+const newMatchFixtureInput = document.getElementById("newMatchFixture");
+const addMatchBtn = document.getElementById("addMatchBtn");
+const dashboardMsgEl = document.getElementById("dashboardMsg");
+const dashboardTableEl = document.getElementById("dashboardTable");
+const matchNameEl = document.getElementById("matchName");
+const competitionEl = document.getElementById("competition");
+const durationEl = document.getElementById("duration");
+const fixtureFileInput = document.getElementById("fixtureFile");
+const fixtureMsgEl = document.getElementById("fixtureMsg");
+const endHintEl = document.getElementById("endHint");
+const modeSelect = document.getElementById("modeSelect");
+const currencySelect = document.getElementById("currencySelect");
+const feeModelSelect = document.getElementById("feeModelSelect");
+const feeOverrideMarketInput = document.getElementById("feeOverrideMarket");
+const feeOverrideModelSelect = document.getElementById("feeOverrideModel");
+const feeMsgEl = document.getElementById("feeMsg");
+const abandonRuleSelect = document.getElementById("abandonRule");
+const abandonRuleHintEl = document.getElementById("abandonRuleHint");
+const seedInput = document.getElementById("seedInput");
+const replayBtn = document.getElementById("replayBtn");
+const seedMsgEl = document.getElementById("seedMsg");
+
 const minuteEl = document.getElementById("minute");
+const liveScoreEl = document.getElementById("liveScore");
+const timelineEl = document.getElementById("timeline");
 const matchStateEl = document.getElementById("matchState");
 
+const matchPeriodEl = document.getElementById("matchPeriod");
+const clockSpeedSelect = document.getElementById("clockSpeed");
 const startBtn = document.getElementById("startBtn");
 const pauseBtn = document.getElementById("pauseBtn");
 const finishBtn = document.getElementById("finishBtn");
-
-const arsenalPoolInput = document.getElementById("arsenalPool");
-const liverpoolPoolInput = document.getElementById("liverpoolPool");
+const abandonBtn = document.getElementById("abandonBtn");
+const postponeBtn = document.getElementById("postponeBtn");
+const endMsgEl = document.getElementById("endMsg");
+
+const bettorNameInput = document.getElementById("bettorName");
+const betMarketInput = document.getElementById("betMarket");
+const betOutcomeInput = document.getElementById("betOutcome");
+const betStakeInput = document.getElementById("betStake");
+const placeBetBtn = document.getElementById("placeBetBtn");
+const betMsgEl = document.getElementById("betMsg");
+
+const crowdEnabledSelect = document.getElementById("crowdEnabled");
+const crowdRateInput = document.getElementById("crowdRate");
+const crowdStakeInput = document.getElementById("crowdStake");
+const crowdBiasInput = document.getElementById("crowdBias");
+const crowdGoalReactionInput = document.getElementById("crowdGoalReaction");
+const crowdLateSurgeInput = document.getElementById("crowdLateSurge");
+const crowdLateFromInput = document.getElementById("crowdLateFrom");
+const crowdMsgEl = document.getElementById("crowdMsg");
 
 const totalPoolEl = document.getElementById("totalPool");
-const arsenalOddsEl = document.getElementById("arsenalOdds");
-const liverpoolOddsEl = document.getElementById("liverpoolOdds");
+const houseRevenueLiveEl = document.getElementById("houseRevenueLive");
+const marketBoardEl = document.getElementById("marketBoard");
+const historyMarketInput = document.getElementById("historyMarket");
+const oddsChartEl = document.getElementById("oddsChart");
+const oddsLegendEl = document.getElementById("oddsLegend");
 
 const finalScoreEl = document.getElementById("finalScore");
 const winningSideEl = document.getElementById("winningSide");
+const endReasonEl = document.getElementById("endReason");
 const settlementJsonEl = document.getElementById("settlementJson");
 
+const slipTableEl = document.getElementById("slipTable");
+const slipCountEl = document.getElementById("slipCount");
+
+const poolSections = ["poolBetCard", "crowdCard", "marketBoardCard", "ledgerCard"].map(id => document.getElementById(id));
+const exchangeSections = ["orderCard", "ladderCard", "ordersCard"].map(id => document.getElementById(id));
+
+const orderBettorInput = document.getElementById("orderBettor");
+const orderSideInput = document.getElementById("orderSide");
+const orderMarketInput = document.getElementById("orderMarket");
+const orderOutcomeInput = document.getElementById("orderOutcome");
+const orderOddsInput = document.getElementById("orderOdds");
+const orderStakeInput = document.getElementById("orderStake");
+const submitOrderBtn = document.getElementById("submitOrderBtn");
+const orderMsgEl = document.getElementById("orderMsg");
+const ladderMarketEl = document.getElementById("ladderMarket");
+const ladderTableEl = document.getElementById("ladderTable");
+const orderTableEl = document.getElementById("orderTable");
+const matchedTableEl = document.getElementById("matchedTable");
+
 const postMatchWrap = document.getElementById("postMatch");
-const finalStakeInput = document.getElementById("finalStake");
-const calcFinalBtn = document.getElementById("calcFinalBtn");
-const withdrawFinalBtn = document.getElementById("withdrawFinalBtn");
+const postMatchTitleEl = document.getElementById("postMatchTitle");
+const poolSettleHintEl = document.getElementById("poolSettleHint");
+const exchangeSettleHintEl = document.getElementById("exchangeSettleHint");
+const finalPayoutLabelEl = document.getElementById("finalPayoutLabel");
+const finalFeesLabelEl = document.getElementById("finalFeesLabel");
 const finalPayoutEl = document.getElementById("finalPayout");
-const finalProfitEl = document.getElementById("finalProfit");
+const finalFeesEl = document.getElementById("finalFees");
+const finalRefundsLabelEl = document.getElementById("finalRefundsLabel");
+const finalRefundsEl = document.getElementById("finalRefunds");
 const finalWinningSideEl = document.getElementById("finalWinningSide");
 const finalMsgEl = document.getElementById("finalMsg");
+const houseRevenueEl = document.getElementById("houseRevenue");
+const settleAllWrap = document.getElementById("settleAllWrap");
+const settleAllBtn = document.getElementById("settleAllBtn");
+const reportCsvBtn = document.getElementById("reportCsvBtn");
+const reportJsonBtn = document.getElementById("reportJsonBtn");
+const settleAllMsgEl = document.getElementById("settleAllMsg");
+const reportTableEl = document.getElementById("reportTable");
+
+const importJsonInput = document.getElementById("importJson");
+const importFileInput = document.getElementById("importFile");
+const importBtn = document.getElementById("importBtn");
+const verifyBtn = document.getElementById("verifyBtn");
+const importMsgEl = document.getElementById("importMsg");
+const verifyListEl = document.getElementById("verifyList");
+
+const mcRunsInput = document.getElementById("mcRuns");
+const mcSeedInput = document.getElementById("mcSeed");
+const mcPoolSourceInput = document.getElementById("mcPoolSource");
+const mcEvenPoolInput = document.getElementById("mcEvenPool");
+const mcSpreadInput = document.getElementById("mcSpread");
+const mcStakeInput = document.getElementById("mcStake");
+const mcRunBtn = document.getElementById("mcRunBtn");
+const mcCsvBtn = document.getElementById("mcCsvBtn");
+const mcJsonBtn = document.getElementById("mcJsonBtn");
+const mcMsgEl = document.getElementById("mcMsg");
+const mcDoneEl = document.getElementById("mcDone");
+const mcVoidRateEl = document.getElementById("mcVoidRate");
+const mcReturnRateEl = document.getElementById("mcReturnRate");
+const mcAvgFeesEl = document.getElementById("mcAvgFees");
+const mcSummaryTableEl = document.getElementById("mcSummaryTable");
+const mcMarketInput = document.getElementById("mcMarket");
+const mcOutcomeTableEl = document.getElementById("mcOutcomeTable");
+const mcChartEl = document.getElementById("mcChart");
+
+const journalCountEl = document.getElementById("journalCount");
+const journalReplayBtn = document.getElementById("journalReplayBtn");
+const journalCsvBtn = document.getElementById("journalCsvBtn");
+const journalJsonBtn = document.getElementById("journalJsonBtn");
+const journalMsgEl = document.getElementById("journalMsg");
+const journalTableEl = document.getElementById("journalTable");
+
+const clearSessionBtn = document.getElementById("clearSessionBtn");
+const sessionMsgEl = document.getElementById("sessionMsg");
 
 // -----------------------------
-// Core calculations
+// Render
 // -----------------------------
 
-function getPools() {
-  const arsenalPool = safeNumber(arsenalPoolInput.value);
-  const liverpoolPool = safeNumber(liverpoolPoolInput.value);
-  const totalPool = arsenalPool + liverpoolPool;
-  return { arsenalPool, liverpoolPool, totalPool };
-}
-
 function renderPoolsAndOdds() {
   // Always show current pool totals (so withdrawals visibly reduce liquidity)
-  const { arsenalPool, liverpoolPool, totalPool } = getPools();
-  totalPoolEl.textContent = fmtMoney(totalPool);
-
-  // After match ends, odds should be fixed (locked to settlement snapshot),
-  // even if pools are being reduced by withdrawals.
-  const oddsSource = (state.ended && state.settlement)
-    ? state.settlement.pools
-    : { arsenalPool, liverpoolPool, totalPool };
-
-  const arsenalOdds = safeDivide(oddsSource.totalPool, oddsSource.arsenalPool);
-  const liverpoolOdds = safeDivide(oddsSource.totalPool, oddsSource.liverpoolPool);
+  totalPoolEl.textContent = fmtMoney(allPoolsTotal(match));
+  houseRevenueLiveEl.textContent = fmtMoney(match.house.collected);
+  houseRevenueEl.textContent = fmtMoney(match.house.collected);
+  marketBoardEl.innerHTML = "";
+
+  for (const market of match.markets) {
+    const { pools, totalPool } = getPools(match, market.id);
+
+    // After match ends, odds should be fixed (locked to settlement snapshot),
+    // even if pools are being reduced by withdrawals.
+    const oddsSource = (match.ended && match.settlement)
+      ? match.settlement.markets[market.id].pools
+      : pools;
+    const odds = impliedOdds(oddsSource);
+    const settled = match.settlement ? match.settlement.markets[market.id] : null;
+
+    const suspended = !match.ended && !isMarketOpen(match, market);
+
+    const wrap = document.createElement("div");
+    wrap.className = "market";
+    wrap.innerHTML = `
+      <div class="market-head">
+        <strong>${escapeHtml(market.name)}</strong>
+        <span>${suspended ? "Suspended · " : ""}Pool ${fmtMoney(totalPool)}</span>
+      </div>
+      <table>
+        <thead>
+          <tr><th>Outcome</th><th>Pool</th><th>Odds (Total / Outcome)</th></tr>
+        </thead>
+        <tbody></tbody>
+      </table>
+    `;
+
+    const tbody = wrap.querySelector("tbody");
+    for (const outcome of market.outcomes) {
+      const tr = document.createElement("tr");
+      if (settled && settled.winningOutcome === outcome.id) tr.className = "winner";
+      tr.innerHTML = `
+        <td>${escapeHtml(outcome.label)}</td>
+        <td>${fmtMoney(pools[outcome.id])}</td>
+        <td>${fmtOdds(odds[outcome.id])}</td>
+      `;
+      tbody.appendChild(tr);
+    }
 
-  arsenalOddsEl.textContent = fmtOdds(arsenalOdds);
-  liverpoolOddsEl.textContent = fmtOdds(liverpoolOdds);
+    marketBoardEl.appendChild(wrap);
+  }
 }
 
 function setMessage(el, text, kind) {
@@ -127,15 +312,32 @@ function setMessage(el, text, kind) {
   if (kind) el.classList.add(kind);
 }
 
+function periodText(entry) {
+  // What the scoreboard shows next to the minute.
+  const m = entry.match;
+  if (m.ended) return ["timer", "manual"].includes(m.settlement && m.settlement.meta.endReason) ? "Full time" : matchStatus(m);
+  if (m.halfTime) return m.running ? `Half-time, 2nd half in ${entry.breakLeft}'` : "Half-time";
+
+  const { firstHalf } = periodEnds(m.fixture, m.addedTime);
+  const firstHalfOn = m.minute <= firstHalf;
+  const half = firstHalfOn ? "1st half" : "2nd half";
+  if (!inAddedTime(m)) return half;
+  return `${half}, +${firstHalfOn ? m.addedTime.first : m.addedTime.second} added`;
+}
+
 function renderMatchState() {
-  minuteEl.textContent = String(state.minute);
+  minuteEl.textContent = match.halfTime ? "HT" : clockLabel(match);
+  matchPeriodEl.textContent = periodText(boardEntry(match));
 
   matchStateEl.classList.remove("live", "ended");
 
-  if (state.ended) {
-    matchStateEl.textContent = "Ended";
+  if (match.ended) {
+    matchStateEl.textContent = matchStatus(match);
     matchStateEl.classList.add("badge", "ended");
-  } else if (state.running) {
+  } else if (match.halfTime) {
+    matchStateEl.textContent = "Half-time: markets suspended";
+    matchStateEl.classList.add("badge");
+  } else if (match.running) {
     matchStateEl.textContent = "Live";
     matchStateEl.classList.add("badge", "live");
   } else {
@@ -143,357 +345,1675 @@ function renderMatchState() {
     matchStateEl.classList.add("badge");
   }
 
-  startBtn.disabled = state.ended;
-  pauseBtn.disabled = state.ended || !state.running;
-  finishBtn.disabled = state.ended;
-
-  // Final withdraw is only available after settlement AND after a successful calculation.
-  if (withdrawFinalBtn) {
-    withdrawFinalBtn.disabled = !state.ended || !state.lastFinalCalc || !state.lastFinalCalc.ok;
+  // At half-time Start kicks off the second half straight away.
+  startBtn.textContent = match.halfTime ? "Start 2nd half" : "Start";
+  startBtn.disabled = match.ended || (match.running && !match.halfTime);
+  pauseBtn.disabled = match.ended || !match.running;
+  finishBtn.disabled = match.ended;
+  abandonBtn.disabled = match.ended;
+  // Postponing is only for a match that has not kicked off.
+  postponeBtn.disabled = match.ended || match.minute > 1;
+
+  // Slips can be placed before kick-off and while the match is live or paused, but not at half-time.
+  placeBetBtn.disabled = match.ended || match.halfTime;
+  bettorNameInput.disabled = match.ended;
+  betMarketInput.disabled = match.ended;
+  betOutcomeInput.disabled = match.ended;
+  betStakeInput.disabled = match.ended;
+
+  fixtureFileInput.disabled = match.running || match.ended || match.slips.length > 0 || match.book.orders.length > 0;
+
+  submitOrderBtn.disabled = match.ended || match.halfTime;
+  for (const el of [orderBettorInput, orderSideInput, orderMarketInput, orderOutcomeInput, orderOddsInput, orderStakeInput]) {
+    el.disabled = match.ended;
   }
+  modeSelect.disabled = !canChangeMode(match);
+  feeModelSelect.disabled = !canChangeMode(match);
+  feeOverrideModelSelect.disabled = !canChangeMode(match);
+  abandonRuleSelect.disabled = !canChangeMode(match);
+
+  // The seed can be picked before kick-off; after full time it is the seed to replay with.
+  seedInput.disabled = !match.ended && (match.running || match.minute > 1);
+  // An imported settlement has no action log to replay.
+  replayBtn.disabled = !match.ended || match.imported;
 }
 
-function applyPools(nextArsenalPool, nextLiverpoolPool) {
-  const a = Math.floor(Math.max(0, Number(nextArsenalPool) || 0));
-  const b = Math.floor(Math.max(0, Number(nextLiverpoolPool) || 0));
-  arsenalPoolInput.value = String(a);
-  liverpoolPoolInput.value = String(b);
-  renderPoolsAndOdds();
+function renderMode() {
+  const exchange = match.mode === "exchange";
+  modeSelect.value = match.mode;
+  for (const el of poolSections) el.classList.toggle("hide", exchange);
+  for (const el of exchangeSections) el.classList.toggle("hide", !exchange);
+
+  postMatchTitleEl.textContent = exchange ? "Matched Bet Settlement (Post‑Match)" : "Slip Settlement (Post‑Match)";
+  poolSettleHintEl.classList.toggle("hide", exchange);
+  exchangeSettleHintEl.classList.toggle("hide", !exchange);
+  settleAllWrap.classList.toggle("hide", exchange);
+  finalPayoutLabelEl.textContent = exchange ? "Total net winnings (after commission)" : "Total payouts (after fee)";
+  finalRefundsLabelEl.textContent = exchange ? "Returned on void bets (stakes + liabilities)" : "Refunds (void markets)";
+  finalFeesLabelEl.textContent = exchange ? "Total commission (on profit)" : "Total fees (incl. cashouts)";
+}
+
+function renderCurrencyOptions(current) {
+  currencySelect.innerHTML = Object.values(CURRENCIES)
+    .map(c => `<option value="${c.code}">${c.code} (${c.name})</option>`)
+    .join("");
+  currencySelect.value = current.code;
+}
+
+function renderAbandonRule() {
+  abandonRuleSelect.value = match.abandonRule;
+  abandonRuleHintEl.textContent = `${ABANDON_RULES[match.abandonRule]}. A postponed match is always void.`;
+}
+
+function renderFees() {
+  const { model, markets } = match.feeSchedule;
+  feeModelSelect.value = feePresetKey(model);
+
+  const market = getMarket(match, feeOverrideMarketInput.value) || match.markets[0];
+  feeOverrideModelSelect.value = markets[market.id] ? feePresetKey(markets[market.id]) : "";
+
+  const overrides = match.markets.filter(m => markets[m.id]).map(m => `${m.name}: ${describeFeeModel(markets[m.id])}`);
+  setMessage(feeMsgEl, `Fees: ${describeFeeModel(model)}${overrides.length > 0 ? `. ${overrides.join(". ")}` : ""}.`, undefined);
 }
 
-function withdrawFinalPayout() {
-  if (!state.ended || !state.settlement) return { ok: false, reason: "Match must be ended to withdraw." };
-  if (!state.lastFinalCalc || !state.lastFinalCalc.ok) return { ok: false, reason: "Calculate final payout first." };
+function renderSlips() {
+  slipCountEl.textContent = String(match.slips.length);
+  slipTableEl.innerHTML = "";
 
-  const { payout, stake, winningSide } = state.lastFinalCalc;
-  if (winningSide === "No goal") {
-    return { ok: false, reason: "No goal (0–0). Market void: no winner withdrawal is applied." };
+  if (match.slips.length === 0) {
+    slipTableEl.innerHTML = "<tr><td colspan=\"10\" style=\"color: var(--muted);\">No bet slips yet</td></tr>";
+    return;
   }
 
-  // Current pools (these will be reduced as withdrawals happen)
-  const { arsenalPool, liverpoolPool } = getPools();
-  const currentWinningPool = winningSide === "Arsenal" ? arsenalPool : liverpoolPool;
-  const currentLosingPool = winningSide === "Arsenal" ? liverpoolPool : arsenalPool;
+  for (const slip of match.slips) {
+    const market = getMarket(match, slip.marketId);
+    const s = slip.settlement;
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td>#${slip.id}</td>
+      <td>${escapeHtml(slip.bettor)}</td>
+      <td>${escapeHtml(market.name)}</td>
+      <td>${escapeHtml(outcomeLabel(market, slip.outcomeId))}</td>
+      <td>${fmtMoney(slip.stake)}</td>
+      <td>${clockLabel(match, slip.minute)}</td>
+      <td>${fmtOdds(slip.oddsTaken)}</td>
+      <td><span class="slip ${slip.status}">${slip.status.replace("_", " ")}</span></td>
+      <td>${s ? fmtMoney(s.payout) : (slip.cashout ? fmtMoney(slip.cashout.payout) : "—")}</td>
+      <td class="actions"></td>
+    `;
+
+    if (canCashOut(match, slip)) {
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.textContent = `Cash out ${fmtMoney(cashoutQuote(match, slip).payout)}`;
+      btn.addEventListener("click", () => onCashOutSlip(slip.id));
+      tr.querySelector("td.actions").appendChild(btn);
+    }
+
+    // Only settled winners and void refunds have something to withdraw.
+    if (slip.status === "won" || slip.status === "void") {
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "secondary";
+      btn.textContent = "Withdraw";
+      btn.addEventListener("click", () => onWithdrawSlip(slip.id));
+      tr.querySelector("td.actions").appendChild(btn);
+    }
 
-  // Withdrawal rules (as requested):
-  // - Total pool reduces by payout.
-  // - Winning side pool reduces by the user's stake.
-  // - Losing side pool reduces by (payout - stake) i.e. the profit part.
-  // - If winning side pool hits 0, no more withdrawals.
-  if (!(currentWinningPool > 0)) {
-    return { ok: false, reason: "Winning side pool is ₦0. No more winner withdrawals remain." };
+    slipTableEl.appendChild(tr);
   }
-  if (stake > currentWinningPool) {
-    return { ok: false, reason: "Stake cannot exceed the remaining winning side pool." };
+}
+
+function fmtLevel(level) {
+  return level ? `${level.odds.toFixed(2)}<br><span class="muted">${fmtMoney(level.stake)}</span>` : "—";
+}
+
+function renderOrderBook() {
+  // Ladder for the market picked in the order form.
+  const market = getMarket(match, orderMarketInput.value) || match.markets[0];
+  const suspended = !match.ended && !isMarketOpen(match, market);
+  ladderMarketEl.textContent = market.name + (suspended ? " (suspended)" : "");
+
+  ladderTableEl.innerHTML = "";
+  for (const outcome of market.outcomes) {
+    const { toBack, toLay } = priceLadder(match.book, market.id, outcome.id, 3);
+    const tr = document.createElement("tr");
+    // Best prices sit next to each other in the middle of the row.
+    tr.innerHTML = `
+      <td>${escapeHtml(outcome.label)}</td>
+      <td class="back">${fmtLevel(toBack[2])}</td>
+      <td class="back">${fmtLevel(toBack[1])}</td>
+      <td class="back best">${fmtLevel(toBack[0])}</td>
+      <td class="lay best">${fmtLevel(toLay[0])}</td>
+      <td class="lay">${fmtLevel(toLay[1])}</td>
+      <td class="lay">${fmtLevel(toLay[2])}</td>
+    `;
+    ladderTableEl.appendChild(tr);
   }
 
-  const profitPart = payout - stake;
-  if (profitPart > currentLosingPool + 1e-9) {
-    return { ok: false, reason: "Insufficient losing pool to pay the profit part of this withdrawal." };
+  // Orders, newest first.
+  orderTableEl.innerHTML = "";
+  if (match.book.orders.length === 0) {
+    orderTableEl.innerHTML = "<tr><td colspan=\"10\" style=\"color: var(--muted);\">No orders yet</td></tr>";
+  }
+  for (const order of match.book.orders.slice().reverse()) {
+    const m = getMarket(match, order.marketId);
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td>#${order.id}</td>
+      <td>${escapeHtml(order.bettor)}</td>
+      <td>${escapeHtml(m.name)}</td>
+      <td>${escapeHtml(outcomeLabel(m, order.outcomeId))}</td>
+      <td><span class="side ${order.side}">${order.side}</span></td>
+      <td>${order.odds.toFixed(2)}</td>
+      <td>${fmtMoney(order.stake)}</td>
+      <td>${fmtMoney(order.remaining)}</td>
+      <td>${order.status}</td>
+      <td class="actions"></td>
+    `;
+    if (!match.ended && isResting(order)) {
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "secondary";
+      btn.textContent = "Cancel";
+      btn.addEventListener("click", () => onCancelOrder(order.id));
+      tr.querySelector("td.actions").appendChild(btn);
+    }
+    orderTableEl.appendChild(tr);
   }
 
-  let nextArsenal = arsenalPool;
-  let nextLiverpool = liverpoolPool;
-  if (winningSide === "Arsenal") {
-    nextArsenal = arsenalPool - stake;
-    nextLiverpool = liverpoolPool - profitPart;
-  } else {
-    nextLiverpool = liverpoolPool - stake;
-    nextArsenal = arsenalPool - profitPart;
+  // Matched bets, with their settlement once the match is over.
+  const settled = new Map();
+  if (match.settlement && match.settlement.exchange) {
+    for (const b of match.settlement.exchange.matchedBets) settled.set(b.id, b);
   }
 
-  if (nextArsenal < -1e-9 || nextLiverpool < -1e-9) {
-    return { ok: false, reason: "Withdrawal would make pools negative." };
+  matchedTableEl.innerHTML = "";
+  if (match.book.matched.length === 0) {
+    matchedTableEl.innerHTML = "<tr><td colspan=\"11\" style=\"color: var(--muted);\">No matched bets yet</td></tr>";
+  }
+  for (const bet of match.book.matched.slice().reverse()) {
+    const m = getMarket(match, bet.marketId);
+    const s = settled.get(bet.id);
+    const pnl = (x) => (s ? `<span class="pl ${x >= 0 ? "good" : "bad"}">${fmtMoney(x)}</span>` : "—");
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td>#${bet.id}</td>
+      <td>${escapeHtml(bet.backer)}</td>
+      <td>${escapeHtml(bet.layer)}</td>
+      <td>${escapeHtml(m.name)}</td>
+      <td>${escapeHtml(outcomeLabel(m, bet.outcomeId))}</td>
+      <td>${bet.odds.toFixed(2)}</td>
+      <td>${fmtMoney(bet.stake)}</td>
+      <td>${fmtMoney(bet.liability)}</td>
+      <td>${s ? s.result.replace("_", " ") : "matched"}</td>
+      <td>${pnl(s && s.backerPnl)}</td>
+      <td>${pnl(s && s.layerPnl)}</td>
+    `;
+    matchedTableEl.appendChild(tr);
   }
+}
 
-  applyPools(nextArsenal, nextLiverpool);
+function renderTimeline() {
+  const { home, away } = match.fixture;
+  const live = liveResult(match);
+  liveScoreEl.textContent = `${home.name} ${live.homeGoals} – ${live.awayGoals} ${away.name}`;
 
-  // Require a new calculation for the next withdrawal (pools changed).
-  state.lastFinalCalc = null;
+  timelineEl.innerHTML = "";
+  if (match.events.length === 0) {
+    timelineEl.innerHTML = "<li class=\"muted\">No goals yet</li>";
+    return;
+  }
+
+  for (const e of match.events) {
+    const li = document.createElement("li");
+    li.innerHTML = `<strong>${clockLabel(match, e.minute)}</strong> Goal — ${escapeHtml(e.teamName)} <span class="muted">(${e.homeGoals}–${e.awayGoals})</span>`;
+    timelineEl.appendChild(li);
+  }
+}
+
+function renderAll() {
+  // Everything that shows the match, after any change to it; also queues the session save.
+  renderTimeline();
+  renderPoolsAndOdds();
+  renderSlips();
+  renderOrderBook();
+  renderOddsChart();
   renderMatchState();
+  renderJournal();
+  renderBoard();
+  queueSave();
+}
+
+// -----------------------------
+// Odds history
+// -----------------------------
+
+const CHART_COLORS = ["#60a5fa", "#f87171", "#34d399", "#fbbf24", "#a78bfa", "#f472b6", "#22d3ee", "#fb923c"];
+const ODDS_TICKS = [1, 1.5, 2, 3, 5, 10, 20, 50, 100, 200, 500, 1000];
+
+function renderOddsChart() {
+  // Two panels over the match minutes: odds (log scale) on top, pool sizes below.
+  // Samples taken in the same minute share an x position, so edits show as steps.
+  const market = getMarket(match, historyMarketInput.value) || match.markets[0];
+  const samples = match.oddsHistory;
+  const ctx = oddsChartEl.getContext("2d");
+  const { width, height } = oddsChartEl;
+  ctx.clearRect(0, 0, width, height);
+  ctx.font = "11px ui-sans-serif, system-ui, sans-serif";
+  ctx.lineWidth = 1;
+
+  const color = (i) => CHART_COLORS[i % CHART_COLORS.length];
+  oddsLegendEl.innerHTML = "";
+  const last = samples[samples.length - 1];
+  market.outcomes.forEach((outcome, i) => {
+    const odds = last ? last.odds[market.id][outcome.id] : 0;
+    const span = document.createElement("span");
+    span.innerHTML = `<i style="background: ${color(i)}"></i>${escapeHtml(outcome.label)} <strong>${odds > 0 ? odds.toFixed(2) : "—"}</strong>`;
+    oddsLegendEl.appendChild(span);
+  });
+
+  if (samples.length === 0) {
+    ctx.fillStyle = "#9ca3af";
+    ctx.fillText("No prices yet. Samples start with the first bet or order, or at kick-off.", 12, height / 2);
+    return;
+  }
 
-  return {
-    ok: true,
-    stake,
-    payout,
-    winningSide,
-    profitPart
+  const left = 64;
+  const right = width - 12;
+  const oddsTop = 12;
+  const oddsBottom = Math.round(height * 0.58);
+  const poolTop = oddsBottom + 24;
+  const poolBottom = height - 22;
+  // Over the minutes actually played, added time included.
+  const duration = periodEnds(match.fixture, match.addedTime).fullTime;
+  const x = (minute) => left + (right - left) * (minute - 1) / Math.max(1, duration - 1);
+
+  let maxOdds = 2;
+  let maxPool = 1;
+  for (const s of samples) {
+    for (const outcome of market.outcomes) {
+      maxOdds = Math.max(maxOdds, s.odds[market.id][outcome.id]);
+      maxPool = Math.max(maxPool, s.pools[market.id][outcome.id]);
+    }
+  }
+  const yOdds = (odds) => oddsBottom - (oddsBottom - oddsTop) * Math.log(odds) / Math.log(maxOdds);
+  const yPool = (pool) => poolBottom - (poolBottom - poolTop) * pool / maxPool;
+
+  // Axes and grid.
+  ctx.strokeStyle = "rgba(255, 255, 255, 0.08)";
+  ctx.fillStyle = "#9ca3af";
+  ctx.textAlign = "right";
+  ctx.textBaseline = "middle";
+  const grid = (y, label) => {
+    ctx.beginPath();
+    ctx.moveTo(left, y);
+    ctx.lineTo(right, y);
+    ctx.stroke();
+    ctx.fillText(label, left - 6, y);
   };
+  for (const tick of ODDS_TICKS.filter(t => t <= maxOdds)) grid(yOdds(tick), tick.toFixed(tick < 2 ? 2 : 0));
+  for (const share of [0, 0.5, 1]) grid(yPool(maxPool * share), fmtMoney(maxPool * share));
+
+  ctx.textAlign = "center";
+  ctx.textBaseline = "top";
+  const step = Math.max(1, Math.round(duration / 6));
+  for (let m = 0; m <= duration; m += step) ctx.fillText(clockLabel(match, Math.max(1, m)), x(Math.max(1, m)), poolBottom + 6);
+  ctx.textAlign = "left";
+  ctx.fillText("Odds", left + 4, oddsTop);
+  ctx.fillText("Pool sizes", left + 4, poolTop);
+
+  // One line per outcome; an outcome with no price yet leaves a gap in the odds panel.
+  ctx.lineWidth = 2;
+  market.outcomes.forEach((outcome, i) => {
+    ctx.strokeStyle = color(i);
+    for (const [panel, value, y] of [["odds", s => s.odds, yOdds], ["pools", s => s.pools, yPool]]) {
+      ctx.beginPath();
+      let drawing = false;
+      for (const s of samples) {
+        const v = value(s)[market.id][outcome.id];
+        if (panel === "odds" && !(v > 0)) {
+          drawing = false;
+          continue;
+        }
+        if (drawing) ctx.lineTo(x(s.minute), y(v));
+        else ctx.moveTo(x(s.minute), y(v));
+        drawing = true;
+      }
+      ctx.stroke();
+    }
+  });
+
+  // Settlement point: a dashed line through both panels and a dot on each final price.
+  const settled = samples.find(s => s.trigger === "settlement");
+  if (settled) {
+    const sx = x(settled.minute);
+    ctx.lineWidth = 1;
+    ctx.strokeStyle = "#e5e7eb";
+    ctx.setLineDash([4, 4]);
+    ctx.beginPath();
+    ctx.moveTo(sx, oddsTop);
+    ctx.lineTo(sx, poolBottom);
+    ctx.stroke();
+    ctx.setLineDash([]);
+    ctx.fillStyle = "#e5e7eb";
+    ctx.textAlign = "right";
+    ctx.fillText(`Settled ${clockLabel(match, settled.minute)}`, sx - 4, oddsTop);
+
+    market.outcomes.forEach((outcome, i) => {
+      const odds = settled.odds[market.id][outcome.id];
+      if (!(odds > 0)) return;
+      ctx.fillStyle = color(i);
+      ctx.beginPath();
+      ctx.arc(sx, yOdds(odds), 4, 0, Math.PI * 2);
+      ctx.fill();
+    });
+  }
 }
 
+historyMarketInput.addEventListener("change", renderOddsChart);
+
 // -----------------------------
-// Match timer
+// Crowd
 // -----------------------------
 
-function startTimer() {
-  if (state.ended) return;
-  if (state.running) return;
+function newCrowd(m) {
+  // A new match keeps the open match's crowd settings, on a stream derived from its own seed.
+  const current = boardEntry(match);
+  return createCrowd({
+    enabled: current ? current.crowd.enabled : false,
+    config: current ? current.crowd.config : DEFAULT_CROWD_CONFIG,
+    seed: crowdSeed(m.seed)
+  });
+}
+
+function renderCrowd() {
+  const { enabled, config } = boardEntry(match).crowd;
+  crowdEnabledSelect.value = enabled ? "on" : "off";
+  crowdRateInput.value = String(config.betsPerMinute);
+  crowdStakeInput.value = String(fromMinor(config.avgStake));
+  crowdBiasInput.value = String(Math.round(config.favouriteBias * 100));
+  crowdGoalReactionInput.value = String(config.goalReaction);
+  crowdLateSurgeInput.value = String(config.lateSurge);
+  crowdLateFromInput.value = String(Math.round(config.lateFrom * 100));
+}
+
+function onCrowdChange() {
+  // Settings apply from the next minute; the crowd's stream carries on where it is.
+  const entry = boardEntry(match);
+  const res = normalizeCrowdConfig({
+    betsPerMinute: Number(crowdRateInput.value),
+    avgStake: toMinor(crowdStakeInput.value),
+    favouriteBias: Number(crowdBiasInput.value) / 100,
+    goalReaction: Number(crowdGoalReactionInput.value),
+    lateSurge: Number(crowdLateSurgeInput.value),
+    lateFrom: Number(crowdLateFromInput.value) / 100
+  });
+  if (!res.ok) {
+    setMessage(crowdMsgEl, res.reason, "error");
+    renderCrowd();
+    return;
+  }
+
+  entry.crowd.enabled = crowdEnabledSelect.value === "on";
+  entry.crowd.config = res.config;
+  renderCrowd();
+  setMessage(
+    crowdMsgEl,
+    entry.crowd.enabled ? `Crowd on: about ${res.config.betsPerMinute} slip(s) a minute while the clock runs.` : "Crowd off.",
+    "success"
+  );
+  queueSave();
+}
+
+for (const el of [crowdEnabledSelect, crowdRateInput, crowdStakeInput, crowdBiasInput, crowdGoalReactionInput, crowdLateSurgeInput, crowdLateFromInput]) {
+  el.addEventListener("change", onCrowdChange);
+}
+
+// -----------------------------
+// Match clock
+// -----------------------------
+
+// One page-wide timer drives every running match on the dashboard, so a match moves at most one minute
+// per step however often Start is pressed. Each board entry keeps its own share of clock time.
+const CLOCK_STEP_MS = 100;
+// Match minutes per second; "instant" plays every running match out at once.
+const CLOCK_SPEEDS = { 1: 1, 5: 5, instant: Infinity };
+// Half-time break, in match minutes at the current speed (15 s at 1×). Start cuts it short.
+const HALF_TIME_BREAK = 15;
+
+let clockTimerId = null;
+let clockSpeed = "1";
+
+function isTicking(entry) {
+  return entry.match.running && !entry.match.ended;
+}
+
+function advanceMatch(entry) {
+  // One minute of play (kicking off the second half first at half-time) and the crowd's slips on it.
+  const res = tickMatch(entry.match);
+  if (!res.ok) return res;
+  if (res.halfTime) entry.breakLeft = HALF_TIME_BREAK;
+  const crowdSlips = res.ended || res.halfTime ? [] : playCrowdMinute(entry.crowd, entry.match, res.minute);
+  return { ...res, crowdSlips };
+}
+
+function onTick(entry) {
+  const res = advanceMatch(entry);
+  if (!res.ok) return;
+
+  // Matches in the background only update their row in the list.
+  if (entry.match !== match) {
+    renderBoard();
+    queueSave();
+    return;
+  }
+
+  if (res.ended) {
+    renderSettlement();
+    return;
+  }
 
-  state.running = true;
   renderMatchState();
+  if (res.goals.length > 0 || res.crowdSlips.length > 0 || res.halfTime) {
+    renderTimeline();
+    renderPoolsAndOdds();
+    renderSlips();
+    renderOrderBook();
+  }
+  if (res.crowdSlips.length > 0 || res.halfTime) renderJournal();
+  renderOddsChart();
+  renderBoard();
+  queueSave();
+}
 
-  // Each "minute" here ticks every 1 second for a quick simulation.
-  state.timerId = window.setInterval(() => {
-    if (!state.running) return;
-    if (state.ended) return;
+function onBreakMinute(entry) {
+  // One minute of the half-time break; the last one kicks off the second half and plays its first minute.
+  entry.breakLeft -= 1;
+  if (entry.breakLeft <= 0) {
+    onTick(entry);
+    return;
+  }
+  if (entry.match === match) renderMatchState();
+  renderBoard();
+}
 
-    if (state.minute >= 90) {
-      endMatch("timer");
-      return;
-    }
+function clockStep() {
+  for (const entry of [...board]) {
+    if (!isTicking(entry)) continue;
+    entry.elapsedMs += CLOCK_STEP_MS * CLOCK_SPEEDS[clockSpeed];
+    if (entry.elapsedMs < 1000) continue;
+    entry.elapsedMs -= 1000;
+    if (entry.match.halfTime) onBreakMinute(entry);
+    else onTick(entry);
+  }
+
+  // Nothing left to drive: the timer stops until the next Start.
+  if (!board.some(isTicking)) {
+    window.clearInterval(clockTimerId);
+    clockTimerId = null;
+  }
+}
 
-    state.minute += 1;
-    renderMatchState();
-  }, 1000);
+function playOut(entry) {
+  // Instant speed: every remaining minute in one go with no break; the panels are drawn once at the end.
+  while (isTicking(entry)) advanceMatch(entry);
+  if (entry.match === match) {
+    renderSettlement();
+    return;
+  }
+  renderBoard();
+  queueSave();
+}
+
+function runClock() {
+  // Starts the page timer when a match needs it; at instant speed the running matches are played out instead.
+  if (clockSpeed === "instant") {
+    for (const entry of board.filter(isTicking)) playOut(entry);
+    return;
+  }
+  if (clockTimerId == null && board.some(isTicking)) clockTimerId = window.setInterval(clockStep, CLOCK_STEP_MS);
+}
+
+function startClock(entry) {
+  if (entry.match.ended) return;
+  startMatch(entry.match);
+  runClock();
+}
+
+function startTimer() {
+  if (match.ended) return;
+  if (match.running && !match.halfTime) return;
+
+  const entry = boardEntry(match);
+  if (match.halfTime) {
+    startSecondHalf(match, "operator");
+    entry.elapsedMs = 0;
+  }
+  startClock(entry);
+  if (match.ended) return;
+  renderMatchState();
+  renderPoolsAndOdds();
+  renderSlips();
+  renderOrderBook();
+  renderJournal();
+  renderBoard();
+  queueSave();
 }
 
 function pauseTimer() {
-  if (state.ended) return;
-  state.running = false;
+  if (match.ended) return;
+  pauseMatch(match);
   renderMatchState();
+  renderSlips();
+  renderJournal();
+  renderBoard();
+  queueSave();
 }
 
-function stopTimerInterval() {
-  if (state.timerId != null) {
-    window.clearInterval(state.timerId);
-    state.timerId = null;
+clockSpeedSelect.addEventListener("change", () => {
+  clockSpeed = Object.prototype.hasOwnProperty.call(CLOCK_SPEEDS, clockSpeedSelect.value) ? clockSpeedSelect.value : "1";
+  runClock();
+});
+
+function finishMatch(reason) {
+  // "manual", "abandoned" or "postponed"; the clock only stops once the match has really ended.
+  const res = endMatch(match, reason);
+  if (!res.ok) {
+    setMessage(endMsgEl, res.reason, "error");
+    return;
   }
+  setMessage(endMsgEl, "", undefined);
+  renderSettlement();
 }
 
 // -----------------------------
 // Settlement
 // -----------------------------
 
-function randomInt(min, max) {
-  // inclusive
-  return Math.floor(Math.random() * (max - min + 1)) + min;
-}
-
-function endMatch(reason) {
-  if (state.ended) return;
-
-  state.ended = true;
-  state.running = false;
-  stopTimerInterval();
-
-  // Freeze pool inputs
-  arsenalPoolInput.disabled = true;
-  liverpoolPoolInput.disabled = true;
-
-  // Generate random score (simple)
-  const arsenalGoals = randomInt(0, 4);
-  const liverpoolGoals = randomInt(0, 4);
-
-  // Use an en-dash for display: "Arsenal 1 – 2 Liverpool"
-  const finalScore = `Arsenal ${arsenalGoals} – ${liverpoolGoals} Liverpool`;
-
-  // Market: Who will score first? Arsenal or Liverpool
-  // If 0–0, the market is void.
-  let winningSide = "No goal";
-  if (arsenalGoals + liverpoolGoals > 0) {
-    if (arsenalGoals === 0) winningSide = "Liverpool";
-    else if (liverpoolGoals === 0) winningSide = "Arsenal";
-    else winningSide = Math.random() < 0.5 ? "Arsenal" : "Liverpool";
-  }
-
-  // Snapshot pools + final odds at end
-  const { arsenalPool, liverpoolPool, totalPool } = getPools();
-  const finalArsenalOdds = safeDivide(totalPool, arsenalPool);
-  const finalLiverpoolOdds = safeDivide(totalPool, liverpoolPool);
-
-  state.settlement = {
-    meta: {
-      purpose: "education_and_simulation_only",
-      match: "Arsenal vs Liverpool",
-      endedAt: new Date().toISOString(),
-      endReason: reason,
-      minuteEnded: state.minute
-    },
-    pools: {
-      arsenalPool,
-      liverpoolPool,
-      totalPool
-    },
-    estimatedOdds: {
-      arsenal: Number.isFinite(finalArsenalOdds) ? finalArsenalOdds : 0,
-      liverpool: Number.isFinite(finalLiverpoolOdds) ? finalLiverpoolOdds : 0
-    },
-    result: {
-      finalScore,
-      arsenalGoals,
-      liverpoolGoals,
-      winningSide
-    },
-    fees: {
-      exitFeeRate: EXIT_FEE
-    }
-  };
+function renderSettlement() {
+  // Post-match panels, straight from match.settlement (a live result or an imported one).
+  const settlement = match.settlement;
+  const { finalScore, winningSide } = settlement.result;
+
+  const { endReason, voidRule, clockStoppedAt } = settlement.meta;
 
   finalScoreEl.textContent = finalScore;
   winningSideEl.textContent = winningSide;
+  endReasonEl.textContent = {
+    timer: "Full time",
+    manual: "Finished early (remaining minutes played out)",
+    abandoned: `Abandoned at ${clockLabel(match, clockStoppedAt)}`,
+    postponed: "Postponed"
+  }[endReason] || endReason;
+
+  settlementJsonEl.value = JSON.stringify(settlement, null, 2);
+
+  // Winnings and refunds are shown apart: an abandoned match mostly pays stakes back.
+  let totalPayout = 0;
+  let totalRefunds = 0;
+  for (const slip of settlement.slips) {
+    if (slip.status === "won") totalPayout += slip.payout;
+    else if (slip.status === "void") totalRefunds += slip.payout;
+  }
+  if (settlement.exchange) {
+    totalPayout = settlement.exchange.totalWinnings;
+    totalRefunds = settlement.exchange.matchedBets.filter(b => b.result === "void").reduce((sum, b) => sum + b.stake + b.liability, 0);
+  }
+  const cashoutPayout = settlement.cashouts.reduce((sum, c) => sum + c.payout, 0);
 
-  settlementJsonEl.value = JSON.stringify(state.settlement, null, 2);
-
-  // Reveal post-match payout calculator
+  // Reveal post-match settlement summary
   postMatchWrap.classList.remove("hide");
   finalWinningSideEl.textContent = winningSide;
-
-  // If the match ended 0–0, treat as void (refund = stake).
-  // Keep the calculator available but adjust messaging.
-  if (winningSide === "No goal") {
-    setMessage(finalMsgEl, "No goal (0–0). Market void: payout is a refund (stake returned).", "success");
-  } else {
-    setMessage(finalMsgEl, "", undefined);
+  finalPayoutEl.textContent = fmtMoney(totalPayout);
+  finalRefundsEl.textContent = fmtMoney(totalRefunds);
+  finalFeesEl.textContent = fmtMoney(settlement.fees.totalFees);
+
+  // A void market refunds its slips (refund = stake), grouped by why it is void.
+  // Settlements exported before abandonment rules have no voidReason: only a 0–0 could void them.
+  const notes = [];
+  if (endReason === "abandoned") notes.push(`Match abandoned at ${clockLabel(match, clockStoppedAt)}. Rule applied: ${ABANDON_RULES[voidRule]}.`);
+  if (endReason === "postponed") notes.push("Match postponed: every market is void.");
+  const voidWhy = { result: "no goal", abandoned: "abandoned", postponed: "postponed" };
+  for (const [reason, why] of Object.entries(voidWhy)) {
+    const voided = match.markets.filter(m => settlement.markets[m.id].void && (settlement.markets[m.id].voidReason || "result") === reason);
+    if (voided.length > 0) notes.push(`Void (${why}): ${voided.map(m => m.name).join(", ")}.`);
+  }
+  if (match.markets.some(m => settlement.markets[m.id].void)) {
+    notes.push("Slips on void markets are refunded (stake returned, no fee).");
+  }
+  if (settlement.exchange) {
+    notes.push(`${settlement.exchange.matchedBets.length} matched bet(s) settled; ${settlement.exchange.lapsedOrders} unmatched order(s) lapsed.`);
   }
+  if (settlement.cashouts.length > 0) {
+    notes.push(`${settlement.cashouts.length} slip(s) were cashed out in-play for ${fmtMoney(cashoutPayout)} and are not settled again.`);
+  }
+  setMessage(finalMsgEl, notes.join(" "), notes.length > 0 ? "success" : undefined);
 
+  renderPayoutReport();
+  renderTimeline();
+  renderPoolsAndOdds();
+  renderSlips();
+  renderOrderBook();
+  renderOddsChart();
   renderMatchState();
+  renderJournal();
+  renderBoard();
+  queueSave();
 }
 
-function calcFinalPayout({ winningSide, stake, arsenalPool, liverpoolPool }) {
-  // Final payout formula:
-  // Final payout = stake × (1 + opposite pool / winning pool) × (1 − 0.03)
-  if (winningSide === "No goal") {
-    return {
-      winningPool: 0,
-      oppositePool: 0,
-      grossPayout: stake,
-      fee: 0,
-      payout: stake,
-      netProfit: 0
-    };
-  }
-
-  const winningPool = winningSide === "Arsenal" ? arsenalPool : liverpoolPool;
-  const oppositePool = winningSide === "Arsenal" ? liverpoolPool : arsenalPool;
-
-  const ratio = safeDivide(oppositePool, winningPool);
-  const grossPayout = stake * (1 + ratio);
-  const fee = grossPayout * EXIT_FEE;
-  const payout = grossPayout - fee;
-  return {
-    winningPool,
-    oppositePool,
-    grossPayout,
-    fee,
-    payout,
-    netProfit: payout - stake
-  };
-}
+// -----------------------------
+// Batch settlement
+// -----------------------------
 
-function renderFinalPayout() {
-  if (!state.settlement) return;
+function renderPayoutReport() {
+  const report = match.payoutReport;
+  reportCsvBtn.disabled = !report;
+  reportJsonBtn.disabled = !report;
+  settleAllBtn.disabled = !match.slips.some(s => s.status === "won" || s.status === "void");
 
-  const winningSide = state.settlement.result.winningSide;
-  const stake = safeNumber(finalStakeInput.value);
+  reportTableEl.innerHTML = "";
+  if (!report) {
+    reportTableEl.innerHTML = "<tr><td colspan=\"4\" style=\"color: var(--muted);\">No batch run yet</td></tr>";
+    return;
+  }
 
-  // Payout odds are fixed at settlement.
-  const { arsenalPool: settleArsenal, liverpoolPool: settleLiverpool } = state.settlement.pools;
+  for (const m of report.markets) {
+    const market = getMarket(match, m.marketId);
+    const pools = Object.entries(m.poolsAfter).map(([id, x]) => `${outcomeLabel(market, id)} ${fmtMoney(x)}`).join(", ");
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td>${escapeHtml(market.name)}</td>
+      <td>${m.winningOutcome === null ? "Void" : escapeHtml(outcomeLabel(market, m.winningOutcome))}</td>
+      <td>${escapeHtml(pools)}</td>
+      <td>${fmtMoney(m.residue)}</td>
+    `;
+    reportTableEl.appendChild(tr);
+  }
+}
 
-  // But available "remaining" stakes come from current pools (after prior withdrawals).
-  const { arsenalPool: currentArsenal, liverpoolPool: currentLiverpool } = getPools();
-  const remainingWinningPool = winningSide === "Arsenal" ? currentArsenal : currentLiverpool;
+function downloadText(filename, type, text) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  // Revoked on the next tick so the browser has started the download.
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
 
-  if (!(stake > 0)) {
-    setMessage(finalMsgEl, "Stake must be greater than 0.", "error");
-    finalPayoutEl.textContent = "—";
-    finalProfitEl.textContent = "—";
-    finalProfitEl.classList.remove("pl", "good", "bad");
-    state.lastFinalCalc = null;
-    renderMatchState();
+settleAllBtn.addEventListener("click", () => {
+  const res = settleAllWinners(match);
+  if (!res.ok) {
+    setMessage(settleAllMsgEl, res.reason, "error");
     return;
   }
 
-  // For the void market (0–0), payout is refund = stake.
-  if (winningSide !== "No goal") {
-    // Prevent unrealistic/invalid stake that exceeds the total winning pool.
-    if (stake > remainingWinningPool) {
-      setMessage(finalMsgEl, "Stake cannot exceed the remaining winning side pool.", "error");
-      finalPayoutEl.textContent = "—";
-      finalProfitEl.textContent = "—";
-      finalProfitEl.classList.remove("pl", "good", "bad");
-      state.lastFinalCalc = null;
-      renderMatchState();
-      return;
+  const t = res.report.totals;
+  const skipped = t.skipped > 0 ? ` ${t.skipped} slip(s) could not be paid; see the report.` : "";
+  setMessage(
+    settleAllMsgEl,
+    `Paid ${t.paid} slip(s): ${fmtMoney(t.payout)} out, ${fmtMoney(t.fees)} in fees. Residue left in the pools: ${fmtMoney(t.residue)}.${skipped}`,
+    t.skipped > 0 ? "error" : "success"
+  );
+  renderPayoutReport();
+  renderPoolsAndOdds();
+  renderSlips();
+  renderJournal();
+  renderBoard();
+  queueSave();
+});
+
+reportCsvBtn.addEventListener("click", () => {
+  if (!match.payoutReport) return;
+  downloadText(`payout-report-${match.seed}.csv`, "text/csv", payoutReportCsv(match.payoutReport));
+});
+
+reportJsonBtn.addEventListener("click", () => {
+  if (!match.payoutReport) return;
+  downloadText(`payout-report-${match.seed}.json`, "application/json", JSON.stringify(match.payoutReport, null, 2));
+});
+
+// -----------------------------
+// Dashboard
+// -----------------------------
+
+function boardEntry(m) {
+  return board.find(e => e.match === m);
+}
+
+function matchStatus(m) {
+  if (m.ended && m.settlement) {
+    const { endReason } = m.settlement.meta;
+    if (endReason === "abandoned") return "Abandoned";
+    if (endReason === "postponed") return "Postponed";
+  }
+  if (m.ended) return "Ended";
+  if (m.halfTime) return "Half-time";
+  if (m.running) return "Live";
+  return m.minute > 1 ? "Paused" : "Not started";
+}
+
+function renderBoard() {
+  // One row per match; the open one is highlighted.
+  matchCountEl.textContent = String(board.length);
+  dashboardTableEl.innerHTML = "";
+
+  for (const entry of board) {
+    const m = entry.match;
+    const live = liveResult(m);
+    const open = m === match;
+    // Exchange matches trade through the book, so their pools stay empty; show the matched stake instead.
+    const volume = m.mode === "exchange"
+      ? `${fmtMoney(m.book.matched.reduce((sum, b) => sum + b.stake, 0))} matched`
+      : fmtMoney(allPoolsTotal(m));
+
+    const tr = document.createElement("tr");
+    if (open) tr.className = "open";
+    tr.innerHTML = `
+      <td>#${entry.id}</td>
+      <td>${escapeHtml(fixtureTitle(m.fixture))}</td>
+      <td>${m.halfTime ? "HT" : clockLabel(m)} / ${m.fixture.durationMinutes}</td>
+      <td>${live.homeGoals} – ${live.awayGoals}</td>
+      <td><span class="badge${m.running ? " live" : m.ended ? " ended" : ""}">${matchStatus(m)}</span></td>
+      <td>${volume}</td>
+      <td class="actions"></td>
+    `;
+
+    const actions = tr.querySelector("td.actions");
+    if (open) {
+      actions.innerHTML = "<span class=\"muted\">Open</span>";
+    } else {
+      const openBtn = document.createElement("button");
+      openBtn.type = "button";
+      openBtn.textContent = "Open";
+      openBtn.addEventListener("click", () => openMatch(entry.id));
+      actions.appendChild(openBtn);
+
+      const removeBtn = document.createElement("button");
+      removeBtn.type = "button";
+      removeBtn.className = "secondary";
+      removeBtn.textContent = "Remove";
+      removeBtn.addEventListener("click", () => removeMatch(entry.id));
+      actions.appendChild(removeBtn);
     }
+    dashboardTableEl.appendChild(tr);
   }
+}
 
+function renderOpenMatch() {
+  // Redraws every detail panel for the open match.
+  seedInput.value = String(match.seed);
+  postMatchWrap.classList.add("hide");
+  finalScoreEl.textContent = "—";
+  winningSideEl.textContent = "—";
+  settlementJsonEl.value = "";
+  setMessage(betMsgEl, "", undefined);
+  setMessage(orderMsgEl, "", undefined);
   setMessage(finalMsgEl, "", undefined);
+  setMessage(settleAllMsgEl, "", undefined);
+  setMessage(journalMsgEl, "", undefined);
+  setMessage(endMsgEl, "", undefined);
+  setMessage(crowdMsgEl, "", undefined);
+  endReasonEl.textContent = "—";
+
+  renderFixture();
+  renderMode();
+  renderAbandonRule();
+  renderCrowd();
+  if (match.settlement) renderSettlement();
+  else renderAll();
+}
 
-  const result = calcFinalPayout({ winningSide, stake, arsenalPool: settleArsenal, liverpoolPool: settleLiverpool });
+function addMatch(next, crowd = newCrowd(next)) {
+  // Adds a match to the dashboard and opens it. Its clock stays stopped until Start.
+  const entry = { id: nextBoardId++, match: next, elapsedMs: 0, breakLeft: HALF_TIME_BREAK, crowd };
+  board.push(entry);
+  match = next;
+  renderOpenMatch();
+  return entry;
+}
 
-  finalPayoutEl.textContent = fmtMoney(result.payout);
-  finalProfitEl.textContent = fmtMoney(result.netProfit);
-  finalProfitEl.classList.remove("pl", "good", "bad");
-  finalProfitEl.classList.add("pl", result.netProfit >= 0 ? "good" : "bad");
-  finalWinningSideEl.textContent = winningSide;
+function openMatch(id) {
+  // Other matches keep running in the background.
+  const entry = board.find(e => e.id === id);
+  if (!entry || entry.match === match) return;
+  match = entry.match;
+  setMessage(seedMsgEl, "", undefined);
+  renderOpenMatch();
+}
+
+function removeMatch(id) {
+  const entry = board.find(e => e.id === id);
+  if (!entry || entry.match === match) return;
+  board.splice(board.indexOf(entry), 1);
+  setMessage(dashboardMsgEl, `Removed match #${entry.id} (${fixtureTitle(entry.match.fixture)}).`, "success");
+  renderBoard();
+  queueSave();
+}
+
+function clearBoard() {
+  // The page clock stops by itself once no match on the board is running.
+  board.length = 0;
+  nextBoardId = 1;
+}
+
+addMatchBtn.addEventListener("click", () => {
+  // Same mode, fee schedule and abandonment rule as the open match, on the picked fixture (or the open match's one).
+  const url = newMatchFixtureInput.value;
+  const fixture = url ? loadFixtureFromUrl(`?fixture=${encodeURIComponent(url)}`) : Promise.resolve(match.fixture);
+  addMatchBtn.disabled = true;
+
+  fixture
+    .then((f) => {
+      addMatch(createMatch({ fixture: f, seed: randomSeed(), mode: match.mode, feeSchedule: match.feeSchedule, abandonRule: match.abandonRule }));
+      setMessage(dashboardMsgEl, `Added match #${boardEntry(match).id}: ${fixtureTitle(f)} (seed ${match.seed}).`, "success");
+    })
+    .catch((err) => {
+      setMessage(dashboardMsgEl, `Match not added: ${err.message}`, "error");
+    })
+    .finally(() => {
+      addMatchBtn.disabled = false;
+    });
+});
+
+// -----------------------------
+// Seed & replay
+// -----------------------------
+
+function showMatch(next) {
+  // Puts another match in the open dashboard slot (fresh, replayed or imported) and redraws everything.
+  const entry = boardEntry(match);
+  entry.match = next;
+  entry.elapsedMs = 0;
+  entry.breakLeft = HALF_TIME_BREAK;
+  match = next;
+  renderOpenMatch();
+}
+
+seedInput.addEventListener("change", () => {
+  const seed = normalizeSeed(seedInput.value);
+  if (seed === null) {
+    seedInput.value = String(match.seed);
+    setMessage(seedMsgEl, "Seed must not be empty.", "error");
+    return;
+  }
+
+  if (match.ended) {
+    setMessage(seedMsgEl, `Replay will use seed ${seed}.`, undefined);
+    seedInput.value = String(seed);
+    return;
+  }
+
+  const res = setSeed(match, seed);
+  if (!res.ok) {
+    seedInput.value = String(match.seed);
+    setMessage(seedMsgEl, res.reason, "error");
+    return;
+  }
+  seedInput.value = String(seed);
+  // Nothing has been drawn yet before kick-off, so the crowd follows the new seed too.
+  const entry = boardEntry(match);
+  entry.crowd = createCrowd({ enabled: entry.crowd.enabled, config: entry.crowd.config, seed: crowdSeed(seed) });
+  setMessage(seedMsgEl, `Match will be played with seed ${seed}.`, "success");
+  renderJournal();
+  queueSave();
+});
 
-  state.lastFinalCalc = {
-    ok: true,
-    winningSide,
-    stake,
-    payout: result.payout
+replayBtn.addEventListener("click", () => {
+  const seed = normalizeSeed(seedInput.value);
+  const res = replayMatch(match, seed === null ? match.seed : seed);
+  if (!res.ok) {
+    setMessage(seedMsgEl, res.reason, "error");
+    return;
+  }
+  showMatch(res.match);
+
+  if (res.seed === res.previousSeed) {
+    setMessage(
+      seedMsgEl,
+      res.identical
+        ? `Replayed seed ${res.seed}: settlement is byte-identical.`
+        : `Replayed seed ${res.seed}: settlement DIFFERS from the previous run.`,
+      res.identical ? "success" : "error"
+    );
+  } else {
+    setMessage(seedMsgEl, `Replayed the ledger with seed ${res.seed} (was ${res.previousSeed}).`, "success");
+  }
+});
+
+// -----------------------------
+// Audit journal
+// -----------------------------
+
+function fmtJournalPools(poolsBefore, poolsAfter) {
+  // "Match result: Arsenal 1,000 → 3,000" for each outcome that moved.
+  const parts = [];
+  for (const [marketId, after] of Object.entries(poolsAfter)) {
+    const market = getMarket(match, marketId);
+    for (const [outcomeId, x] of Object.entries(after)) {
+      const was = poolsBefore[marketId][outcomeId];
+      if (was === x) continue;
+      const name = market ? `${market.name}: ${outcomeLabel(market, outcomeId)}` : `${marketId}.${outcomeId}`;
+      parts.push(`${name} ${fmtMoney(was)} → ${fmtMoney(x)}`);
+    }
+  }
+  return parts.join("; ");
+}
+
+function renderJournal() {
+  journalCountEl.textContent = String(match.journal.length);
+  journalReplayBtn.disabled = match.imported;
+  journalTableEl.innerHTML = "";
+
+  // Newest first.
+  for (let i = match.journal.length - 1; i >= 0; i--) {
+    const e = match.journal[i];
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td>${e.seq}</td>
+      <td>${e.at.slice(11, 19)}</td>
+      <td>${clockLabel(match, e.minute)}</td>
+      <td>${e.action}</td>
+      <td>${escapeHtml(e.actor)}</td>
+      <td><code>${escapeHtml(JSON.stringify(e.details))}</code></td>
+      <td>${escapeHtml(fmtJournalPools(e.poolsBefore, e.poolsAfter))}</td>
+    `;
+    journalTableEl.appendChild(tr);
+  }
+}
+
+journalReplayBtn.addEventListener("click", () => {
+  const res = replayJournal(match.journal);
+  if (!res.ok) {
+    setMessage(journalMsgEl, res.reason, "error");
+    return;
+  }
+
+  const samePools = JSON.stringify(res.match.pools) === JSON.stringify(match.pools);
+  if (res.mismatches.length === 0 && samePools) {
+    setMessage(journalMsgEl, `Replayed ${match.journal.length} entries: the final pools match exactly (${fmtMoney(allPoolsTotal(res.match))} in all markets).`, "success");
+    return;
+  }
+  const first = res.mismatches[0];
+  const where = first ? ` First difference at entry #${first.seq} (${first.action}): ${first.reason}` : "";
+  setMessage(journalMsgEl, `Replay does NOT reproduce the current pools: ${res.mismatches.length} entr${res.mismatches.length === 1 ? "y differs" : "ies differ"}.${where}`, "error");
+});
+
+journalCsvBtn.addEventListener("click", () => {
+  downloadText(`journal-${match.seed}.csv`, "text/csv", journalCsv(match.journal));
+});
+
+journalJsonBtn.addEventListener("click", () => {
+  downloadText(`journal-${match.seed}.json`, "application/json", JSON.stringify(match.journal, null, 2));
+});
+
+// -----------------------------
+// Import & verify
+// -----------------------------
+
+function renderFindings(findings) {
+  verifyListEl.innerHTML = "";
+  for (const f of findings) {
+    const li = document.createElement("li");
+    li.className = f.ok ? "ok" : "bad";
+    li.textContent = `${f.ok ? "✓" : "✗"} ${f.text}`;
+    verifyListEl.appendChild(li);
+  }
+
+  const failed = findings.filter(f => !f.ok).length;
+  if (failed === 0) {
+    setMessage(importMsgEl, `Verified: all ${findings.length} checks pass. The settlement is internally consistent.`, "success");
+  } else {
+    setMessage(importMsgEl, `TAMPERING SUSPECTED: ${failed} of ${findings.length} checks failed.`, "error");
+  }
+}
+
+importBtn.addEventListener("click", () => {
+  const res = match.running
+    ? { ok: false, reason: "Pause or finish the running match before importing." }
+    : matchFromSettlement(importJsonInput.value);
+  if (!res.ok) {
+    verifyListEl.innerHTML = "";
+    setMessage(importMsgEl, res.reason, "error");
+    return;
+  }
+
+  // Amounts in the export are in its own currency.
+  renderCurrencyOptions(setCurrency(res.settlement.meta.currency.code).currency);
+  showMatch(res.match);
+  renderFindings(res.findings);
+});
+
+verifyBtn.addEventListener("click", () => {
+  if (!match.settlement) {
+    setMessage(importMsgEl, "No settlement yet. Finish the match or import one.", "error");
+    return;
+  }
+  renderFindings(verifySettlement(match.settlement, match.fixture));
+});
+
+importFileInput.addEventListener("change", () => {
+  const file = importFileInput.files && importFileInput.files[0];
+  if (!file) return;
+
+  file.text()
+    .then((text) => {
+      importJsonInput.value = text;
+      setMessage(importMsgEl, `Loaded ${file.name}. Press Import & verify.`, undefined);
+    })
+    .catch((err) => {
+      setMessage(importMsgEl, `Could not read ${file.name}: ${err.message}`, "error");
+    })
+    .finally(() => {
+      importFileInput.value = "";
+    });
+});
+
+// -----------------------------
+// Monte Carlo
+// -----------------------------
+
+// Matches per batch between repaints, so a long simulation does not freeze the page.
+const MONTE_CARLO_CHUNK = 250;
+
+// The last finished simulation (montecarlo.js) and its summary; page-only, not saved with the session.
+let monteCarloResult = null;
+
+function fmtPercent(x) {
+  return x == null ? "—" : `${(x * 100).toFixed(1)}%`;
+}
+
+function fmtMultiple(x) {
+  return x == null ? "—" : `${x.toFixed(2)}x`;
+}
+
+function monteCarloBasePools() {
+  // The open match's pools as they stand, or the same amount on every outcome.
+  if (mcPoolSourceInput.value === "even") {
+    const amount = toMinor(mcEvenPoolInput.value);
+    return Object.fromEntries(match.markets.map(market => [market.id, Object.fromEntries(market.outcomes.map(o => [o.id, amount]))]));
+  }
+  return Object.fromEntries(match.markets.map(market => [market.id, getPools(match, market.id).pools]));
+}
+
+function renderMonteCarlo() {
+  const summary = monteCarloResult && monteCarloResult.summary;
+  mcCsvBtn.disabled = !summary;
+  mcJsonBtn.disabled = !summary;
+  mcDoneEl.textContent = summary ? summary.runs.toLocaleString("en-US") : "—";
+  mcVoidRateEl.textContent = summary ? fmtPercent(summary.voidRate) : "—";
+  mcReturnRateEl.textContent = summary ? fmtPercent(summary.totals.returnRate) : "—";
+  mcAvgFeesEl.textContent = summary ? fmtMoney(Math.round(summary.totals.avgFees)) : "—";
+
+  mcSummaryTableEl.innerHTML = "";
+  if (!summary) {
+    mcSummaryTableEl.innerHTML = "<tr><td colspan=\"6\" style=\"color: var(--muted);\">No simulation yet</td></tr>";
+    mcOutcomeTableEl.innerHTML = "";
+    renderMonteCarloChart();
+    return;
+  }
+
+  for (const m of summary.markets) {
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td>${escapeHtml(m.name)}</td>
+      <td>${fmtPercent(m.voidRate)}</td>
+      <td>${m.noWinner}</td>
+      <td>${fmtMultiple(m.avgMultiple)}</td>
+      <td>${m.minMultiple == null ? "—" : `${fmtMultiple(m.minMultiple)} – ${fmtMultiple(m.maxMultiple)}`}</td>
+      <td>${fmtMoney(Math.round(m.avgFees))}</td>
+    `;
+    mcSummaryTableEl.appendChild(tr);
+  }
+  renderMonteCarloMarket();
+}
+
+function renderMonteCarloMarket() {
+  // Outcome table and histograms for the market picked under the summary.
+  const summary = monteCarloResult && monteCarloResult.summary;
+  if (!summary) return;
+  const m = summary.markets.find(x => x.marketId === mcMarketInput.value) || summary.markets[0];
+
+  mcOutcomeTableEl.innerHTML = "";
+  const rows = [...m.outcomes];
+  if (m.void > 0) rows.push({ label: "Void (refunded)", wins: m.void, share: m.voidRate, avgMultiple: 1 });
+  for (const o of rows) {
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td>${escapeHtml(o.label)}</td>
+      <td>${o.wins}</td>
+      <td>${fmtPercent(o.share)}</td>
+      <td>${fmtMultiple(o.avgMultiple)}</td>
+    `;
+    mcOutcomeTableEl.appendChild(tr);
+  }
+  renderMonteCarloChart(m, summary);
+}
+
+function drawHistogram(ctx, bins, { left, right, top, bottom, title, label, color }) {
+  // Bars over equal-width bins; the x axis shows the first, middle and last bin edges.
+  ctx.fillStyle = "#9ca3af";
+  ctx.textAlign = "left";
+  ctx.textBaseline = "top";
+  ctx.fillText(title, left, top - 16);
+  if (bins.length === 0) {
+    ctx.fillText("No values.", left, (top + bottom) / 2);
+    return;
+  }
+
+  const maxCount = Math.max(...bins.map(b => b.count));
+  const width = (right - left) / bins.length;
+  ctx.fillStyle = color;
+  bins.forEach((b, i) => {
+    const h = (bottom - top) * b.count / maxCount;
+    ctx.fillRect(left + width * i + 1, bottom - h, Math.max(1, width - 2), h);
+  });
+
+  ctx.strokeStyle = "rgba(255, 255, 255, 0.08)";
+  ctx.beginPath();
+  ctx.moveTo(left, bottom);
+  ctx.lineTo(right, bottom);
+  ctx.stroke();
+
+  ctx.fillStyle = "#9ca3af";
+  ctx.textAlign = "right";
+  ctx.fillText(`${maxCount}`, right, top - 16);
+  const middle = bins[Math.floor(bins.length / 2)];
+  for (const [x, value, align] of [[left, bins[0].from, "left"], [(left + right) / 2, middle.from, "center"], [right, bins[bins.length - 1].to, "right"]]) {
+    ctx.textAlign = align;
+    ctx.fillText(label(value), x, bottom + 6);
+  }
+}
+
+function renderMonteCarloChart(market, summary) {
+  // Left: payout multiples of a winning slip in the picked market. Right: house fees per match.
+  const ctx = mcChartEl.getContext("2d");
+  const { width, height } = mcChartEl;
+  ctx.clearRect(0, 0, width, height);
+  ctx.font = "11px ui-sans-serif, system-ui, sans-serif";
+  ctx.lineWidth = 1;
+
+  if (!market) {
+    ctx.fillStyle = "#9ca3af";
+    ctx.fillText("Run a simulation to see the histograms.", 12, height / 2);
+    return;
+  }
+
+  const top = 32;
+  const bottom = height - 24;
+  const middle = width / 2;
+  drawHistogram(ctx, market.multipleHistogram, {
+    left: 16,
+    right: middle - 16,
+    top,
+    bottom,
+    title: `Payout multiple — ${market.name}`,
+    label: fmtMultiple,
+    color: CHART_COLORS[0]
+  });
+  drawHistogram(ctx, summary.feeHistogram, {
+    left: middle + 16,
+    right: width - 16,
+    top,
+    bottom,
+    title: "House fees per match (all markets)",
+    label: (x) => fmtMoney(Math.round(x)),
+    color: CHART_COLORS[3]
+  });
+}
+
+mcRunBtn.addEventListener("click", () => {
+  const seed = normalizeSeed(mcSeedInput.value);
+  const res = createMonteCarlo({
+    fixture: match.fixture,
+    feeSchedule: match.feeSchedule,
+    pools: monteCarloBasePools(),
+    spread: Number(mcSpreadInput.value) / 100,
+    stake: toMinor(mcStakeInput.value),
+    runs: Number(mcRunsInput.value),
+    seed: seed === null ? randomSeed() : seed
+  });
+  if (!res.ok) {
+    const hint = mcPoolSourceInput.value === "match" ? " Place some slips on the open match, or simulate an even book." : "";
+    setMessage(mcMsgEl, `${res.reason}${hint}`, "error");
+    return;
+  }
+
+  const { sim } = res;
+  // The seed used goes back in the box, so the same batch can be run again.
+  mcSeedInput.value = String(sim.config.seed);
+  mcRunBtn.disabled = true;
+
+  const step = () => {
+    const progress = runMonteCarlo(sim, MONTE_CARLO_CHUNK);
+    if (!progress.finished) {
+      setMessage(mcMsgEl, `Simulating… ${progress.done.toLocaleString("en-US")} of ${sim.config.runs.toLocaleString("en-US")} matches.`, undefined);
+      window.setTimeout(step, 0);
+      return;
+    }
+
+    monteCarloResult = { sim, summary: monteCarloSummary(sim) };
+    mcMarketInput.innerHTML = "";
+    for (const market of sim.markets) {
+      const opt = document.createElement("option");
+      opt.value = market.id;
+      opt.textContent = market.name;
+      mcMarketInput.appendChild(opt);
+    }
+    mcRunBtn.disabled = false;
+    renderMonteCarlo();
+    setMessage(mcMsgEl, `Simulated ${progress.done.toLocaleString("en-US")} matches of ${monteCarloResult.summary.match} (seed ${sim.config.seed}).`, "success");
   };
+  step();
+});
+
+mcMarketInput.addEventListener("change", renderMonteCarloMarket);
+
+mcCsvBtn.addEventListener("click", () => {
+  if (!monteCarloResult) return;
+  downloadText(`monte-carlo-${monteCarloResult.sim.config.seed}.csv`, "text/csv", monteCarloCsv(monteCarloResult.summary));
+});
+
+mcJsonBtn.addEventListener("click", () => {
+  if (!monteCarloResult) return;
+  downloadText(`monte-carlo-${monteCarloResult.sim.config.seed}.json`, "application/json", JSON.stringify(monteCarloResult.summary, null, 2));
+});
+
+// -----------------------------
+// Saved session
+// -----------------------------
+
+// Bump SESSION_VERSION whenever the saved shape changes, and add a migration from the old version.
+// Sessions saved under an older version are not migrated: only development builds wrote them, some with
+// float naira that cannot be turned into the exact minor-unit ledgers restored here. loadSnapshot() reports
+// them and a new match starts. The crash page follows the same rule.
+const SESSION_KEY = "tradebet.exchange.session";
+const SESSION_VERSION = 9;
+const SESSION_MIGRATIONS = {};
+
+let saveQueued = false;
+
+function saveSession() {
+  saveQueued = false;
+  const res = saveSnapshot(SESSION_KEY, SESSION_VERSION, {
+    open: board.findIndex(e => e.match === match),
+    matches: board.map(e => matchSnapshot(e.match)),
+    crowds: board.map(e => crowdSnapshot(e.crowd))
+  });
+  if (!res.ok) setMessage(sessionMsgEl, res.reason, "error");
+}
+
+function queueSave() {
+  // One write per burst of changes (a tick, a replay), not one per mutation.
+  if (saveQueued) return;
+  saveQueued = true;
+  window.setTimeout(saveSession, 0);
+}
+
+function discardSavedSession(reason) {
+  // A snapshot that cannot be restored is dropped, so the next load does not trip over it again.
+  clearSnapshot(SESSION_KEY);
+  setMessage(sessionMsgEl, `${reason} Started a new match.`, "error");
+  return false;
+}
+
+function resumeSavedSession() {
+  // Returns true when a saved session was restored.
+  const saved = loadSnapshot(SESSION_KEY, SESSION_VERSION, SESSION_MIGRATIONS);
+  if (!saved.ok) return discardSavedSession(saved.reason);
+  if (!saved.data) return false;
+  const { matches, crowds } = saved.data;
+  if (!Array.isArray(matches) || !Array.isArray(crowds)) return discardSavedSession("Saved session is incomplete.");
+
+  // All or nothing: a dashboard missing one of its matches would look like a complete one.
+  const restored = [];
+  const restoredCrowds = [];
+  for (const [i, data] of matches.entries()) {
+    const res = matchFromSnapshot(data);
+    const crowd = crowdFromSnapshot(crowds[i]);
+    if (!res.ok || !crowd.ok) return discardSavedSession(res.ok ? crowd.reason : res.reason);
+    restored.push(res);
+    restoredCrowds.push(crowd.crowd);
+  }
+  if (restored.length === 0) return false;
+
+  clearBoard();
+  const entries = restored.map((res, i) => addMatch(res.match, restoredCrowds[i]));
+  openMatch(entries[clampNumber(saved.data.open, 0, entries.length - 1)].id);
+  // Running clocks keep running.
+  restored.forEach((res, i) => {
+    if (res.running) startClock(entries[i]);
+  });
   renderMatchState();
+  renderSlips();
+  renderJournal();
+  renderBoard();
+
+  const where = match.ended ? "full time" : (match.halfTime ? "half-time" : clockLabel(match));
+  const live = restored.filter(res => res.running).length;
+  setMessage(
+    sessionMsgEl,
+    `Resumed ${entries.length} saved match(es), ${live} running. Open: ${fixtureTitle(match.fixture)} at ${where} (seed ${match.seed}).`,
+    "success"
+  );
+  return true;
+}
+
+clearSessionBtn.addEventListener("click", () => {
+  clearSnapshot(SESSION_KEY);
+  clearBoard();
+  addMatch(createMatch({ fixture: match.fixture, seed: randomSeed(), mode: match.mode, feeSchedule: match.feeSchedule, abandonRule: match.abandonRule }));
+  setMessage(dashboardMsgEl, "", undefined);
+  setMessage(sessionMsgEl, `Saved session cleared. New match with seed ${match.seed}.`, "success");
+});
+
+// Flush a pending save when the page goes away.
+window.addEventListener("pagehide", () => {
+  if (saveQueued) saveSession();
+});
+
+// -----------------------------
+// Fixture setup
+// -----------------------------
+
+function applyFixture(fixture) {
+  const res = setFixture(match, fixture);
+  if (!res.ok) return res;
+
+  renderFixture();
+  renderAll();
+  return res;
 }
 
+function renderFixture() {
+  const { fixture } = match;
+  const title = `Betting Exchange Simulator — ${fixtureTitle(fixture)}`;
+  document.title = title;
+  pageTitleEl.textContent = title;
+  matchNameEl.textContent = fixtureTitle(fixture);
+  competitionEl.textContent = fixture.competition || "Friendly";
+  durationEl.textContent = String(fixture.durationMinutes);
+  endHintEl.textContent = `${fixture.durationMinutes}' plus added time`;
+
+  for (const select of [betMarketInput, orderMarketInput, feeOverrideMarketInput, historyMarketInput]) {
+    select.innerHTML = "";
+    for (const market of match.markets) {
+      const opt = document.createElement("option");
+      opt.value = market.id;
+      opt.textContent = market.name;
+      select.appendChild(opt);
+    }
+  }
+  renderOutcomeOptions();
+  renderOrderOutcomeOptions();
+  renderFees();
+}
+
+fixtureFileInput.addEventListener("change", () => {
+  const file = fixtureFileInput.files && fixtureFileInput.files[0];
+  if (!file) return;
+
+  file.text()
+    .then((text) => {
+      const parsed = normalizeFixture(JSON.parse(text));
+      if (!parsed.ok) throw new Error(parsed.reason);
+
+      const res = applyFixture(parsed.fixture);
+      if (!res.ok) throw new Error(res.reason);
+      setMessage(fixtureMsgEl, `Loaded fixture ${fixtureTitle(res.fixture)} from ${file.name}.`, "success");
+    })
+    .catch((err) => {
+      setMessage(fixtureMsgEl, `Fixture not loaded: ${err.message}`, "error");
+    })
+    .finally(() => {
+      fixtureFileInput.value = "";
+    });
+});
+
 // -----------------------------
 // Events
 // -----------------------------
 
 startBtn.addEventListener("click", () => startTimer());
 pauseBtn.addEventListener("click", () => pauseTimer());
-finishBtn.addEventListener("click", () => endMatch("manual"));
+finishBtn.addEventListener("click", () => finishMatch("manual"));
+abandonBtn.addEventListener("click", () => finishMatch("abandoned"));
+postponeBtn.addEventListener("click", () => finishMatch("postponed"));
+
+function fillOutcomeOptions(select, market) {
+  select.innerHTML = "";
+  for (const outcome of market.outcomes) {
+    const opt = document.createElement("option");
+    opt.value = outcome.id;
+    opt.textContent = outcome.label;
+    select.appendChild(opt);
+  }
+}
 
-function onPoolInputChange() {
-  if (state.ended) return;
+function renderOutcomeOptions() {
+  fillOutcomeOptions(betOutcomeInput, getMarket(match, betMarketInput.value) || match.markets[0]);
+}
 
-  // Keep the inputs as non-negative integers-ish.
-  arsenalPoolInput.value = String(Math.floor(safeNumber(arsenalPoolInput.value)));
-  liverpoolPoolInput.value = String(Math.floor(safeNumber(liverpoolPoolInput.value)));
+function renderOrderOutcomeOptions() {
+  fillOutcomeOptions(orderOutcomeInput, getMarket(match, orderMarketInput.value) || match.markets[0]);
+}
 
-  renderPoolsAndOdds();
+betMarketInput.addEventListener("change", renderOutcomeOptions);
+orderMarketInput.addEventListener("change", () => {
+  renderOrderOutcomeOptions();
+  renderOrderBook();
+});
+
+function applyFeeSchedule(schedule) {
+  const res = setFeeSchedule(match, schedule);
+  if (!res.ok) {
+    renderFees();
+    setMessage(feeMsgEl, res.reason, "error");
+    return;
+  }
+  renderFees();
+  renderJournal();
+  queueSave();
+}
+
+abandonRuleSelect.addEventListener("change", () => {
+  const res = setAbandonRule(match, abandonRuleSelect.value);
+  if (!res.ok) setMessage(feeMsgEl, res.reason, "error");
+  renderAbandonRule();
+  renderJournal();
+  queueSave();
+});
+
+feeModelSelect.addEventListener("change", () => {
+  applyFeeSchedule({ ...match.feeSchedule, model: FEE_PRESETS[feeModelSelect.value] });
+});
+
+feeOverrideMarketInput.addEventListener("change", renderFees);
+
+feeOverrideModelSelect.addEventListener("change", () => {
+  const markets = { ...match.feeSchedule.markets };
+  if (feeOverrideModelSelect.value) markets[feeOverrideMarketInput.value] = FEE_PRESETS[feeOverrideModelSelect.value];
+  else delete markets[feeOverrideMarketInput.value];
+  applyFeeSchedule({ ...match.feeSchedule, markets });
+});
+
+modeSelect.addEventListener("change", () => {
+  const res = setMode(match, modeSelect.value);
+  if (!res.ok) {
+    modeSelect.value = match.mode;
+    setMessage(orderMsgEl, res.reason, "error");
+    return;
+  }
+  renderMode();
+  renderMatchState();
+  renderJournal();
+  renderBoard();
+  queueSave();
+});
+
+currencySelect.addEventListener("change", () => {
+  // Display only: the amounts stay the same number of minor units.
+  const res = setCurrency(currencySelect.value);
+  if (!res.ok) {
+    currencySelect.value = activeCurrency().code;
+    setMessage(feeMsgEl, res.reason, "error");
+    return;
+  }
+  renderOpenMatch();
+  renderMonteCarlo();
+});
+
+submitOrderBtn.addEventListener("click", () => {
+  const res = placeOrder(match, {
+    bettor: orderBettorInput.value,
+    marketId: orderMarketInput.value,
+    outcomeId: orderOutcomeInput.value,
+    side: orderSideInput.value,
+    odds: orderOddsInput.value,
+    stake: toMinor(orderStakeInput.value)
+  });
+  if (!res.ok) {
+    setMessage(orderMsgEl, res.reason, "error");
+    return;
+  }
+  renderOrderBook();
+  renderOddsChart();
+  renderMatchState();
+  renderJournal();
+  renderBoard();
+  queueSave();
+
+  const { order, fills } = res;
+  const matched = order.stake - order.remaining;
+  setMessage(
+    orderMsgEl,
+    `Order #${order.id}: ${order.bettor} ${order.side}s at ${order.odds.toFixed(2)} for ${fmtMoney(order.stake)}. ` +
+      (fills.length > 0
+        ? `Matched ${fmtMoney(matched)} in ${fills.length} fill(s)${order.remaining > 0 ? `, ${fmtMoney(order.remaining)} resting` : ""}.`
+        : "Resting in the book (unmatched)."),
+    "success"
+  );
+});
+
+function onCancelOrder(orderId) {
+  const res = cancelOrderById(match, orderId);
+  if (!res.ok) {
+    setMessage(orderMsgEl, res.reason, "error");
+    return;
+  }
+  renderOrderBook();
+  renderOddsChart();
+  renderJournal();
+  renderBoard();
+  queueSave();
+  setMessage(orderMsgEl, `Order #${res.order.id} cancelled (${fmtMoney(res.cancelled)} unmatched).`, "success");
 }
 
-arsenalPoolInput.addEventListener("input", onPoolInputChange);
-liverpoolPoolInput.addEventListener("input", onPoolInputChange);
+placeBetBtn.addEventListener("click", () => {
+  const res = placeBet(match, {
+    bettor: bettorNameInput.value,
+    marketId: betMarketInput.value,
+    outcomeId: betOutcomeInput.value,
+    stake: toMinor(betStakeInput.value)
+  });
+  if (!res.ok) {
+    setMessage(betMsgEl, res.reason, "error");
+    return;
+  }
+  renderPoolsAndOdds();
+  renderSlips();
+  renderOddsChart();
+  renderMatchState();
+  renderJournal();
+  renderBoard();
+  queueSave();
 
-calcFinalBtn.addEventListener("click", () => {
-  if (!state.ended) return;
-  renderFinalPayout();
+  const { slip } = res;
+  const market = getMarket(match, slip.marketId);
+  setMessage(
+    betMsgEl,
+    `Slip #${slip.id}: ${slip.bettor} backs ${outcomeLabel(market, slip.outcomeId)} (${market.name}) for ${fmtMoney(slip.stake)} at ${clockLabel(match, slip.minute)}.`,
+    "success"
+  );
 });
 
-withdrawFinalBtn.addEventListener("click", () => {
-  const res = withdrawFinalPayout();
+function onCashOutSlip(slipId) {
+  const res = cashOutSlip(match, slipId);
+  if (!res.ok) {
+    setMessage(betMsgEl, res.reason, "error");
+    return;
+  }
+  renderPoolsAndOdds();
+  renderSlips();
+  renderOddsChart();
+  renderJournal();
+  renderBoard();
+  queueSave();
+
+  setMessage(
+    betMsgEl,
+    `Slip #${res.slip.id} cashed out at ${clockLabel(match, res.minute)}: ${res.slip.bettor} receives ${fmtMoney(res.payout)} (fee ${fmtMoney(res.fee)}). Stake removed from the ${outcomeLabel(res.market, res.slip.outcomeId)} pool.`,
+    "success"
+  );
+}
+
+for (const el of [betStakeInput, orderStakeInput]) {
+  el.addEventListener("change", () => {
+    el.value = String(fromMinor(toMinor(el.value)));
+  });
+}
+
+function onWithdrawSlip(slipId) {
+  const res = withdrawFinalPayout(match, slipId);
   if (!res.ok) {
     setMessage(finalMsgEl, res.reason, "error");
     return;
   }
+  renderPoolsAndOdds();
+  renderSlips();
+  renderPayoutReport();
+  renderJournal();
+  renderBoard();
+  queueSave();
+
+  if (res.winningOutcome === null) {
+    setMessage(finalMsgEl, `Refunded ${fmtMoney(res.stake)} to ${res.slip.bettor} (slip #${res.slip.id}, ${res.market.name} void). Pools updated.`, "success");
+    return;
+  }
 
   setMessage(
     finalMsgEl,
-    `Withdrawn ${fmtMoney(res.payout)} for ${res.winningSide}. Winning pool -${fmtMoney(res.stake)} (stake). Losing pool -${fmtMoney(res.profitPart)} (profit). Pools updated.`,
+    `Withdrawn ${fmtMoney(res.payout)} to ${res.slip.bettor} (slip #${res.slip.id}, ${outcomeLabel(res.market, res.winningOutcome)}). Winning pool -${fmtMoney(res.stake)} (stake). Losing pools -${fmtMoney(res.profitPart)} (profit). Pools updated.`,
     "success"
   );
-});
+}
 
 // -----------------------------
 // Init
 // -----------------------------
 
-function init() {
+function init(fixture) {
   // Ensure numeric inputs are in a clean state
-  arsenalPoolInput.value = String(Math.floor(safeNumber(arsenalPoolInput.value)));
-  liverpoolPoolInput.value = String(Math.floor(safeNumber(liverpoolPoolInput.value)));
-  finalStakeInput.value = String(Math.floor(safeNumber(finalStakeInput.value)));
-
-  renderMatchState();
-  renderPoolsAndOdds();
-
-  finalScoreEl.textContent = "—";
-  winningSideEl.textContent = "—";
-  settlementJsonEl.value = "";
-  setMessage(finalMsgEl, "", undefined);
-  state.lastFinalCalc = null;
+  renderCurrencyOptions(loadCurrency());
+  renderMonteCarlo();
+  for (const el of [betStakeInput, orderStakeInput]) el.value = String(fromMinor(toMinor(el.value)));
+
+  // ?seed=… reproduces a reported match; otherwise every page load gets a fresh seed.
+  const params = new URLSearchParams(window.location.search);
+  const seed = normalizeSeed(params.get("seed"));
+
+  // A saved session resumes unless the URL asks for a specific match; otherwise the first match is created here.
+  const pinned = seed !== null
+    || ["fixture", "home", "away", "competition", "duration", "homeRate", "awayRate", "maxGoals"].some(k => params.has(k));
+  if (pinned || !resumeSavedSession()) {
+    addMatch(createMatch({ fixture, seed: seed === null ? randomSeed() : seed, mode: modeSelect.value }));
+  }
 }
 
-init();
+loadFixtureFromUrl(window.location.search)
+  .catch((err) => {
+    setMessage(fixtureMsgEl, `${err.message} Using ${fixtureTitle(DEFAULT_FIXTURE)}.`, "error");
+    return DEFAULT_FIXTURE;
+  })
+  .then(init);
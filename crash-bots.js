@@ -0,0 +1,241 @@
+// Bot players for the liquidity-based crash simulator: DOM-free, runs in the browser and in Node
+// A bot population is a group of made-up players ("Cautious 1" … "Cautious 5") that share a stake size,
+// a join time and a cash-out strategy:
+// - stake: `avgStake` ± `spread` (share of the average), in whole major units
+// - join: "before" the flight (when the countdown starts) or "during" it, at a tick within `joinWithin`
+// - strategy: "fixed" cashes out at `target`; "random" at a target drawn from `min`–`max`; "liquidity"
+//   cashes out once liquidity / highest required payout drops below `ratio` (the round crashes below 1)
+// Fixed and random targets are ordinary auto-cashouts, so the engine cashes them out inside tickFlight();
+// liquidity watchers cash out between ticks like a player clicking. Bots stake and cash out through
+// addStake() and cashOutPlayer(), so they sit in the same tables, round history and journal as everyone else.
+// A round's bots are planned up front from the round's own PRNG stream (game.rng): the same seed and
+// populations give the same bots.
+
+// In Node the sibling scripts are required; in the browser they are already loaded as globals.
+if (typeof module !== "undefined" && module.exports) {
+  var { minorScale } = require("./money.js");
+  var { normalizeAutoCashout, maxRequiredPayout, flightTicks, addStake, cashOutPlayer } = require("./crash-engine.js");
+}
+
+const MAX_BOTS = 200;
+const MAX_JOIN_TICKS = 500;
+const BOT_STRATEGIES = ["fixed", "random", "liquidity"];
+
+const DEFAULT_BOT_POPULATIONS = [
+  { name: "Cautious", count: 5, avgStake: 50000, spread: 0.5, join: "before", joinWithin: 1, strategy: "fixed", target: 1.1 },
+  { name: "Gambler", count: 3, avgStake: 200000, spread: 0.5, join: "during", joinWithin: 20, strategy: "random", min: 1.5, max: 5 },
+  { name: "Watcher", count: 4, avgStake: 100000, spread: 0.5, join: "before", joinWithin: 1, strategy: "liquidity", ratio: 1.2 }
+];
+
+/**
+ * @typedef {Object} BotPopulation
+ * @property {string} name Bots are called "<name> 1", "<name> 2", …
+ * @property {number} count
+ * @property {number} avgStake Minor units.
+ * @property {number} spread 0–1.
+ * @property {"before"|"during"} join
+ * @property {number} joinWithin Ticks into the flight a "during" bot joins by.
+ * @property {"fixed"|"random"|"liquidity"} strategy
+ * @property {number} [target] fixed
+ * @property {number} [min] random
+ * @property {number} [max] random
+ * @property {number} [ratio] liquidity
+ */
+
+/**
+ * One bot of a round's plan: what it will do, then the player it became.
+ * @typedef {Object} PlannedBot
+ * @property {string} name
+ * @property {string} population
+ * @property {number} stake
+ * @property {number} joinTick 0 = before the flight.
+ * @property {"fixed"|"random"|"liquidity"} strategy
+ * @property {(number|null)} target Auto-cashout multiplier (fixed, random).
+ * @property {(number|null)} ratio Liquidity ratio to leave at (liquidity).
+ * @property {(number|null)} playerId Once joined.
+ * @property {(string|null)} skipped Why the bot could not join.
+ */
+
+function targetProblem(name, x) {
+  // null when `x` is a usable auto-cashout target, else the reason. Populations are set up before the game
+  // they play in, so the game's own minimum is checked when a bot stakes: one aiming below it is skipped.
+  if (!Number.isFinite(x)) return `${name}: targets must be numbers.`;
+  const res = normalizeAutoCashout(x);
+  return res.ok ? null : `${name}: ${res.reason}`;
+}
+
+function normalizeBotPopulations(raw) {
+  // Returns { ok, populations } or { ok: false, reason }.
+  if (!Array.isArray(raw)) return { ok: false, reason: "Bot populations must be a list." };
+
+  const populations = [];
+  const names = new Set();
+  let total = 0;
+  for (const [i, p] of raw.entries()) {
+    const where = `Population ${i + 1}`;
+    if (!p || typeof p !== "object") return { ok: false, reason: `${where} is not an object.` };
+
+    const name = String(p.name || "").trim();
+    if (!name || name.length > 20) return { ok: false, reason: `${where} needs a name of up to 20 characters.` };
+    if (names.has(name)) return { ok: false, reason: `Two populations are called "${name}".` };
+    names.add(name);
+
+    const { count, avgStake, spread = 0, join = "before", joinWithin = 1, strategy } = p;
+    if (!(Number.isInteger(count) && count >= 1)) return { ok: false, reason: `${name}: count must be a whole number from 1.` };
+    total += count;
+    if (!(Number.isInteger(avgStake) && avgStake > 0)) return { ok: false, reason: `${name}: average stake must be greater than 0.` };
+    if (!(Number.isFinite(spread) && spread >= 0 && spread <= 1)) return { ok: false, reason: `${name}: spread must be between 0 and 1.` };
+    if (join !== "before" && join !== "during") return { ok: false, reason: `${name}: join must be "before" or "during".` };
+    if (!(Number.isInteger(joinWithin) && joinWithin >= 1 && joinWithin <= MAX_JOIN_TICKS)) {
+      return { ok: false, reason: `${name}: joinWithin must be a whole number of ticks from 1 to ${MAX_JOIN_TICKS}.` };
+    }
+
+    const population = { name, count, avgStake, spread, join, joinWithin, strategy };
+    if (strategy === "fixed") {
+      const problem = targetProblem(name, p.target);
+      if (problem) return { ok: false, reason: problem };
+      population.target = p.target;
+    } else if (strategy === "random") {
+      const problem = targetProblem(name, p.min) || targetProblem(name, p.max);
+      if (problem) return { ok: false, reason: problem };
+      if (p.min > p.max) return { ok: false, reason: `${name}: min must not be above max.` };
+      population.min = p.min;
+      population.max = p.max;
+    } else if (strategy === "liquidity") {
+      if (!(Number.isFinite(p.ratio) && p.ratio >= 1 && p.ratio <= 10)) return { ok: false, reason: `${name}: ratio must be between 1 and 10.` };
+      population.ratio = p.ratio;
+    } else {
+      return { ok: false, reason: `${name}: strategy must be one of ${BOT_STRATEGIES.join(", ")}.` };
+    }
+    populations.push(population);
+  }
+  if (total > MAX_BOTS) return { ok: false, reason: `At most ${MAX_BOTS} bots in all (${total} asked for).` };
+  return { ok: true, populations };
+}
+
+function drawBotStake(rng, { avgStake, spread }) {
+  // Uniform within ± spread of the average, in whole major units, at least one.
+  const unit = minorScale();
+  const x = avgStake * (1 + spread * (2 * rng.next() - 1));
+  return Math.max(unit, Math.round(x / unit) * unit);
+}
+
+function planBots(game, populations) {
+  // Draws every bot of the round from game.rng. Returns the plan (PlannedBot[]), before-flight bots first.
+  const bots = [];
+  for (const p of populations) {
+    for (let i = 1; i <= p.count; i++) {
+      const stake = drawBotStake(game.rng, p);
+      const joinTick = p.join === "before" ? 0 : game.rng.int(1, p.joinWithin);
+      let target = null;
+      if (p.strategy === "fixed") target = p.target;
+      if (p.strategy === "random") target = Math.round((p.min + (p.max - p.min) * game.rng.next()) * 100) / 100;
+      bots.push({
+        name: `${p.name} ${i}`,
+        population: p.name,
+        stake,
+        joinTick,
+        strategy: p.strategy,
+        target,
+        ratio: p.strategy === "liquidity" ? p.ratio : null,
+        playerId: null,
+        skipped: null
+      });
+    }
+  }
+  return bots.sort((a, b) => a.joinTick - b.joinTick);
+}
+
+function joinBots(game, plan, tick) {
+  // Stakes every bot due at `tick` that has not joined yet. Returns { joined, crashed }.
+  const joined = [];
+  for (const bot of plan) {
+    if (bot.playerId !== null || bot.skipped !== null || bot.joinTick > tick) continue;
+    if (game.phase === "crashed") break;
+
+    const res = addStake(game, bot.stake, { autoCashout: bot.target, name: bot.name });
+    if (!res.ok) {
+      bot.skipped = res.reason;
+      continue;
+    }
+    bot.playerId = res.player.id;
+    joined.push(res.player);
+    if (res.crashed) return { joined, crashed: true };
+  }
+  return { joined, crashed: false };
+}
+
+function botsBeforeFlight(game, plan) {
+  // Call when the countdown starts (or before beginFlight() from a script). Returns { joined, crashed }.
+  return joinBots(game, plan, 0);
+}
+
+function botsAfterTick(game, plan) {
+  // Call after every tickFlight() that did not crash: liquidity watchers leave, then bots due by this tick
+  // join. Returns { joined, cashedOut, crashed }.
+  if (game.phase !== "flying") return { joined: [], cashedOut: [], crashed: game.phase === "crashed" };
+
+  const cashedOut = [];
+  for (const bot of plan) {
+    if (bot.strategy !== "liquidity" || bot.playerId === null) continue;
+    if (!game.playersActive.some(p => p.id === bot.playerId)) continue;
+
+    const required = maxRequiredPayout(game);
+    if (!(required > 0) || game.liquidity / required >= bot.ratio) continue;
+    const res = cashOutPlayer(game, bot.playerId);
+    if (res.ok) cashedOut.push(res.player);
+    if (res.crashed) return { joined: [], cashedOut, crashed: true };
+  }
+
+  const res = joinBots(game, plan, flightTicks(game));
+  return { joined: res.joined, cashedOut, crashed: res.crashed };
+}
+
+function botResults(game, plan) {
+  // Per population, from the players the bots became: [{ population, bots, joined, staked, paid, won, lost, active }].
+  // A bot has won only when its payout beats its stake; cashing out below 1.0x pays out but is not a win.
+  const players = new Map([...game.playersActive, ...game.playersCashedOut].map(p => [p.id, p]));
+  const rows = new Map();
+  for (const bot of plan) {
+    if (!rows.has(bot.population)) rows.set(bot.population, { population: bot.population, bots: 0, joined: 0, staked: 0, paid: 0, won: 0, lost: 0, active: 0 });
+    const row = rows.get(bot.population);
+    row.bots++;
+    const p = bot.playerId === null ? null : players.get(bot.playerId);
+    if (!p) continue;
+    row.joined++;
+    row.staked += p.stake;
+    if (p.status === "cashed_out") {
+      if (p.finalPayout > p.stake) row.won++;
+      row.paid += p.finalPayout;
+    } else if (p.status === "lost") row.lost++;
+    else row.active++;
+  }
+  return [...rows.values()];
+}
+
+function botPlanFromSnapshot(data) {
+  // Returns { ok, plan } or { ok: false, reason }.
+  if (!Array.isArray(data)) return { ok: false, reason: "Saved bots are not a list." };
+  for (const b of data) {
+    if (!b || typeof b.name !== "string" || typeof b.population !== "string" || !BOT_STRATEGIES.includes(b.strategy)
+      || !Number.isInteger(b.stake) || !Number.isInteger(b.joinTick)
+      || !(b.playerId === null || Number.isInteger(b.playerId))) {
+      return { ok: false, reason: "Saved bots are incomplete." };
+    }
+  }
+  return { ok: true, plan: data };
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    MAX_BOTS,
+    BOT_STRATEGIES,
+    DEFAULT_BOT_POPULATIONS,
+    normalizeBotPopulations,
+    planBots,
+    botsBeforeFlight,
+    botsAfterTick,
+    botResults,
+    botPlanFromSnapshot
+  };
+}
@@ -0,0 +1,795 @@
+// Crash engine for the liquidity-based crash simulator: DOM-free, runs in the browser and in Node
+// Core idea: Liquidity is player-funded. All stakes go into a shared liquidity pool.
+// Cashouts are paid from remaining liquidity.
+// Crash immediately when the pool can no longer pay the highest required payout (stake × player multiplier).
+// Amounts are whole minor units (money.js); a payout is stake × multiplier rounded down.
+// (Interpretation: the pool only needs to be able to pay at least ONE player;
+// we enforce that it can pay the highest staker.)
+// A game is one round: a plain object from createCrashGame(); every function takes it first.
+// Finished rounds go into a round history (recordRound()), a plain array the page keeps across rounds.
+// Every event is also appended to a hash-chained journal that carries over from round to round, so a
+// sceptical player can check that nothing was edited (verifyJournalChain()) and that each crash came out of
+// shouldCrashNow() and nothing else (replayCrashJournal()). Ticks themselves are not journalled: an event
+// during a flight records the tick it happened at, and the replay flies the ticks in between again.
+// crash.js is the page on top of it and owns the timers; crash-experiment.js plays rounds without them.
+//
+// From Node:
+//   const engine = require("./crash-engine.js");
+//   let game = engine.createCrashGame({ seed: 42 });
+//   engine.addStake(game, 100000); // ₦1,000
+//   engine.addStake(game, 50000, { autoCashout: 1.5 }); // ₦500, cashed out by itself at 1.50x
+//   engine.beginFlight(game);
+//   while (game.phase === "flying") engine.tickFlight(game);
+//   const history = [];
+//   engine.recordRound(history, game);
+//   game = engine.nextRound(game); // carries the reserve into the next round
+
+// In Node the sibling scripts are required; in the browser they are already loaded as globals.
+if (typeof module !== "undefined" && module.exports) {
+  var { randomSeed, createRng } = require("./rng.js");
+  var { fmtMoney, mulDiv } = require("./money.js");
+  var { sha256Hex } = require("./hash.js");
+}
+
+// -----------------------------
+// Utilities
+// -----------------------------
+
+function safeNumber(v) {
+  const n = Number(v);
+  if (!Number.isFinite(n)) return 0;
+  return Math.max(0, n);
+}
+
+// -----------------------------
+// Game
+// -----------------------------
+
+// Simulation settings
+// Liquidity is player-funded: it starts at 0 and increases only when players add stakes.
+const START_MULTIPLIER = 0.50;
+const MULTIPLIER_STEP = 0.02;
+// Flight settings a game accepts (two decimals); the batch experiments sweep within the same ranges.
+const START_MULTIPLIER_RANGE = { min: 0.01, max: 10 };
+const MULTIPLIER_STEP_RANGE = { min: 0.01, max: 1 };
+const COUNTDOWN_SECONDS = 10;
+// Highest auto-cashout target; the lowest depends on the game's flight settings (minAutoCashout()).
+const MAX_AUTO_CASHOUT = 1000;
+// Flight curve points kept per round; a longer flight is thinned to every other point.
+const MAX_CURVE_POINTS = 500;
+// Rounds kept in a round history, oldest dropped first.
+const HISTORY_LIMIT = 200;
+// Rounds kept in the journal, and entries as long as that leaves more than one round; older rounds are
+// dropped whole, and the chain then starts from their last hash.
+const JOURNAL_ROUNDS = 10;
+const JOURNAL_MAX_ENTRIES = 2000;
+// Ticks a replay flies towards the next journalled event before it gives up on the journal.
+const MAX_REPLAY_TICKS = 100000;
+// prevHash of the very first entry of a chain.
+const GENESIS_HASH = "0".repeat(64);
+
+/**
+ * @typedef {Object} CrashPlayer
+ * @property {number} id
+ * @property {number} stake
+ * @property {number} entryMultiplier The player's own multiplier: 0.50x when they join, then +0.02 per tick.
+ * @property {number} currentPayout
+ * @property {"active"|"cashed_out"|"lost"} status
+ * @property {string} [name] Shown instead of "User <id>", e.g. for bots.
+ * @property {(number|null)} autoCashout Player multiplier at which the player is cashed out automatically; null = manual only.
+ * @property {number} [cashoutMultiplier] Set once the player leaves the round.
+ * @property {number} [finalPayout]
+ * @property {boolean} [auto] Cashed out by the auto-cashout target rather than by hand.
+ */
+
+/**
+ * One flight tick, taken after the multipliers rise and before any cash-out or crash check.
+ * @typedef {Object} CurvePoint
+ * @property {number} multiplier
+ * @property {number} liquidity
+ * @property {number} required Highest payout the pool has to cover: max(stake × player multiplier).
+ */
+
+/**
+ * @typedef {Object} CrashGame
+ * @property {"idle"|"countdown"|"flying"|"crashed"} phase
+ * @property {number} seed
+ * @property {ReturnType<typeof createRng>} rng Any random behaviour in a round must draw from here
+ *   so the round can be reproduced from its seed.
+ * @property {number} nextPlayerId
+ * @property {number} liquidity
+ * @property {number} reserve Liquidity left at the last crash, carried into the next round.
+ * @property {(number|null)} startLiquidity Liquidity when the plane took off; null before that.
+ * @property {number} startMultiplier Multiplier at take-off and for every new stake (START_MULTIPLIER on the page).
+ * @property {number} step Multiplier rise per tick (MULTIPLIER_STEP on the page).
+ * @property {number} multiplier
+ * @property {number} countdown Seconds left before the flight starts.
+ * @property {CrashPlayer[]} playersActive Most recent first.
+ * @property {CrashPlayer[]} playersCashedOut Cashed out or lost, most recent first.
+ * @property {CurvePoint[]} curve The flight so far, oldest first.
+ * @property {(CrashJournalEntry[]|null)} journal This round's events after those of the rounds before it;
+ *   null when nothing is logged.
+ */
+
+function flightSettingsProblem({ startMultiplier = START_MULTIPLIER, step = MULTIPLIER_STEP } = {}) {
+  // null when the flight settings are usable, else the reason. A step that rounds away to nothing would
+  // keep the multiplier where it is, and the flight would never end.
+  const usable = (x, { min, max }) => Number.isFinite(x) && x >= min && x <= max && Math.round(x * 100) / 100 === x;
+  if (!usable(startMultiplier, START_MULTIPLIER_RANGE)) {
+    return `Start multiplier must be between ${START_MULTIPLIER_RANGE.min} and ${START_MULTIPLIER_RANGE.max}, with two decimals at most.`;
+  }
+  if (!usable(step, MULTIPLIER_STEP_RANGE)) {
+    return `Multiplier step must be between ${MULTIPLIER_STEP_RANGE.min} and ${MULTIPLIER_STEP_RANGE.max}, with two decimals at most.`;
+  }
+  return null;
+}
+
+/**
+ * @param {{seed?: number, reserve?: number, journal?: (CrashJournalEntry[]|null), startMultiplier?: number, step?: number}} [options]
+ *   `journal` is the chain to carry on (a new one starts otherwise, none with null); `startMultiplier` and `step`
+ *   are for experiments, and must pass flightSettingsProblem() (a RangeError is thrown otherwise).
+ * @returns {CrashGame}
+ */
+function createCrashGame({ seed = randomSeed(), reserve = 0, journal = [], startMultiplier = START_MULTIPLIER, step = MULTIPLIER_STEP } = {}) {
+  const problem = flightSettingsProblem({ startMultiplier, step });
+  if (problem) throw new RangeError(problem);
+
+  const game = {
+    phase: "idle",
+    seed,
+    rng: createRng(seed),
+    nextPlayerId: 1,
+    // Carry-over: a new round starts with the reserved liquidity from the last crash.
+    liquidity: reserve,
+    reserve,
+    startLiquidity: null,
+    startMultiplier,
+    step,
+    multiplier: startMultiplier,
+    countdown: COUNTDOWN_SECONDS,
+    playersActive: [],
+    playersCashedOut: [],
+    curve: [],
+    journal
+  };
+  // Other flight settings are written down only when they differ, so page journals read as before.
+  const custom = startMultiplier !== START_MULTIPLIER || step !== MULTIPLIER_STEP;
+  logEvent(game, "carry_over", custom ? { reserve, startMultiplier, step } : { reserve });
+  return game;
+}
+
+function nextRound(game, seed) {
+  // Every round gets its own seed unless a specific one is requested.
+  return createCrashGame({
+    seed: seed == null ? randomSeed() : seed,
+    reserve: game.reserve,
+    journal: trimJournal(game.journal),
+    startMultiplier: game.startMultiplier,
+    step: game.step
+  });
+}
+
+function activeStakeSum(game) {
+  return game.playersActive.reduce((sum, p) => sum + p.stake, 0);
+}
+
+function payoutAt(stake, multiplier) {
+  // Multipliers have two decimals, so this is exact before the one rounding down.
+  return mulDiv(stake, Math.round(multiplier * 100), 100, "down");
+}
+
+function maxRequiredPayout(game) {
+  let m = 0;
+  for (const p of game.playersActive) m = Math.max(m, payoutAt(p.stake, p.entryMultiplier));
+  return m;
+}
+
+// -----------------------------
+// Core crash logic (VERY IMPORTANT)
+// -----------------------------
+
+function shouldCrashNow(game) {
+  const needed = maxRequiredPayout(game);
+  if (!(needed > 0)) return false;
+  // Crash when max(stake × playerMultiplier) > liquidity
+  return needed > game.liquidity;
+}
+
+function crash(game) {
+  // Reserve whatever liquidity is left at the moment of crash,
+  // so the next game can start with this carry-over amount.
+  game.reserve = game.liquidity;
+  game.phase = "crashed";
+
+  // Mark all remaining active players as lost
+  const lost = game.playersActive;
+  for (const p of lost) {
+    game.playersCashedOut.unshift({
+      id: p.id,
+      stake: p.stake,
+      entryMultiplier: p.entryMultiplier,
+      currentPayout: p.currentPayout,
+      status: "lost",
+      autoCashout: p.autoCashout,
+      ...(p.name ? { name: p.name } : {}),
+      cashoutMultiplier: p.entryMultiplier,
+      finalPayout: 0
+    });
+  }
+  game.playersActive = [];
+  logEvent(game, "crash", { multiplier: game.multiplier, tick: flightTicks(game), reserve: game.reserve, lost: lost.length });
+
+  return { ok: true, multiplier: game.multiplier, lost: lost.length };
+}
+
+// -----------------------------
+// Game flow
+// -----------------------------
+
+function startCountdown(game) {
+  if (game.phase !== "idle") return { ok: false, reason: "The round has already started." };
+
+  // Ensure multiplier is reset for countdown/flight.
+  game.multiplier = game.startMultiplier;
+  game.countdown = COUNTDOWN_SECONDS;
+  game.phase = "countdown";
+  logEvent(game, "countdown");
+  return { ok: true, countdown: game.countdown };
+}
+
+function countdownTick(game) {
+  // One second of countdown; the flight begins when it reaches 0.
+  if (game.phase !== "countdown") return { ok: false, reason: "No countdown is running." };
+
+  game.countdown -= 1;
+  if (game.countdown > 0) return { ok: true, countdown: game.countdown, started: false };
+
+  game.countdown = 0;
+  beginFlight(game);
+  return { ok: true, countdown: 0, started: true };
+}
+
+function beginFlight(game) {
+  if (game.phase !== "idle" && game.phase !== "countdown") return { ok: false, reason: "The round has already started." };
+
+  game.phase = "flying";
+  game.multiplier = game.startMultiplier;
+  game.startLiquidity = game.liquidity;
+  game.curve = [];
+  recordCurvePoint(game);
+  logEvent(game, "takeoff");
+  return { ok: true };
+}
+
+function recordCurvePoint(game) {
+  const point = { multiplier: game.multiplier, liquidity: game.liquidity, required: maxRequiredPayout(game) };
+  game.curve.push(point);
+  // Thin out a long flight so a saved session stays small; the latest point is always kept.
+  if (game.curve.length > MAX_CURVE_POINTS) {
+    const last = game.curve.length - 1;
+    game.curve = game.curve.filter((_, i) => i % 2 === 0 || i === last);
+  }
+  return point;
+}
+
+function flightTicks(game) {
+  // Ticks flown so far: the multiplier rises by one step a tick.
+  return Math.round((game.multiplier - game.startMultiplier) / game.step);
+}
+
+function tickFlight(game) {
+  // One flight tick. Returns { ok, multiplier, crashed, autoCashouts } with the players the tick
+  // cashed out automatically (CrashPlayer records, as in playersCashedOut).
+  if (game.phase !== "flying") return { ok: false, reason: "The plane is not flying." };
+
+  // Increase gradually: 0.50, 0.52, 0.54, ...
+  game.multiplier = Number((game.multiplier + game.step).toFixed(2));
+
+  // Per-player multiplier counts from scratch (0.50x at join) and ticks upward.
+  for (const p of game.playersActive) {
+    p.entryMultiplier = Number((p.entryMultiplier + game.step).toFixed(2));
+    p.currentPayout = payoutAt(p.stake, p.entryMultiplier);
+  }
+  recordCurvePoint(game);
+
+  // Auto-cashouts go first, oldest stake first, through the same path as a click: a player whose
+  // multiplier has reached the target leaves at it, so their payout no longer counts towards the crash.
+  const autoCashouts = [];
+  const due = game.playersActive.filter(p => p.autoCashout != null && p.entryMultiplier >= p.autoCashout).reverse();
+  for (const p of due) {
+    const res = cashOutPlayer(game, p.id, { auto: true });
+    if (res.ok) autoCashouts.push(res.player);
+    if (res.crashed) return { ok: true, multiplier: game.multiplier, crashed: true, autoCashouts };
+  }
+
+  // Important clarification for this simplified liquidity model:
+  // We only require the pool to be able to pay the *largest* staker at the current multiplier.
+  // So the game can continue even if it can't cover paying everyone at once.
+  if (shouldCrashNow(game)) {
+    crash(game);
+    return { ok: true, multiplier: game.multiplier, crashed: true, autoCashouts };
+  }
+  return { ok: true, multiplier: game.multiplier, crashed: false, autoCashouts };
+}
+
+// -----------------------------
+// Staking & cashout
+// -----------------------------
+
+function minAutoCashout(game) {
+  // One step above the multiplier a player joins at, reachable in whole ticks or not.
+  return Number((game.startMultiplier + game.step).toFixed(2));
+}
+
+function normalizeAutoCashout(value, min = 0.01) {
+  // null/undefined/"" → null (manual only); otherwise a multiplier rounded to two decimals, from `min`
+  // (minAutoCashout() of the game it is for) to MAX_AUTO_CASHOUT.
+  // Returns { ok, autoCashout } or { ok: false, reason }.
+  if (value == null || value === "") return { ok: true, autoCashout: null };
+  const target = Math.round(Number(value) * 100) / 100;
+  if (!(Number.isFinite(target) && target >= min && target <= MAX_AUTO_CASHOUT)) {
+    return { ok: false, reason: `Auto cash-out must be between ${min.toFixed(2)}x and ${MAX_AUTO_CASHOUT}x, or empty.` };
+  }
+  return { ok: true, autoCashout: target };
+}
+
+function addStake(game, amount, { autoCashout = null, name = null } = {}) {
+  // Allow staking before flight (idle/countdown) and during flight, optionally with an auto-cashout target
+  // and a name for the player.
+  // Returns { ok, player, crashed } or { ok: false, reason }.
+  if (game.phase === "crashed") return { ok: false, reason: "The round has crashed. Start a new game to stake again." };
+
+  const stake = Math.floor(safeNumber(amount));
+  if (!(stake > 0)) return { ok: false, reason: "Stake must be greater than 0." };
+
+  const target = normalizeAutoCashout(autoCashout, minAutoCashout(game));
+  if (!target.ok) return target;
+
+  // Player-funded liquidity: every new stake increases the shared liquidity pool.
+  game.liquidity += stake;
+
+  /** @type {CrashPlayer} */
+  const player = {
+    id: game.nextPlayerId++,
+    stake,
+    // Per-player multiplier starts from scratch at 0.50x when they join.
+    entryMultiplier: game.startMultiplier,
+    currentPayout: payoutAt(stake, game.startMultiplier),
+    status: "active",
+    autoCashout: target.autoCashout,
+    ...(name ? { name: String(name) } : {})
+  };
+
+  // Most recent stakes should appear at the top.
+  game.playersActive.unshift(player);
+  logEvent(game, "stake", { playerId: player.id, stake, autoCashout: player.autoCashout, ...(player.name ? { name: player.name } : {}) });
+
+  // If already flying, adding stake can instantly make crash condition true.
+  const crashed = game.phase === "flying" && shouldCrashNow(game);
+  if (crashed) crash(game);
+  return { ok: true, player, crashed };
+}
+
+function cashOutPlayer(game, playerId, { auto = false } = {}) {
+  // By hand, or with `auto` when tickFlight() reaches the player's target.
+  // Returns { ok, player, payout, crashed } or { ok: false, reason, crashed }.
+  if (game.phase !== "flying") return { ok: false, reason: "Cash out is only possible while the plane is flying.", crashed: false };
+
+  const idx = game.playersActive.findIndex(p => p.id === playerId);
+  if (idx === -1) return { ok: false, reason: "Unknown or inactive player.", crashed: false };
+
+  const p = game.playersActive[idx];
+  const payout = payoutAt(p.stake, p.entryMultiplier);
+
+  // Safety: if payout exceeds remaining liquidity, crash immediately.
+  // (Normally the crash rule prevents this: only the largest staker is guaranteed to be covered.)
+  if (payout > game.liquidity) {
+    crash(game);
+    return { ok: false, reason: "Liquidity cannot cover this payout.", crashed: true };
+  }
+
+  // Remove from active players
+  game.playersActive.splice(idx, 1);
+
+  // Deduct payout from remaining liquidity
+  game.liquidity = Math.max(0, game.liquidity - payout);
+
+  // Move to cashed-out section
+  const player = {
+    id: p.id,
+    stake: p.stake,
+    entryMultiplier: p.entryMultiplier,
+    currentPayout: payout,
+    status: "cashed_out",
+    autoCashout: p.autoCashout,
+    ...(p.name ? { name: p.name } : {}),
+    cashoutMultiplier: p.entryMultiplier,
+    finalPayout: payout,
+    auto
+  };
+  game.playersCashedOut.unshift(player);
+  logEvent(game, "cashout", { playerId: p.id, multiplier: p.entryMultiplier, payout, auto });
+
+  // After liquidity changes, crash might happen on the next tick; also check immediately.
+  const crashed = shouldCrashNow(game);
+  if (crashed) crash(game);
+  return { ok: true, player, payout, crashed };
+}
+
+function resetLiquidity(game) {
+  // Empties the pool and the carry-over reserve; a flying round may crash on the spot.
+  game.liquidity = 0;
+  game.reserve = 0;
+  logEvent(game, "reset");
+
+  const crashed = game.phase === "flying" && shouldCrashNow(game);
+  if (crashed) crash(game);
+  return { ok: true, crashed };
+}
+
+// -----------------------------
+// Round summary
+// -----------------------------
+
+function roundSummary(game) {
+  // Totals for one round, e.g. to aggregate many rounds from a Node script.
+  const players = [...game.playersActive, ...game.playersCashedOut];
+  const cashedOut = game.playersCashedOut.filter(p => p.status === "cashed_out");
+  return {
+    seed: game.seed,
+    phase: game.phase,
+    crashedAt: game.phase === "crashed" ? game.multiplier : null,
+    players: players.length,
+    cashedOut: cashedOut.length,
+    lost: game.playersCashedOut.length - cashedOut.length,
+    totalStaked: players.reduce((sum, p) => sum + p.stake, 0),
+    totalPaidOut: cashedOut.reduce((sum, p) => sum + p.finalPayout, 0),
+    startLiquidity: game.startLiquidity,
+    liquidity: game.liquidity,
+    reserve: game.reserve
+  };
+}
+
+// -----------------------------
+// Round history
+// -----------------------------
+
+/**
+ * A crashed round in the history: roundSummary() without the phase, numbered from 1.
+ * `liquidity` is the pool left at the crash, which is also the reserve carried into the next round.
+ * @typedef {Object} RoundRecord
+ * @property {number} round
+ * @property {number} seed
+ * @property {number} crashedAt
+ * @property {number} players
+ * @property {number} cashedOut Winners.
+ * @property {number} lost Losers.
+ * @property {number} totalStaked
+ * @property {number} totalPaidOut
+ * @property {(number|null)} startLiquidity
+ * @property {number} liquidity
+ */
+
+function recordRound(history, game) {
+  // Appends a crashed round to `history` (oldest first). Returns { ok, record } or { ok: false, reason }.
+  if (game.phase !== "crashed") return { ok: false, reason: "Only a crashed round goes into the history." };
+
+  const { phase, reserve, ...summary } = roundSummary(game);
+  const last = history[history.length - 1];
+  /** @type {RoundRecord} */
+  const record = { round: last ? last.round + 1 : 1, ...summary };
+  history.push(record);
+  if (history.length > HISTORY_LIMIT) history.splice(0, history.length - HISTORY_LIMIT);
+  return { ok: true, record };
+}
+
+function historyStats(history) {
+  // Aggregates over the rounds in the history. Crash points are multipliers; amounts are minor units.
+  const rounds = history.length;
+  const points = history.map(r => r.crashedAt).sort((a, b) => a - b);
+  const totalStaked = history.reduce((sum, r) => sum + r.totalStaked, 0);
+  const totalPaidOut = history.reduce((sum, r) => sum + r.totalPaidOut, 0);
+  return {
+    rounds,
+    avgCrash: rounds > 0 ? points.reduce((sum, x) => sum + x, 0) / rounds : null,
+    medianCrash: rounds > 0 ? (points[(rounds - 1) >> 1] + points[rounds >> 1]) / 2 : null,
+    minCrash: rounds > 0 ? points[0] : null,
+    maxCrash: rounds > 0 ? points[rounds - 1] : null,
+    // Below 1.00x nobody gets their stake back, whenever they cash out.
+    belowOne: history.filter(r => r.crashedAt < 1).length,
+    winners: history.reduce((sum, r) => sum + r.cashedOut, 0),
+    losers: history.reduce((sum, r) => sum + r.lost, 0),
+    totalStaked,
+    totalPaidOut,
+    // What the pool kept: stakes in minus payouts out.
+    poolResult: totalStaked - totalPaidOut
+  };
+}
+
+function historyFromSnapshot(data) {
+  // Returns { ok, history } or { ok: false, reason }.
+  if (!Array.isArray(data)) return { ok: false, reason: "Saved round history is not a list." };
+  const counts = ["round", "seed", "players", "cashedOut", "lost", "totalStaked", "totalPaidOut", "liquidity"];
+  for (const r of data) {
+    if (!r || typeof r !== "object" || !counts.every(k => Number.isInteger(r[k]) && r[k] >= 0)
+      || !(Number.isFinite(r.crashedAt) && r.crashedAt >= START_MULTIPLIER)
+      || !(r.startLiquidity === null || (Number.isInteger(r.startLiquidity) && r.startLiquidity >= 0))) {
+      return { ok: false, reason: "Saved round history is incomplete." };
+    }
+  }
+  return { ok: true, history: data.slice(-HISTORY_LIMIT) };
+}
+
+// -----------------------------
+// Journal
+// -----------------------------
+
+/**
+ * One round event. `hash` covers every other field, `prevHash` included, so editing, dropping or reordering
+ * an entry breaks the chain from there on.
+ * @typedef {Object} CrashJournalEntry
+ * @property {number} seq 1, 2, 3, … across rounds.
+ * @property {string} at Wall-clock time (ISO 8601); the only field a replay does not reproduce.
+ * @property {number} round Seed of the round the event belongs to.
+ * @property {"carry_over"|"countdown"|"takeoff"|"stake"|"cashout"|"crash"|"reset"} action
+ * @property {Object} details During a flight, `tick` is the tick the event happened at (flightTicks()).
+ * @property {number} liquidity Pool after the event.
+ * @property {string} prevHash
+ * @property {string} hash SHA-256 (hex) of the fields above.
+ */
+
+function journalHash(entry) {
+  // A JSON array fixes the field order; details keep the order they were written in.
+  const { seq, at, round, action, details, liquidity, prevHash } = entry;
+  return sha256Hex(JSON.stringify([seq, at, round, action, details, liquidity, prevHash]));
+}
+
+function logEvent(game, action, details = {}) {
+  if (!game.journal) return null;
+  const last = game.journal[game.journal.length - 1];
+  const entry = {
+    seq: last ? last.seq + 1 : 1,
+    at: new Date().toISOString(),
+    round: game.seed,
+    action,
+    details: game.phase === "flying" ? { ...details, tick: flightTicks(game) } : details,
+    liquidity: game.liquidity,
+    prevHash: last ? last.hash : GENESIS_HASH
+  };
+  entry.hash = journalHash(entry);
+  game.journal.push(entry);
+  return entry;
+}
+
+function trimJournal(journal) {
+  // Keeps room for the next round: the last JOURNAL_ROUNDS − 1 rounds, whole, then drops the oldest of those
+  // while there are more than JOURNAL_MAX_ENTRIES entries (the latest round stays, however long).
+  if (!journal) return journal;
+  const starts = [];
+  journal.forEach((e, i) => { if (e.action === "carry_over") starts.push(i); });
+  let from = starts.length < JOURNAL_ROUNDS ? 0 : starts[starts.length - (JOURNAL_ROUNDS - 1)];
+  for (const start of starts) {
+    if (start > from && journal.length - from > JOURNAL_MAX_ENTRIES) from = start;
+  }
+  return from === 0 ? journal : journal.slice(from);
+}
+
+function verifyJournalChain(journal) {
+  // Recomputes every hash and link. Returns { ok, entries, anchored, head, breaks: [{ seq, reason }] };
+  // `anchored` = the chain starts after rounds that were trimmed off, from their last hash.
+  if (!Array.isArray(journal) || journal.length === 0) return { ok: false, reason: "The journal is empty." };
+
+  const breaks = [];
+  journal.forEach((e, i) => {
+    const prev = journal[i - 1];
+    const seq = e && Number.isInteger(e.seq) ? e.seq : null;
+    if (!e || typeof e !== "object" || typeof e.hash !== "string") breaks.push({ seq, reason: `Entry ${i + 1} is not a journal entry.` });
+    else if (journalHash(e) !== e.hash) breaks.push({ seq, reason: `#${seq} does not match its hash: it was edited after it was written.` });
+    else if (prev && e.prevHash !== prev.hash) breaks.push({ seq, reason: `#${seq} does not link to the entry before it.` });
+    else if (prev && e.seq !== prev.seq + 1) breaks.push({ seq, reason: `#${seq} follows #${prev.seq}: entries are missing.` });
+  });
+
+  const last = journal[journal.length - 1];
+  return {
+    ok: true,
+    entries: journal.length,
+    anchored: Boolean(journal[0]) && journal[0].prevHash !== GENESIS_HASH,
+    head: last && typeof last.hash === "string" ? last.hash : null,
+    breaks
+  };
+}
+
+function sameEvent(a, b) {
+  // Everything but the wall-clock time, the sequence number and the hashes.
+  return a.round === b.round && a.action === b.action && a.liquidity === b.liquidity
+    && JSON.stringify(a.details) === JSON.stringify(b.details);
+}
+
+function applyJournalEntry(game, entry) {
+  // Applies one cause again: a player's or operator's action, or the clock. Returns the engine's result.
+  const d = entry.details || {};
+  if (entry.action === "countdown") return startCountdown(game);
+  if (entry.action === "takeoff") return beginFlight(game);
+  if (entry.action === "stake") return addStake(game, d.stake, { autoCashout: d.autoCashout, name: d.name });
+  if (entry.action === "cashout") return cashOutPlayer(game, d.playerId);
+  if (entry.action === "reset") return resetLiquidity(game);
+  return { ok: false, reason: `Unknown action "${entry.action}".` };
+}
+
+function replayCrashJournal(journal) {
+  // Plays the journal again from its first complete round: every cause (stakes, manual cash-outs, resets)
+  // is applied to a fresh game, after flying it up to the tick the cause was recorded at, and the engine's
+  // own entries must come out as recorded. Auto cash-outs and crashes are never applied, only expected: the
+  // replay has to produce them at the same tick, so a crash point that shouldCrashNow() would not give shows
+  // up as a mismatch.
+  // Returns { ok, replayed, skipped, crashes, mismatch } (mismatch null, or the first { seq, action, reason })
+  // or { ok: false, reason }.
+  if (!Array.isArray(journal)) return { ok: false, reason: "The journal is not a list." };
+  const first = journal.findIndex(e => e && e.action === "carry_over");
+  if (first === -1) return { ok: false, reason: "The journal has no complete round to replay." };
+
+  const expected = journal.slice(first);
+  const log = [];
+  let game = null;
+  let mismatch = null;
+  for (let i = 0; i < expected.length && !mismatch; i++) {
+    const entry = expected[i];
+    const d = entry.details || {};
+    const consequence = entry.action === "crash" || (entry.action === "cashout" && d.auto);
+    // The clock: fly up to the entry's tick, writing whatever the ticks on the way give.
+    if (log.length <= i && game && game.phase === "flying" && Number.isInteger(d.tick)) {
+      let ticks = 0;
+      while (log.length <= i && game.phase === "flying" && flightTicks(game) < d.tick && ticks < MAX_REPLAY_TICKS) {
+        tickFlight(game);
+        ticks++;
+      }
+      if (log.length <= i && game.phase === "flying" && flightTicks(game) < d.tick) {
+        mismatch = { seq: entry.seq, action: entry.action, reason: `The replay does not reach tick ${d.tick} within ${MAX_REPLAY_TICKS} ticks.` };
+        break;
+      }
+    }
+    if (log.length <= i) {
+      // The replay has not written this entry on its own, so it must be the next cause.
+      if (consequence) {
+        mismatch = { seq: entry.seq, action: entry.action, reason: `The replay does not ${entry.action === "crash" ? "crash" : "auto cash out"} here.` };
+        break;
+      }
+      // A new round carries the replay's own reserve; only the first one starts from the recorded figure.
+      const problem = entry.action === "carry_over" ? flightSettingsProblem(d) : null;
+      if (problem) {
+        mismatch = { seq: entry.seq, action: entry.action, reason: problem };
+        break;
+      }
+      const res = entry.action === "carry_over"
+        ? { ok: true, game: createCrashGame({ seed: entry.round, reserve: game ? game.reserve : d.reserve, journal: log, startMultiplier: d.startMultiplier, step: d.step }) }
+        : applyJournalEntry(game, entry);
+      if (res.game) game = res.game;
+      if (!res.ok && !res.crashed) {
+        mismatch = { seq: entry.seq, action: entry.action, reason: res.reason };
+        break;
+      }
+    }
+    if (!sameEvent(log[i], entry)) {
+      const got = log[i];
+      mismatch = {
+        seq: entry.seq,
+        action: entry.action,
+        reason: got.action !== entry.action
+          ? `The replay writes "${got.action}" where the journal has "${entry.action}".`
+          : `Recorded ${JSON.stringify(entry.details)} with ${fmtMoney(entry.liquidity)} liquidity; the replay gives ${JSON.stringify(got.details)} with ${fmtMoney(got.liquidity)}.`
+      };
+    }
+  }
+  if (!mismatch && log.length > expected.length) {
+    const extra = log[expected.length];
+    mismatch = { seq: null, action: extra.action, reason: `The replay goes on to "${extra.action}" after the last entry of the journal.` };
+  }
+
+  return {
+    ok: true,
+    replayed: expected.length,
+    skipped: first,
+    crashes: log.filter(e => e.action === "crash").map(e => ({ round: e.round, multiplier: e.details.multiplier })),
+    mismatch
+  };
+}
+
+// -----------------------------
+// Snapshots
+// -----------------------------
+
+function gameSnapshot(game) {
+  // Plain JSON for localStorage; gameFromSnapshot() turns it back into a game.
+  return {
+    phase: game.phase,
+    seed: game.seed,
+    rngPosition: game.rng.position(),
+    nextPlayerId: game.nextPlayerId,
+    liquidity: game.liquidity,
+    reserve: game.reserve,
+    startLiquidity: game.startLiquidity,
+    startMultiplier: game.startMultiplier,
+    step: game.step,
+    multiplier: game.multiplier,
+    countdown: game.countdown,
+    playersActive: game.playersActive,
+    playersCashedOut: game.playersCashedOut,
+    curve: game.curve,
+    journal: game.journal
+  };
+}
+
+function gameFromSnapshot(data) {
+  // Returns { ok, game } or { ok: false, reason }. A countdown or flight is returned in that phase;
+  // restarting its clock is up to the caller.
+  const phases = ["idle", "countdown", "flying", "crashed"];
+  const amounts = [data.liquidity, data.reserve];
+  if (!phases.includes(data.phase) || !Number.isInteger(data.seed) || !Number.isInteger(data.nextPlayerId)
+    || !amounts.every(x => Number.isInteger(x) && x >= 0)
+    || ![data.multiplier, data.countdown].every(x => Number.isFinite(x) && x >= 0)
+    || ![data.startMultiplier, data.step].every(Number.isFinite) || flightSettingsProblem(data)
+    || !(data.startLiquidity === null || (Number.isInteger(data.startLiquidity) && data.startLiquidity >= 0))
+    || !Array.isArray(data.playersActive) || !Array.isArray(data.playersCashedOut) || !Array.isArray(data.curve)
+    || !Array.isArray(data.journal)) {
+    return { ok: false, reason: "Saved session is incomplete." };
+  }
+
+  // Built on a scratch journal: the saved chain goes back as it was, without a new "carry_over" entry.
+  const game = createCrashGame({ seed: data.seed, reserve: data.reserve, journal: [], startMultiplier: data.startMultiplier, step: data.step });
+  game.rng = createRng(data.seed, data.rngPosition);
+  game.phase = data.phase;
+  game.nextPlayerId = data.nextPlayerId;
+  game.liquidity = data.liquidity;
+  game.startLiquidity = data.startLiquidity;
+  game.multiplier = data.multiplier;
+  game.countdown = data.countdown;
+  game.playersActive = data.playersActive;
+  game.playersCashedOut = data.playersCashedOut;
+  game.curve = data.curve;
+  game.journal = data.journal;
+  return { ok: true, game };
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    START_MULTIPLIER,
+    MULTIPLIER_STEP,
+    START_MULTIPLIER_RANGE,
+    MULTIPLIER_STEP_RANGE,
+    COUNTDOWN_SECONDS,
+    MAX_AUTO_CASHOUT,
+    MAX_CURVE_POINTS,
+    HISTORY_LIMIT,
+    JOURNAL_ROUNDS,
+    JOURNAL_MAX_ENTRIES,
+    GENESIS_HASH,
+    fmtMoney,
+    flightSettingsProblem,
+    createCrashGame,
+    nextRound,
+    activeStakeSum,
+    payoutAt,
+    maxRequiredPayout,
+    shouldCrashNow,
+    crash,
+    startCountdown,
+    countdownTick,
+    beginFlight,
+    flightTicks,
+    tickFlight,
+    minAutoCashout,
+    normalizeAutoCashout,
+    addStake,
+    cashOutPlayer,
+    resetLiquidity,
+    roundSummary,
+    recordRound,
+    historyStats,
+    historyFromSnapshot,
+    journalHash,
+    verifyJournalChain,
+    replayCrashJournal,
+    gameSnapshot,
+    gameFromSnapshot
+  };
+}
@@ -0,0 +1,338 @@
+// Batch experiments for the liquidity-based crash simulator: DOM-free, runs in the browser and in Node
+// Plays thousands of rounds with no clock and no journal, through the same engine calls as the page
+// (tickFlight(), so shouldCrashNow() and crash() decide every crash point), to see how the flight settings,
+// the carry-over reserve and the players' behaviour move crash points, player returns and the pool:
+// - a sweep runs every combination of start multiplier × step × starting reserve (`from`–`to` in `steps`
+//   evenly spaced values each), `rounds` rounds apiece
+// - the players are bot populations (crash-bots.js), planned from each round's seed as on the page
+// - round i of every combination gets the same seed, so differences between combinations come from the
+//   settings and not from the draws
+// - with `carryOver` the reserve left by a round starts the next one, as on the page; otherwise every round
+//   starts from the combination's reserve
+// - a round that nobody is left in (everyone cashed out, no bot still to join) cannot crash: it counts as
+//   "cleared" and keeps its liquidity; one still flying after `maxTicks` counts as "capped"
+// An experiment is a plain object from createCrashExperiment(); runCrashExperiment() plays it in chunks so
+// the page can stay responsive, and crashExperimentSummary() turns the rounds into one row per combination.
+
+// In Node the sibling scripts are required; in the browser they are already loaded as globals.
+if (typeof module !== "undefined" && module.exports) {
+  var { createRng } = require("./rng.js");
+  var { fmtDecimal } = require("./money.js");
+  var { csvCell } = require("./text.js");
+  var { createCrashGame, beginFlight, tickFlight } = require("./crash-engine.js");
+  var { normalizeBotPopulations, planBots, botsBeforeFlight, botsAfterTick, botResults } = require("./crash-bots.js");
+}
+
+const MAX_EXPERIMENT_ROUNDS = 100000;
+const MAX_SWEEP_STEPS = 10;
+const MAX_EXPERIMENT_TICKS = 20000;
+// Upper bounds of the crash-point buckets; the last bucket is open-ended.
+const CRASH_BUCKETS = [1, 1.5, 2, 3, 5, 10];
+
+/**
+ * @typedef {Object} SweepRange
+ * @property {number} from
+ * @property {number} to
+ * @property {number} steps Values from `from` to `to`, both included; 1 = `from` only.
+ */
+
+/**
+ * @typedef {Object} CrashExperimentConfig
+ * @property {number} rounds Per combination.
+ * @property {number} seed
+ * @property {SweepRange} startMultiplier
+ * @property {SweepRange} step
+ * @property {SweepRange} reserve Minor units.
+ * @property {boolean} carryOver
+ * @property {BotPopulation[]} populations
+ * @property {number} maxTicks
+ */
+
+/**
+ * @typedef {Object} ExperimentRound
+ * @property {number} combo Index into exp.combos.
+ * @property {number} round 1, 2, … within the combination.
+ * @property {number} seed ?seed=… on the page plays the same bots (with the page's own settings).
+ * @property {"crashed"|"cleared"|"capped"} outcome
+ * @property {(number|null)} crashedAt
+ * @property {number} ticks
+ * @property {number} players
+ * @property {number} winners
+ * @property {number} staked
+ * @property {number} paid
+ * @property {number} startReserve
+ * @property {number} endLiquidity Left in the pool; the carry-over into the next round.
+ */
+
+function sweepValues(label, range, { min, max, decimals }) {
+  // Returns { ok, values } or { ok: false, reason }. Values are rounded to `decimals` and deduplicated.
+  const { from, to = from, steps = 1 } = range || {};
+  const inRange = (x) => Number.isFinite(x) && x >= min && x <= max;
+  if (!inRange(from) || !inRange(to)) return { ok: false, reason: `${label} must be between ${min} and ${max}.` };
+  if (from > to) return { ok: false, reason: `${label}: "from" must not be above "to".` };
+  if (!(Number.isInteger(steps) && steps >= 1 && steps <= MAX_SWEEP_STEPS)) {
+    return { ok: false, reason: `${label}: steps must be a whole number from 1 to ${MAX_SWEEP_STEPS}.` };
+  }
+
+  const scale = 10 ** decimals;
+  const values = [];
+  for (let i = 0; i < steps; i++) {
+    const x = steps === 1 ? from : from + (to - from) * i / (steps - 1);
+    const v = Math.round(x * scale) / scale;
+    if (!values.includes(v)) values.push(v);
+  }
+  return { ok: true, values };
+}
+
+function createCrashExperiment({ rounds, seed, startMultiplier, step, reserve, carryOver = true, populations, maxTicks = 5000 }) {
+  // Returns { ok, exp } or { ok: false, reason }. Nothing is played until runCrashExperiment().
+  const starts = sweepValues("Start multiplier", startMultiplier, { min: 0.01, max: 10, decimals: 2 });
+  if (!starts.ok) return starts;
+  const steps = sweepValues("Multiplier step", step, { min: 0.01, max: 1, decimals: 2 });
+  if (!steps.ok) return steps;
+  const reserves = sweepValues("Starting reserve", reserve, { min: 0, max: Number.MAX_SAFE_INTEGER, decimals: 0 });
+  if (!reserves.ok) return reserves;
+
+  const players = normalizeBotPopulations(populations);
+  if (!players.ok) return { ok: false, reason: `Players are invalid: ${players.reason}` };
+  if (players.populations.length === 0) return { ok: false, reason: "The experiment needs at least one bot population to play." };
+
+  const combos = [];
+  for (const s of starts.values) {
+    for (const st of steps.values) {
+      for (const r of reserves.values) combos.push({ startMultiplier: s, step: st, reserve: r });
+    }
+  }
+  if (!(Number.isInteger(rounds) && rounds >= 1 && rounds * combos.length <= MAX_EXPERIMENT_ROUNDS)) {
+    return {
+      ok: false,
+      reason: `Rounds must be a whole number from 1, and at most ${MAX_EXPERIMENT_ROUNDS.toLocaleString("en-US")} in all `
+        + `(${combos.length} combination(s) × ${rounds} round(s)).`
+    };
+  }
+  if (!(Number.isInteger(maxTicks) && maxTicks >= 1 && maxTicks <= MAX_EXPERIMENT_TICKS)) {
+    return { ok: false, reason: `Tick limit must be a whole number from 1 to ${MAX_EXPERIMENT_TICKS}.` };
+  }
+
+  // Round seeds come off the experiment's own stream, shared by every combination.
+  const rng = createRng(seed);
+  const seeds = [];
+  for (let i = 0; i < rounds; i++) seeds.push(Math.floor(rng.next() * 4294967296));
+
+  return {
+    ok: true,
+    exp: {
+      config: { rounds, seed: seed >>> 0, startMultiplier, step, reserve, carryOver, populations: players.populations, maxTicks },
+      combos,
+      seeds,
+      // Pool for the next round of the current combination.
+      carry: combos[0].reserve,
+      /** @type {ExperimentRound[]} */
+      rounds: [],
+      // Per combination and population: { joined, won, staked, paid }.
+      tallies: combos.map(() => ({}))
+    }
+  };
+}
+
+function playExperimentRound(exp) {
+  const i = exp.rounds.length;
+  const comboIndex = Math.floor(i / exp.config.rounds);
+  const round = i % exp.config.rounds;
+  const combo = exp.combos[comboIndex];
+  if (round === 0) exp.carry = combo.reserve;
+
+  const startReserve = exp.config.carryOver ? exp.carry : combo.reserve;
+  const seed = exp.seeds[round];
+  const game = createCrashGame({ seed, reserve: startReserve, journal: null, startMultiplier: combo.startMultiplier, step: combo.step });
+  const plan = planBots(game, exp.config.populations);
+
+  // The page's order: bots that join before the flight stake during the countdown, the rest between ticks.
+  botsBeforeFlight(game, plan);
+  beginFlight(game);
+  let ticks = 0;
+  let outcome = "crashed";
+  while (game.phase === "flying") {
+    const waiting = plan.some(b => b.playerId === null && b.skipped === null);
+    if (game.playersActive.length === 0 && !waiting) {
+      outcome = "cleared";
+      break;
+    }
+    if (ticks >= exp.config.maxTicks) {
+      outcome = "capped";
+      break;
+    }
+    ticks++;
+    if (!tickFlight(game).crashed) botsAfterTick(game, plan);
+  }
+
+  const tally = exp.tallies[comboIndex];
+  let players = 0;
+  let winners = 0;
+  let staked = 0;
+  let paid = 0;
+  for (const row of botResults(game, plan)) {
+    const t = tally[row.population] || (tally[row.population] = { joined: 0, won: 0, staked: 0, paid: 0 });
+    t.joined += row.joined;
+    t.won += row.won;
+    t.staked += row.staked;
+    t.paid += row.paid;
+    players += row.joined;
+    winners += row.won;
+    staked += row.staked;
+    paid += row.paid;
+  }
+
+  // At a crash the whole pool is the reserve; otherwise the pool is left as it is.
+  const endLiquidity = game.phase === "crashed" ? game.reserve : game.liquidity;
+  exp.carry = endLiquidity;
+  exp.rounds.push({
+    combo: comboIndex,
+    round: round + 1,
+    seed,
+    outcome,
+    crashedAt: outcome === "crashed" ? game.multiplier : null,
+    ticks,
+    players,
+    winners,
+    staked,
+    paid,
+    startReserve,
+    endLiquidity
+  });
+}
+
+function crashExperimentTotal(exp) {
+  return exp.combos.length * exp.config.rounds;
+}
+
+function runCrashExperiment(exp, count = Infinity) {
+  // Plays up to `count` more rounds. Returns { done, total, finished }.
+  const total = crashExperimentTotal(exp);
+  const target = Math.min(total, exp.rounds.length + count);
+  while (exp.rounds.length < target) playExperimentRound(exp);
+  return { done: exp.rounds.length, total, finished: exp.rounds.length >= total };
+}
+
+function sortedQuantile(sorted, q) {
+  // Linear interpolation between the closest ranks; null for no values.
+  if (sorted.length === 0) return null;
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+function shareOf(part, whole) {
+  return whole > 0 ? part / whole : null;
+}
+
+/**
+ * Summary of the rounds played so far, one entry per combination. Amounts are minor units; crash points are
+ * multipliers over crashed rounds only. Player return = paid / staked (1 = players got their stakes back);
+ * liquidity growth = pool at the end of a round minus the reserve it started with.
+ */
+function crashExperimentSummary(exp) {
+  const byCombo = exp.combos.map(() => []);
+  for (const r of exp.rounds) byCombo[r.combo].push(r);
+
+  const combos = exp.combos.map((combo, i) => {
+    const rounds = byCombo[i];
+    const points = rounds.filter(r => r.outcome === "crashed").map(r => r.crashedAt).sort((a, b) => a - b);
+    const sum = (key) => rounds.reduce((total, r) => total + r[key], 0);
+    const staked = sum("staked");
+    const paid = sum("paid");
+    const growth = sum("endLiquidity") - sum("startReserve");
+
+    const buckets = [...CRASH_BUCKETS, null].map((to, b) => ({ from: b === 0 ? null : CRASH_BUCKETS[b - 1], to, count: 0 }));
+    for (const x of points) {
+      const b = CRASH_BUCKETS.findIndex(to => x < to);
+      buckets[b === -1 ? CRASH_BUCKETS.length : b].count++;
+    }
+
+    return {
+      combo: i + 1,
+      ...combo,
+      rounds: rounds.length,
+      crashed: points.length,
+      cleared: rounds.filter(r => r.outcome === "cleared").length,
+      capped: rounds.filter(r => r.outcome === "capped").length,
+      avgCrash: shareOf(points.reduce((total, x) => total + x, 0), points.length),
+      medianCrash: sortedQuantile(points, 0.5),
+      p10Crash: sortedQuantile(points, 0.1),
+      p90Crash: sortedQuantile(points, 0.9),
+      minCrash: points.length > 0 ? points[0] : null,
+      maxCrash: points.length > 0 ? points[points.length - 1] : null,
+      belowOne: points.filter(x => x < 1).length,
+      avgTicks: shareOf(sum("ticks"), rounds.length),
+      players: sum("players"),
+      winners: sum("winners"),
+      winRate: shareOf(sum("winners"), sum("players")),
+      staked,
+      paid,
+      playerReturn: shareOf(paid, staked),
+      growth,
+      avgGrowth: shareOf(growth, rounds.length),
+      endLiquidity: rounds.length > 0 ? rounds[rounds.length - 1].endLiquidity : null,
+      buckets,
+      populations: Object.entries(exp.tallies[i]).map(([population, t]) => ({
+        population,
+        ...t,
+        playerReturn: shareOf(t.paid, t.staked)
+      }))
+    };
+  });
+
+  const { rounds, seed, carryOver, populations, maxTicks } = exp.config;
+  return { seed, roundsPerCombo: rounds, carryOver, populations, maxTicks, played: exp.rounds.length, combos, roundsDetail: exp.rounds };
+}
+
+function crashExperimentCsv(summary) {
+  // One row per combination, then its crash-point buckets and populations, then every round.
+  // Amounts are in major units of the current currency; multipliers and rates are plain numbers.
+  const money = fmtDecimal;
+  const num = (x, digits) => (x == null ? "" : x.toFixed(digits));
+  const rows = [[
+    "section", "combo", "start_multiplier", "step", "start_reserve", "count", "avg_crash", "median_crash", "p10_crash", "p90_crash",
+    "min_crash", "max_crash", "below_one", "player_return", "win_rate", "staked", "paid", "liquidity_growth", "end_liquidity", "note"
+  ]];
+  for (const c of summary.combos) {
+    const settings = [c.combo, num(c.startMultiplier, 2), num(c.step, 2), money(c.reserve)];
+    rows.push([
+      "combo", ...settings, c.rounds, num(c.avgCrash, 4), num(c.medianCrash, 4), num(c.p10Crash, 4), num(c.p90Crash, 4),
+      num(c.minCrash, 2), num(c.maxCrash, 2), c.belowOne, num(c.playerReturn, 4), num(c.winRate, 4), money(c.staked), money(c.paid),
+      money(c.growth), c.endLiquidity == null ? "" : money(c.endLiquidity),
+      `${c.crashed} crashed, ${c.cleared} cleared, ${c.capped} capped; avg ${num(c.avgTicks, 1)} ticks`
+    ]);
+    for (const b of c.buckets) {
+      const label = b.from == null ? `below ${num(b.to, 2)}x` : b.to == null ? `${num(b.from, 2)}x and up` : `${num(b.from, 2)}x to ${num(b.to, 2)}x`;
+      rows.push(["crash_bucket", ...settings, b.count, "", "", "", "", "", "", "", "", "", "", "", "", "", label]);
+    }
+    for (const p of c.populations) {
+      rows.push(["population", ...settings, p.joined, "", "", "", "", "", "", "", num(p.playerReturn, 4), num(shareOf(p.won, p.joined), 4), money(p.staked), money(p.paid), "", "", p.population]);
+    }
+  }
+  for (const r of summary.roundsDetail) {
+    const c = summary.combos[r.combo];
+    rows.push([
+      "round", c.combo, num(c.startMultiplier, 2), num(c.step, 2), money(r.startReserve), r.round, "", "", "", "",
+      num(r.crashedAt, 2), "", "", num(shareOf(r.paid, r.staked), 4), num(shareOf(r.winners, r.players), 4), money(r.staked), money(r.paid),
+      money(r.endLiquidity - r.startReserve), money(r.endLiquidity), `seed ${r.seed}; ${r.outcome} after ${r.ticks} tick(s); ${r.players} player(s)`
+    ]);
+  }
+  return rows.map(row => row.map(csvCell).join(",")).join("\n") + "\n";
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    MAX_EXPERIMENT_ROUNDS,
+    MAX_SWEEP_STEPS,
+    MAX_EXPERIMENT_TICKS,
+    CRASH_BUCKETS,
+    sweepValues,
+    createCrashExperiment,
+    runCrashExperiment,
+    crashExperimentSummary,
+    crashExperimentCsv
+  };
+}
@@ -1,43 +1,33 @@
 // Liquidity-Based Crash Simulator (browser-only demo)
-// Core idea: Liquidity is player-funded. All stakes go into a shared liquidity pool.
-// Cashouts are paid from remaining liquidity.
-// Crash immediately when currentMultiplier > liquidity / maxActiveStake.
-// (Interpretation: the pool only needs to be able to pay at least ONE player;
-// we enforce that it can pay the highest staker.)
-
-// Currency formatting (₦)
-const ngn = new Intl.NumberFormat("en-NG", {
-  style: "currency",
-  currency: "NGN",
-  maximumFractionDigits: 0
-});
+// This file is the page only: it renders a round and drives it with timers.
+// The crash rules, liquidity and players live in crash-engine.js, which also runs headless from Node.
+// Amounts are whole minor units (money.js); the stake box takes major units and goes through toMinor().
+// Crashed rounds are kept in a round history (crash-engine.js), saved with the session and shown as a strip
+// of recent crash points, per-round stats and a chart of the flight on screen.
+// Every event also goes into the engine's hash-chained journal, which the page can verify and replay.
+// Bot populations (crash-bots.js) can play each round alongside the human players, and batches of rounds
+// without the clock (crash-experiment.js).
 
-// Simulation settings
-// Liquidity is player-funded: it starts at ₦0 and increases only when players add stakes.
-// Cashouts are paid from remaining liquidity.
-const INITIAL_LIQUIDITY = 0;
-const START_MULTIPLIER = 0.50;
-const MULTIPLIER_STEP = 0.02;
 // Slower ticks so you have time to interact before it reaches ~1.00x.
 const TICK_MS = 1200;
-const COUNTDOWN_SECONDS = 10;
-
-// Data structures (as required)
-/** @type {Array<{id:number, stake:number, entryMultiplier:number, currentPayout:number, status:"active"|"cashed_out"|"lost"}>} */
-let playersActive = [];
-/** @type {Array<{id:number, stake:number, entryMultiplier:number, currentPayout:number, status:"cashed_out"|"lost", cashoutMultiplier:number, finalPayout:number}>} */
-let playersCashedOut = [];
-
-// Game state
-const state = {
-  phase: "idle", // "idle" | "countdown" | "flying" | "crashed"
-  nextPlayerId: 1,
-  liquidity: INITIAL_LIQUIDITY,
-  reserve: 0,
-  multiplier: START_MULTIPLIER,
+
+// The round on screen (crash-engine.js); set at init from the saved session or a new round, and replaced by
+// nextRound() on restart.
+let game = null;
+// Crashed rounds, oldest first (recordRound()); survives restarts and reloads.
+let roundHistory = [];
+
+// Bot settings apply from the next round; botPlan is the bots of the round on screen.
+const botSettings = { enabled: false, populations: DEFAULT_BOT_POPULATIONS };
+let botPlan = [];
+
+// Set by a clock tick that was rendered without saving the session (see renderAll()).
+let unsavedTicks = false;
+
+// Browser timers driving the countdown and the flight; not part of the round itself.
+const timers = {
   timerId: null,
-  countdownId: null,
-  countdown: COUNTDOWN_SECONDS
+  countdownId: null
 };
 
 // DOM
@@ -46,6 +36,7 @@ const multiplierEl = document.getElementById("multiplier");
 const statusEl = document.getElementById("gameStatus");
 const crashBannerEl = document.getElementById("crashBanner");
 const crashAtEl = document.getElementById("crashAt");
+const roundSeedEl = document.getElementById("roundSeed");
 
 const startBtn = document.getElementById("startBtn");
 const restartBtn = document.getElementById("restartBtn");
@@ -54,6 +45,7 @@ const resetLiquidityBtn = document.getElementById("resetLiquidityBtn");
 const countdownMsgEl = document.getElementById("countdownMsg");
 
 const stakeInput = document.getElementById("stakeInput");
+const autoCashoutInput = document.getElementById("autoCashoutInput");
 const addStakeBtn = document.getElementById("addStakeBtn");
 const stakeMsgEl = document.getElementById("stakeMsg");
 
@@ -64,36 +56,63 @@ const activeMsgEl = document.getElementById("activeMsg");
 
 const cashedTableEl = document.getElementById("cashedTable");
 
-// Helpers
-function safeNumber(v) {
-  const n = Number(v);
-  if (!Number.isFinite(n)) return 0;
-  return Math.max(0, n);
-}
-
-function fmtMoney(x) {
-  if (!Number.isFinite(x)) return "—";
-  return ngn.format(Math.round(x));
-}
+const crashStripEl = document.getElementById("crashStrip");
+const flightChartEl = document.getElementById("flightChart");
+const historyRoundsEl = document.getElementById("historyRounds");
+const historyAvgCrashEl = document.getElementById("historyAvgCrash");
+const historyMedianCrashEl = document.getElementById("historyMedianCrash");
+const historyBelowOneEl = document.getElementById("historyBelowOne");
+const historyPoolResultEl = document.getElementById("historyPoolResult");
+const historyTableEl = document.getElementById("historyTable");
+
+const journalCountEl = document.getElementById("journalCount");
+const journalHeadEl = document.getElementById("journalHead");
+const journalInput = document.getElementById("journalInput");
+const journalVerifyBtn = document.getElementById("journalVerifyBtn");
+const journalJsonBtn = document.getElementById("journalJsonBtn");
+const journalMsgEl = document.getElementById("journalMsg");
+const journalTableEl = document.getElementById("journalTable");
+
+const botsEnabledSelect = document.getElementById("botsEnabled");
+const botConfigInput = document.getElementById("botConfig");
+const botApplyBtn = document.getElementById("botApplyBtn");
+const botMsgEl = document.getElementById("botMsg");
+const botTableEl = document.getElementById("botTable");
+
+const expRoundsInput = document.getElementById("expRounds");
+const expSeedInput = document.getElementById("expSeed");
+const expCarryOverSelect = document.getElementById("expCarryOver");
+const expStartFromInput = document.getElementById("expStartFrom");
+const expStartToInput = document.getElementById("expStartTo");
+const expStartStepsInput = document.getElementById("expStartSteps");
+const expStepFromInput = document.getElementById("expStepFrom");
+const expStepToInput = document.getElementById("expStepTo");
+const expStepStepsInput = document.getElementById("expStepSteps");
+const expReserveFromInput = document.getElementById("expReserveFrom");
+const expReserveToInput = document.getElementById("expReserveTo");
+const expReserveStepsInput = document.getElementById("expReserveSteps");
+const expRunBtn = document.getElementById("expRunBtn");
+const expCsvBtn = document.getElementById("expCsvBtn");
+const expMsgEl = document.getElementById("expMsg");
+const expTableEl = document.getElementById("expTable");
+
+const currencySelect = document.getElementById("currencySelect");
+const clearSessionBtn = document.getElementById("clearSessionBtn");
+const sessionMsgEl = document.getElementById("sessionMsg");
 
+// Helpers
 function setMsg(el, text, kind) {
   el.textContent = text || "";
   el.classList.remove("error", "success");
   if (kind) el.classList.add(kind);
 }
 
-function activeStakeSum() {
-  return playersActive.reduce((sum, p) => sum + p.stake, 0);
+function playerName(p) {
+  return p.name || `User ${p.id}`;
 }
 
-function maxRequiredPayout() {
-  let m = 0;
-  for (const p of playersActive) m = Math.max(m, p.stake * p.entryMultiplier);
-  return m;
-}
-
-function setPhase(phase) {
-  state.phase = phase;
+function renderPhase() {
+  const { phase } = game;
 
   statusEl.classList.remove("live", "crashed", "countdown");
   if (phase === "flying") {
@@ -114,58 +133,65 @@ function setPhase(phase) {
   startBtn.disabled = (phase !== "idle");
   // You can add stake before flight (idle/countdown) and during flight.
   addStakeBtn.disabled = (phase === "crashed");
+  autoCashoutInput.min = minAutoCashout(game).toFixed(2);
+
+  crashBannerEl.style.display = phase === "crashed" ? "inline-flex" : "none";
+  crashAtEl.textContent = phase === "crashed" ? game.multiplier.toFixed(2) + "x" : "—";
 }
 
 function renderHeader() {
-  liquidityEl.textContent = fmtMoney(state.liquidity);
-  multiplierEl.textContent = state.multiplier.toFixed(2);
+  liquidityEl.textContent = fmtMoney(game.liquidity);
+  multiplierEl.textContent = game.multiplier.toFixed(2);
+  roundSeedEl.textContent = String(game.seed);
 
-  const activeStake = activeStakeSum();
+  const activeStake = activeStakeSum(game);
   activeStakeEl.textContent = fmtMoney(activeStake);
-  activeCountEl.textContent = String(playersActive.length);
+  activeCountEl.textContent = String(game.playersActive.length);
 }
 
 function renderTables() {
   // Active
   activeTableEl.innerHTML = "";
-  if (playersActive.length === 0) {
-    activeTableEl.innerHTML = "<tr><td colspan=\"5\" style=\"color: var(--muted);\">No active players</td></tr>";
+  if (game.playersActive.length === 0) {
+    activeTableEl.innerHTML = "<tr><td colspan=\"6\" style=\"color: var(--muted);\">No active players</td></tr>";
   } else {
-    for (const p of playersActive) {
-      const payout = p.stake * p.entryMultiplier;
-      p.currentPayout = payout;
-
+    for (const p of game.playersActive) {
       const tr = document.createElement("tr");
       tr.innerHTML = `
-        <td>User ${p.id}</td>
+        <td>${escapeHtml(playerName(p))}</td>
         <td>${fmtMoney(p.stake)}</td>
         <td>${p.entryMultiplier.toFixed(2)}x</td>
         <td>${fmtMoney(p.currentPayout)}</td>
+        <td>${p.autoCashout == null ? "—" : p.autoCashout.toFixed(2) + "x"}</td>
         <td class="actions"></td>
       `;
 
-      const btn = document.createElement("button");
-      btn.textContent = "Cash Out";
-      btn.type = "button";
-      btn.disabled = (state.phase !== "flying");
-      btn.addEventListener("click", () => cashOutPlayer(p.id));
-
-      tr.querySelector("td.actions").appendChild(btn);
+      // Bots follow their own strategy.
+      if (p.name) {
+        tr.querySelector("td.actions").textContent = "Bot";
+      } else {
+        const btn = document.createElement("button");
+        btn.textContent = "Cash Out";
+        btn.type = "button";
+        btn.disabled = (game.phase !== "flying");
+        btn.addEventListener("click", () => onCashOut(p.id));
+        tr.querySelector("td.actions").appendChild(btn);
+      }
       activeTableEl.appendChild(tr);
     }
   }
 
   // Cashed out
   cashedTableEl.innerHTML = "";
-  if (playersCashedOut.length === 0) {
+  if (game.playersCashedOut.length === 0) {
     cashedTableEl.innerHTML = "<tr><td colspan=\"4\" style=\"color: var(--muted);\">No cashed-out players yet</td></tr>";
   } else {
-    for (const p of playersCashedOut) {
+    for (const p of game.playersCashedOut) {
       const tr = document.createElement("tr");
       tr.innerHTML = `
-        <td>User ${p.id}</td>
+        <td>${escapeHtml(playerName(p))}</td>
         <td>${fmtMoney(p.stake)}</td>
-        <td>${p.status === "lost" ? "—" : p.cashoutMultiplier.toFixed(2) + "x"}</td>
+        <td>${p.status === "lost" ? "—" : p.cashoutMultiplier.toFixed(2) + "x" + (p.auto ? " (auto)" : "")}</td>
         <td>${p.status === "lost" ? "<span class=\"lost\">LOST</span>" : fmtMoney(p.finalPayout)}</td>
       `;
       cashedTableEl.appendChild(tr);
@@ -174,53 +200,21 @@ function renderTables() {
 }
 
 function clearIntervals() {
-  if (state.timerId != null) {
-    clearInterval(state.timerId);
-    state.timerId = null;
+  if (timers.timerId != null) {
+    clearInterval(timers.timerId);
+    timers.timerId = null;
   }
-  if (state.countdownId != null) {
-    clearInterval(state.countdownId);
-    state.countdownId = null;
+  if (timers.countdownId != null) {
+    clearInterval(timers.countdownId);
+    timers.countdownId = null;
   }
 }
 
-// -----------------------------
-// Core crash logic (VERY IMPORTANT)
-// -----------------------------
-
-function shouldCrashNow() {
-  const needed = maxRequiredPayout();
-  if (!(needed > 0)) return false;
-  // Crash when max(stake × playerMultiplier) > liquidity
-  return needed > state.liquidity;
-}
-
-function crash() {
-  // Reserve whatever liquidity is left at the moment of crash,
-  // so the next game can start with this carry-over amount.
-  state.reserve = state.liquidity;
-
-  setPhase("crashed");
+function onCrash() {
+  // The engine has already crashed the round; stop the clock, tell the players and keep the round.
   clearIntervals();
-
-  crashBannerEl.style.display = "inline-flex";
-  crashAtEl.textContent = state.multiplier.toFixed(2) + "x";
-
-  // Mark all remaining active players as lost
-  for (const p of playersActive) {
-    playersCashedOut.unshift({
-      id: p.id,
-      stake: p.stake,
-      entryMultiplier: p.entryMultiplier,
-      currentPayout: p.currentPayout,
-      status: "lost",
-      cashoutMultiplier: p.entryMultiplier,
-      finalPayout: 0
-    });
-  }
-  playersActive = [];
-
-  setMsg(activeMsgEl, `CRASHED at ${state.multiplier.toFixed(2)}x. Remaining active players lost.`, "error");
+  recordRound(roundHistory, game);
+  setMsg(activeMsgEl, `CRASHED at ${game.multiplier.toFixed(2)}x. Remaining active players lost.`, "error");
   renderAll();
 }
 
@@ -228,208 +222,610 @@ function crash() {
 // Game flow
 // -----------------------------
 
-function startCountdown() {
-  if (state.phase !== "idle") return;
+function onStart() {
+  const res = startCountdown(game);
+  if (!res.ok) return;
 
   setMsg(stakeMsgEl, "", undefined);
   setMsg(activeMsgEl, "", undefined);
 
-  crashBannerEl.style.display = "none";
-  crashAtEl.textContent = "—";
-
-  // Ensure multiplier is reset for countdown/flight.
-  state.multiplier = START_MULTIPLIER;
+  const bots = botsBeforeFlight(game, botPlan);
+  if (bots.joined.length > 0) setMsg(botMsgEl, `${bots.joined.length} bot(s) staked before take-off.`, "success");
 
-  setPhase("countdown");
-  state.countdown = COUNTDOWN_SECONDS;
-  setMsg(countdownMsgEl, `Countdown: ${state.countdown} → 0`, "success");
+  runCountdown();
   renderAll();
+}
 
-  state.countdownId = setInterval(() => {
-    state.countdown -= 1;
-    setMsg(countdownMsgEl, `Countdown: ${Math.max(0, state.countdown)} → 0`, "success");
+function runCountdown() {
+  // Ticks the engine's countdown every second (also used to resume a saved countdown).
+  setMsg(countdownMsgEl, `Countdown: ${game.countdown} → 0`, "success");
 
-    if (state.countdown <= 0) {
-      clearInterval(state.countdownId);
-      state.countdownId = null;
-      beginFlight();
+  timers.countdownId = setInterval(() => {
+    const res = countdownTick(game);
+    setMsg(countdownMsgEl, `Countdown: ${res.countdown} → 0`, "success");
+
+    if (res.started) {
+      clearInterval(timers.countdownId);
+      timers.countdownId = null;
+      runFlight();
     }
+    renderAll(res.started);
   }, 1000);
 }
 
-function beginFlight() {
-  setPhase("flying");
-  state.multiplier = START_MULTIPLIER;
-
-  // Important clarification for this simplified liquidity model:
-  // We only require the pool to be able to pay the *largest* staker at the current multiplier.
-  // So the game can continue even if it can't cover paying everyone at once.
+function runFlight() {
+  // Ticks the flight from where it is (also used to resume a saved flight).
   setMsg(
     countdownMsgEl,
-    "Plane is flying. Each player starts at 0.50x when they join. Crash happens when liquidity can’t pay the highest required payout (stake × player multiplier).",
+    `Plane is flying. Each player starts at ${fmtMultiplier(game.startMultiplier)} when they join. Crash happens when liquidity can’t pay the highest required payout (stake × player multiplier).`,
     undefined
   );
 
-  state.timerId = setInterval(() => {
-    // Increase gradually: 0.50, 0.52, 0.54, ...
-    state.multiplier = Number((state.multiplier + MULTIPLIER_STEP).toFixed(2));
-
-    // Per-player multiplier counts from scratch (0.50x at join) and ticks upward.
-    for (const p of playersActive) {
-      p.entryMultiplier = Number((p.entryMultiplier + MULTIPLIER_STEP).toFixed(2));
+  timers.timerId = setInterval(() => {
+    const res = tickFlight(game);
+    if (res.autoCashouts.length > 0) {
+      const list = res.autoCashouts.map(p => `${playerName(p)} at ${p.cashoutMultiplier.toFixed(2)}x for ${fmtMoney(p.finalPayout)}`);
+      setMsg(activeMsgEl, `Auto cash-out: ${list.join("; ")}.`, "success");
+    }
+    if (res.crashed) {
+      onCrash();
+      return;
     }
 
-    // If the current multiplier can no longer pay all active players, crash immediately.
-    if (shouldCrashNow()) {
-      crash();
+    const bots = botsAfterTick(game, botPlan);
+    if (bots.crashed) {
+      onCrash();
       return;
     }
 
-    renderAll();
+    renderAll(res.autoCashouts.length + bots.joined.length + bots.cashedOut.length > 0);
   }, TICK_MS);
-
-  renderAll();
 }
 
 // -----------------------------
 // Staking & cashout
 // -----------------------------
 
-function addStake() {
-  // Allow staking before flight (idle/countdown) and during flight.
-  if (state.phase === "crashed") return;
-
-  const stake = Math.floor(safeNumber(stakeInput.value));
-  stakeInput.value = String(stake);
-
-  if (!(stake > 0)) {
-    setMsg(stakeMsgEl, "Stake must be greater than 0.", "error");
+function onAddStake() {
+  const stake = toMinor(stakeInput.value);
+  stakeInput.value = String(fromMinor(stake));
+  // Blank = manual cash-out only.
+  const res = addStake(game, stake, { autoCashout: autoCashoutInput.value.trim() || null });
+  if (!res.ok) {
+    setMsg(stakeMsgEl, res.reason, "error");
     return;
   }
 
-  // Player-funded liquidity: every new stake increases the shared liquidity pool.
-  state.liquidity += stake;
+  const target = res.player.autoCashout == null ? "" : `, auto cash-out at ${res.player.autoCashout.toFixed(2)}x`;
+  setMsg(stakeMsgEl, `Added User ${res.player.id} with stake ${fmtMoney(res.player.stake)}${target}.`, "success");
 
-  const player = {
-    id: state.nextPlayerId++,
-    stake,
-    // Per-player multiplier starts from scratch at 0.50x when they join.
-    entryMultiplier: START_MULTIPLIER,
-    currentPayout: stake * START_MULTIPLIER,
-    status: "active"
-  };
+  if (res.crashed) {
+    onCrash();
+    return;
+  }
 
-  // Most recent stakes should appear at the top.
-  playersActive.unshift(player);
-  setMsg(stakeMsgEl, `Added User ${player.id} with stake ${fmtMoney(stake)}.`, "success");
+  renderAll();
+}
 
-  // If already flying, adding stake can instantly make crash condition true.
-  if (state.phase === "flying" && shouldCrashNow()) {
-    crash();
+function onCashOut(playerId) {
+  const res = cashOutPlayer(game, playerId);
+  if (res.crashed) {
+    onCrash();
     return;
   }
+  if (!res.ok) return;
 
+  setMsg(activeMsgEl, `${playerName(res.player)} cashed out at ${res.player.cashoutMultiplier.toFixed(2)}x for ${fmtMoney(res.payout)}.`, "success");
   renderAll();
 }
 
-function cashOutPlayer(playerId) {
-  if (state.phase !== "flying") return;
+// -----------------------------
+// Reset / restart
+// -----------------------------
 
-  const idx = playersActive.findIndex(p => p.id === playerId);
-  if (idx === -1) return;
+function showGame(next) {
+  // Puts another round on screen (fresh or restored) and redraws everything.
+  clearIntervals();
+  game = next;
 
-  const p = playersActive[idx];
-  const payout = p.stake * p.entryMultiplier;
+  setMsg(countdownMsgEl, "", undefined);
+  setMsg(stakeMsgEl, "", undefined);
+  setMsg(activeMsgEl, "", undefined);
 
-  // Safety: if payout exceeds remaining liquidity, crash immediately.
-  // (Normally the crash rule prevents this, but float rounding could cause edge cases.)
-  if (payout > state.liquidity) {
-    crash();
-    return;
-  }
+  if (game.phase === "countdown") runCountdown();
+  if (game.phase === "flying") runFlight();
+  renderAll();
+}
 
-  // Remove from active players
-  playersActive.splice(idx, 1);
+function startRound(next) {
+  // A new round gets its bots before anyone can stake, drawn from the round's own seed.
+  botPlan = botSettings.enabled ? planBots(next, botSettings.populations) : [];
+  showGame(next);
+}
 
-  // Deduct payout from remaining liquidity
-  state.liquidity = Math.max(0, state.liquidity - payout);
+function restartGame(seed) {
+  // New round; the reserve from the last crash carries over.
+  startRound(nextRound(game, seed));
+}
 
-  // Move to cashed-out section
-  playersCashedOut.unshift({
-    id: p.id,
-    stake: p.stake,
-    entryMultiplier: p.entryMultiplier,
-    currentPayout: payout,
-    status: "cashed_out",
-    cashoutMultiplier: p.entryMultiplier,
-    finalPayout: payout
-  });
+// -----------------------------
+// Bots
+// -----------------------------
 
-  setMsg(activeMsgEl, `User ${p.id} cashed out at ${p.entryMultiplier.toFixed(2)}x for ${fmtMoney(payout)}.`, "success");
+function renderBotSettings() {
+  // The JSON box shows stakes in major units; the engine keeps minor units.
+  botsEnabledSelect.value = botSettings.enabled ? "on" : "off";
+  const populations = botSettings.populations.map(p => ({ ...p, avgStake: fromMinor(p.avgStake) }));
+  botConfigInput.value = JSON.stringify(populations, null, 2);
+}
+
+function renderBots() {
+  botTableEl.innerHTML = "";
+  if (botPlan.length === 0) {
+    botTableEl.innerHTML = "<tr><td colspan=\"8\" style=\"color: var(--muted);\">No bots in this round</td></tr>";
+    return;
+  }
+  for (const r of botResults(game, botPlan)) {
+    const net = r.paid - r.staked;
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td>${escapeHtml(r.population)}</td>
+      <td>${r.joined} of ${r.bots}</td>
+      <td>${fmtMoney(r.staked)}</td>
+      <td>${fmtMoney(r.paid)}</td>
+      <td>${r.won}</td>
+      <td>${r.lost}</td>
+      <td>${r.active}</td>
+      <td class="${net < 0 ? "lost" : ""}">${fmtMoney(net)}</td>
+    `;
+    botTableEl.appendChild(tr);
+  }
+}
 
-  // After liquidity changes, crash might happen on the next tick; also check immediately.
-  if (shouldCrashNow()) {
-    crash();
+function onBotApply() {
+  let raw;
+  try {
+    raw = JSON.parse(botConfigInput.value);
+  } catch (err) {
+    setMsg(botMsgEl, `Bot populations are not valid JSON: ${err.message}`, "error");
+    return;
+  }
+  const res = normalizeBotPopulations(Array.isArray(raw) ? raw.map(p => ({ ...p, avgStake: toMinor(p && p.avgStake) })) : raw);
+  if (!res.ok) {
+    setMsg(botMsgEl, res.reason, "error");
     return;
   }
 
+  botSettings.enabled = botsEnabledSelect.value === "on";
+  botSettings.populations = res.populations;
+  // A round nobody has started yet picks the new settings up straight away.
+  const fresh = game.phase === "idle" && game.playersActive.length === 0;
+  if (fresh) botPlan = botSettings.enabled ? planBots(game, botSettings.populations) : [];
+
+  const count = res.populations.reduce((sum, p) => sum + p.count, 0);
+  const when = fresh ? "this round" : "the next round";
+  setMsg(botMsgEl, botSettings.enabled ? `Bots on: ${count} bot(s) in ${res.populations.length} population(s) from ${when}.` : `Bots off from ${when}.`, "success");
+  renderBotSettings();
   renderAll();
 }
 
 // -----------------------------
-// Reset / restart
+// Experiments
 // -----------------------------
 
-function restartGame() {
-  clearIntervals();
+// Rounds per batch between repaints, so a long experiment does not freeze the page.
+const EXPERIMENT_CHUNK = 100;
 
-  playersActive = [];
-  playersCashedOut = [];
+// The last finished experiment (crash-experiment.js) and its summary; page-only, not saved with the session.
+let experimentResult = null;
 
-  state.nextPlayerId = 1;
-  // Carry-over: start the new game with the reserved liquidity from the last crash.
-  state.liquidity = state.reserve;
-  state.multiplier = START_MULTIPLIER;
+function fmtPercent(x) {
+  return x == null ? "—" : `${(x * 100).toFixed(1)}%`;
+}
 
-  crashBannerEl.style.display = "none";
-  crashAtEl.textContent = "—";
+function renderExperiment() {
+  const summary = experimentResult && experimentResult.summary;
+  expCsvBtn.disabled = !summary;
+  expTableEl.innerHTML = "";
+  if (!summary) {
+    expTableEl.innerHTML = "<tr><td colspan=\"12\" style=\"color: var(--muted);\">No experiment yet</td></tr>";
+    return;
+  }
+  for (const c of summary.combos) {
+    const notCrashed = c.cleared + c.capped;
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td>${fmtMultiplier(c.startMultiplier)}</td>
+      <td>+${c.step.toFixed(2)}</td>
+      <td>${fmtMoney(c.reserve)}</td>
+      <td>${fmtMultiplier(c.avgCrash)}</td>
+      <td>${fmtMultiplier(c.medianCrash)}</td>
+      <td>${c.p10Crash == null ? "—" : `${fmtMultiplier(c.p10Crash)} – ${fmtMultiplier(c.p90Crash)}`}</td>
+      <td class="${c.belowOne > 0 ? "lost" : ""}">${c.belowOne} of ${c.crashed}</td>
+      <td class="${c.playerReturn != null && c.playerReturn < 1 ? "lost" : ""}">${fmtPercent(c.playerReturn)}</td>
+      <td>${fmtPercent(c.winRate)}</td>
+      <td>${c.avgGrowth == null ? "—" : fmtMoney(Math.round(c.avgGrowth))}</td>
+      <td>${c.endLiquidity == null ? "—" : fmtMoney(c.endLiquidity)}</td>
+      <td>${notCrashed > 0 ? `${notCrashed} (${c.cleared} cleared, ${c.capped} capped)` : "0"}</td>
+    `;
+    expTableEl.appendChild(tr);
+  }
+}
 
-  setMsg(countdownMsgEl, "", undefined);
-  setMsg(stakeMsgEl, "", undefined);
-  setMsg(activeMsgEl, "", undefined);
+function onExperimentRun() {
+  const seed = normalizeSeed(expSeedInput.value);
+  const range = (from, to, steps) => ({ from: Number(from.value), to: Number(to.value), steps: Number(steps.value) });
+  const res = createCrashExperiment({
+    rounds: Number(expRoundsInput.value),
+    seed: seed === null ? randomSeed() : seed,
+    startMultiplier: range(expStartFromInput, expStartToInput, expStartStepsInput),
+    step: range(expStepFromInput, expStepToInput, expStepStepsInput),
+    reserve: { from: toMinor(expReserveFromInput.value), to: toMinor(expReserveToInput.value), steps: Number(expReserveStepsInput.value) },
+    carryOver: expCarryOverSelect.value === "carry",
+    populations: botSettings.populations
+  });
+  if (!res.ok) {
+    setMsg(expMsgEl, res.reason, "error");
+    return;
+  }
 
-  setPhase("idle");
-  renderAll();
+  const { exp } = res;
+  // The seed used goes back in the box, so the same experiment can be run again.
+  expSeedInput.value = String(exp.config.seed);
+  expRunBtn.disabled = true;
+
+  const step = () => {
+    const progress = runCrashExperiment(exp, EXPERIMENT_CHUNK);
+    if (!progress.finished) {
+      setMsg(expMsgEl, `Running… ${progress.done.toLocaleString("en-US")} of ${progress.total.toLocaleString("en-US")} rounds.`);
+      window.setTimeout(step, 0);
+      return;
+    }
+
+    experimentResult = { exp, summary: crashExperimentSummary(exp) };
+    expRunBtn.disabled = false;
+    renderExperiment();
+    const combos = exp.combos.length;
+    setMsg(expMsgEl, `Played ${progress.done.toLocaleString("en-US")} rounds: ${combos} combination(s) × ${exp.config.rounds.toLocaleString("en-US")} (seed ${exp.config.seed}).`, "success");
+  };
+  step();
 }
 
 // -----------------------------
 // Render
 // -----------------------------
 
-function renderAll() {
+function renderCurrencyOptions(current) {
+  currencySelect.innerHTML = Object.values(CURRENCIES)
+    .map(c => `<option value="${c.code}">${c.code} (${c.name})</option>`)
+    .join("");
+  currencySelect.value = current.code;
+}
+
+// Recent crash points shown in the strip above the multiplier, newest first.
+const STRIP_ROUNDS = 12;
+
+function fmtMultiplier(x) {
+  return x == null ? "—" : x.toFixed(2) + "x";
+}
+
+function renderHistory() {
+  crashStripEl.innerHTML = "";
+  for (const r of roundHistory.slice(-STRIP_ROUNDS).reverse()) {
+    const chip = document.createElement("span");
+    chip.className = `chip ${r.crashedAt < 1 ? "low" : "high"}`;
+    chip.textContent = fmtMultiplier(r.crashedAt);
+    chip.title = `Round ${r.round} (seed ${r.seed})`;
+    crashStripEl.appendChild(chip);
+  }
+
+  const stats = historyStats(roundHistory);
+  historyRoundsEl.textContent = String(stats.rounds);
+  historyAvgCrashEl.textContent = fmtMultiplier(stats.avgCrash);
+  historyMedianCrashEl.textContent = fmtMultiplier(stats.medianCrash);
+  historyBelowOneEl.textContent = stats.rounds > 0 ? `${stats.belowOne} of ${stats.rounds}` : "—";
+  historyPoolResultEl.textContent = stats.rounds > 0 ? fmtMoney(stats.poolResult) : "—";
+
+  historyTableEl.innerHTML = "";
+  if (roundHistory.length === 0) {
+    historyTableEl.innerHTML = "<tr><td colspan=\"9\" style=\"color: var(--muted);\">No crashed rounds yet</td></tr>";
+    return;
+  }
+  for (const r of [...roundHistory].reverse()) {
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td>${r.round}</td>
+      <td>${r.seed}</td>
+      <td class="${r.crashedAt < 1 ? "lost" : ""}">${fmtMultiplier(r.crashedAt)}</td>
+      <td>${r.startLiquidity == null ? "—" : fmtMoney(r.startLiquidity)}</td>
+      <td>${fmtMoney(r.liquidity)}</td>
+      <td>${fmtMoney(r.totalStaked)}</td>
+      <td>${fmtMoney(r.totalPaidOut)}</td>
+      <td>${r.cashedOut}</td>
+      <td>${r.lost}</td>
+    `;
+    historyTableEl.appendChild(tr);
+  }
+}
+
+function renderFlightChart() {
+  // Two panels over the flight ticks: the multiplier on top, liquidity against the highest payout it
+  // has to cover below. The round crashes where the payout line crosses the liquidity line.
+  const points = game.curve;
+  const ctx = flightChartEl.getContext("2d");
+  const { width, height } = flightChartEl;
+  ctx.clearRect(0, 0, width, height);
+  ctx.font = "11px ui-sans-serif, system-ui, sans-serif";
+  ctx.lineWidth = 1;
+
+  if (points.length === 0) {
+    ctx.fillStyle = "#9ca3af";
+    ctx.fillText("The flight curve starts when the plane takes off.", 12, height / 2);
+    return;
+  }
+
+  const left = 64;
+  const right = width - 12;
+  const multTop = 12;
+  const multBottom = Math.round(height * 0.5);
+  const moneyTop = multBottom + 24;
+  const moneyBottom = height - 12;
+
+  let maxMult = 2;
+  let maxMoney = 1;
+  for (const p of points) {
+    maxMult = Math.max(maxMult, p.multiplier);
+    maxMoney = Math.max(maxMoney, p.liquidity, p.required);
+  }
+  // Along the ticks flown rather than the points: a long flight keeps fewer of its early points.
+  const span = Math.max(MULTIPLIER_STEP, points[points.length - 1].multiplier - START_MULTIPLIER);
+  const x = (p) => left + (right - left) * (p.multiplier - START_MULTIPLIER) / span;
+  const yMult = (m) => multBottom - (multBottom - multTop) * (m - START_MULTIPLIER) / (maxMult - START_MULTIPLIER);
+  const yMoney = (v) => moneyBottom - (moneyBottom - moneyTop) * v / maxMoney;
+
+  // Grid.
+  ctx.strokeStyle = "rgba(255, 255, 255, 0.08)";
+  ctx.fillStyle = "#9ca3af";
+  ctx.textAlign = "right";
+  ctx.textBaseline = "middle";
+  const grid = (y, label) => {
+    ctx.beginPath();
+    ctx.moveTo(left, y);
+    ctx.lineTo(right, y);
+    ctx.stroke();
+    ctx.fillText(label, left - 6, y);
+  };
+  for (const m of [START_MULTIPLIER, 1, maxMult]) grid(yMult(m), fmtMultiplier(m));
+  for (const share of [0, 0.5, 1]) grid(yMoney(maxMoney * share), fmtMoney(Math.round(maxMoney * share)));
+  ctx.textAlign = "left";
+  ctx.textBaseline = "top";
+  ctx.fillText("Multiplier", left + 4, multTop);
+  ctx.fillText("Liquidity (blue) vs highest payout (red)", left + 4, moneyTop);
+
+  const line = (color, value, y) => {
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    points.forEach((p, i) => (i === 0 ? ctx.moveTo(x(p), y(value(p))) : ctx.lineTo(x(p), y(value(p)))));
+    ctx.stroke();
+  };
+  line(game.phase === "crashed" ? "#ef4444" : "#22c55e", p => p.multiplier, yMult);
+  line("#60a5fa", p => p.liquidity, yMoney);
+  line("#f87171", p => p.required, yMoney);
+}
+
+// The journal table shows the newest entries only; a round full of bots writes hundreds of them.
+const JOURNAL_TABLE_ROWS = 100;
+
+function renderJournal() {
+  const journal = game.journal;
+  journalCountEl.textContent = String(journal.length);
+  const last = journal[journal.length - 1];
+  journalHeadEl.textContent = last ? last.hash.slice(0, 16) + "…" : "—";
+
+  journalTableEl.innerHTML = "";
+  // Newest first.
+  for (const e of journal.slice(-JOURNAL_TABLE_ROWS).reverse()) {
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td>${e.seq}</td>
+      <td>${e.at.slice(11, 19)}</td>
+      <td>${e.round}</td>
+      <td>${e.action}</td>
+      <td><code>${escapeHtml(JSON.stringify(e.details))}</code></td>
+      <td>${fmtMoney(e.liquidity)}</td>
+      <td><code title="${e.hash}">${e.hash.slice(0, 12)}</code></td>
+    `;
+    journalTableEl.appendChild(tr);
+  }
+}
+
+function verifyJournal(journal) {
+  // The chain first: a replay of an edited journal would prove nothing.
+  const chain = verifyJournalChain(journal);
+  if (!chain.ok) {
+    setMsg(journalMsgEl, chain.reason, "error");
+    return;
+  }
+  if (chain.breaks.length > 0) {
+    setMsg(journalMsgEl, `The chain is BROKEN at ${chain.breaks.length} entr${chain.breaks.length === 1 ? "y" : "ies"}. First: ${chain.breaks[0].reason}`, "error");
+    return;
+  }
+
+  const res = replayCrashJournal(journal);
+  if (!res.ok) {
+    setMsg(journalMsgEl, `The chain is intact, but ${res.reason.charAt(0).toLowerCase()}${res.reason.slice(1)}`, "error");
+    return;
+  }
+  if (res.mismatch) {
+    const where = res.mismatch.seq == null ? "after the last entry" : `at #${res.mismatch.seq} (${res.mismatch.action})`;
+    setMsg(journalMsgEl, `The chain is intact, but the replay does NOT reproduce it ${where}: ${res.mismatch.reason}`, "error");
+    return;
+  }
+
+  const from = chain.anchored ? " (continuing from rounds trimmed off)" : "";
+  const skipped = res.skipped > 0 ? ` The first ${res.skipped} entr${res.skipped === 1 ? "y belongs" : "ies belong"} to a round that started before the journal and ${res.skipped === 1 ? "is" : "are"} only chain-checked.` : "";
+  const crashes = res.crashes.length > 0 ? ` Crash points ${res.crashes.map(c => c.multiplier.toFixed(2) + "x").join(", ")} are the ones the crash rule gives.` : "";
+  setMsg(journalMsgEl, `The chain is intact: ${chain.entries} entries ending in ${chain.head.slice(0, 16)}…${from}. The replay reproduces all ${res.replayed} replayed entries.${crashes}${skipped}`, "success");
+}
+
+function downloadText(filename, type, text) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  // Revoked on the next tick so the browser has started the download.
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function renderAll(save = true) {
+  renderPhase();
   renderHeader();
   renderTables();
+  renderHistory();
+  renderFlightChart();
+  renderJournal();
+  renderBots();
+  // Every change ends up here, so this is also where the session gets saved; a clock tick that changed
+  // nothing but the multipliers and the countdown skips it, and the page saves when it goes away instead.
+  unsavedTicks = !save;
+  if (save) saveSession();
+}
+
+// -----------------------------
+// Saved session
+// -----------------------------
+
+// Bump SESSION_VERSION whenever the saved shape changes, and add a migration from the old version.
+// Sessions saved under an older version are not migrated: only development builds wrote them, some with
+// whole naira instead of minor units. loadSnapshot() reports them and a new game starts, as on the exchange page.
+const SESSION_KEY = "tradebet.crash.session";
+const SESSION_VERSION = 8;
+const SESSION_MIGRATIONS = {};
+
+function saveSession() {
+  const res = saveSnapshot(SESSION_KEY, SESSION_VERSION, {
+    game: gameSnapshot(game),
+    history: roundHistory,
+    bots: { ...botSettings, plan: botPlan }
+  });
+  if (!res.ok) setMsg(sessionMsgEl, res.reason, "error");
+}
+
+function resumeSavedSession(resumeRound = true) {
+  // Returns true when the saved round was restored; a countdown or flight carries on ticking.
+  // The round history comes back either way, so a pinned ?seed= round still adds to it.
+  const saved = loadSnapshot(SESSION_KEY, SESSION_VERSION, SESSION_MIGRATIONS);
+  if (!saved.ok) {
+    setMsg(sessionMsgEl, `${saved.reason} Started a new game.`, "error");
+    return false;
+  }
+  if (!saved.data) return false;
+
+  const past = historyFromSnapshot(saved.data.history);
+  if (!past.ok) {
+    setMsg(sessionMsgEl, `${past.reason} Started a new game.`, "error");
+    return false;
+  }
+  roundHistory = past.history;
+
+  // Bot settings come back either way too; the bots of a round only with their round.
+  const bots = saved.data.bots || {};
+  const populations = normalizeBotPopulations(bots.populations);
+  const plan = botPlanFromSnapshot(bots.plan);
+  if (!populations.ok || !plan.ok) {
+    setMsg(sessionMsgEl, `${populations.reason || plan.reason} Started a new game.`, "error");
+    return false;
+  }
+  botSettings.enabled = bots.enabled === true;
+  botSettings.populations = populations.populations;
+  if (!resumeRound) return false;
+
+  const res = gameFromSnapshot(saved.data.game || {});
+  if (!res.ok) {
+    setMsg(sessionMsgEl, `${res.reason} Started a new game.`, "error");
+    return false;
+  }
+
+  botPlan = plan.plan;
+  showGame(res.game);
+  setMsg(sessionMsgEl, `Resumed the saved session (round seed ${game.seed}, ${fmtMoney(game.liquidity)} liquidity, ${roundHistory.length} past round(s)).`, "success");
+  return true;
 }
 
+// A flight or countdown may have ticked on since the last save.
+window.addEventListener("pagehide", () => {
+  if (unsavedTicks) saveSession();
+});
+
 // Events
-startBtn.addEventListener("click", startCountdown);
-restartBtn.addEventListener("click", restartGame);
-addStakeBtn.addEventListener("click", addStake);
+startBtn.addEventListener("click", onStart);
+restartBtn.addEventListener("click", () => restartGame());
+addStakeBtn.addEventListener("click", onAddStake);
+botApplyBtn.addEventListener("click", onBotApply);
+expRunBtn.addEventListener("click", onExperimentRun);
+expCsvBtn.addEventListener("click", () => {
+  if (!experimentResult) return;
+  downloadText(`crash-experiment-${experimentResult.exp.config.seed}.csv`, "text/csv", crashExperimentCsv(experimentResult.summary));
+});
 resetLiquidityBtn.addEventListener("click", () => {
-  state.liquidity = 0;
-  state.reserve = 0;
-  setMsg(countdownMsgEl, "Liquidity reset to ₦0.", "success");
+  const res = resetLiquidity(game);
+  setMsg(countdownMsgEl, `Liquidity reset to ${fmtMoney(0)}.`, "success");
 
-  if (state.phase === "flying" && shouldCrashNow()) {
-    crash();
+  if (res.crashed) {
+    onCrash();
     return;
   }
 
   renderAll();
 });
-stakeInput.addEventListener("input", () => {
-  stakeInput.value = String(Math.floor(safeNumber(stakeInput.value)));
+stakeInput.addEventListener("change", () => {
+  stakeInput.value = String(fromMinor(toMinor(stakeInput.value)));
+});
+journalVerifyBtn.addEventListener("click", () => {
+  const text = journalInput.value.trim();
+  if (!text) {
+    verifyJournal(game.journal);
+    return;
+  }
+  let journal;
+  try {
+    journal = JSON.parse(text);
+  } catch (err) {
+    setMsg(journalMsgEl, `The pasted journal is not valid JSON: ${err.message}`, "error");
+    return;
+  }
+  verifyJournal(journal);
+});
+journalJsonBtn.addEventListener("click", () => {
+  downloadText(`crash-journal-${game.seed}.json`, "application/json", JSON.stringify(game.journal, null, 2));
+});
+currencySelect.addEventListener("change", () => {
+  const res = setCurrency(currencySelect.value);
+  if (!res.ok) {
+    setMsg(sessionMsgEl, res.reason, "error");
+    return;
+  }
+  renderAll();
+  renderExperiment();
+});
+
+clearSessionBtn.addEventListener("click", () => {
+  clearSnapshot(SESSION_KEY);
+  // A fresh session has no carry-over or round history either.
+  roundHistory = [];
+  startRound(createCrashGame());
+  setMsg(sessionMsgEl, `Saved session cleared. Liquidity and carry-over reserve start from ${fmtMoney(0)}, with no round history.`, "success");
 });
 
 // Init
-restartGame();
+renderCurrencyOptions(loadCurrency());
+// ?seed=… pins the first round's seed so a reported round can be reproduced;
+// otherwise a saved session (round, players, liquidity, reserve) resumes. The round history and bot settings
+// resume in both cases.
+const initialSeed = normalizeSeed(new URLSearchParams(window.location.search).get("seed"));
+// A first round is created rather than restarted: there is no round before it to carry over from.
+if (!resumeSavedSession(initialSeed === null)) startRound(createCrashGame(initialSeed === null ? {} : { seed: initialSeed }));
+renderBotSettings();
+renderExperiment();
@@ -0,0 +1,205 @@
+// Simulated bettor crowd for the pool markets: DOM-free, runs in the browser and in Node
+// While the clock runs, a crowd of made-up bettors ("Crowd 1" … "Crowd 40") places ordinary bet slips
+// after every minute played, so the pools and odds move the way a live book would:
+// - volume: on average `betsPerMinute` slips a minute, spread over the markets still open
+// - favourite bias: 0 backs every outcome alike; 1 backs outcomes in proportion to the money already on them
+// - goal reaction: for a few minutes after a goal the volume is multiplied by `goalReaction`, and so is the
+//   weight of each market's outcome the live score currently points to
+// - late surge: from `lateFrom` (share of the match) the volume ramps up to `lateSurge` × by the last minute
+// The crowd draws from its own PRNG stream, so switching it on never changes the goals of a seed. Its slips
+// go through placeBet() like anyone else's, so they land in the ledger and the journal, and replays re-apply
+// them from there without running the crowd again.
+
+// In Node the sibling scripts are required; in the browser they are already loaded as globals.
+if (typeof module !== "undefined" && module.exports) {
+  var { createRng } = require("./rng.js");
+  var { minorScale } = require("./money.js");
+  var { isMarketOpen, liveResult, periodEnds, placeBet } = require("./match-engine.js");
+}
+
+const CROWD_SIZE = 40;
+const MAX_CROWD_BETS_PER_MINUTE = 50;
+// Minutes after a goal that the crowd keeps reacting to it.
+const GOAL_REACTION_MINUTES = 5;
+
+const DEFAULT_CROWD_CONFIG = {
+  betsPerMinute: 2,
+  avgStake: 200000,
+  favouriteBias: 0.5,
+  goalReaction: 2,
+  lateSurge: 2,
+  lateFrom: 0.75
+};
+
+/**
+ * @typedef {Object} CrowdConfig
+ * @property {number} betsPerMinute Average slips a minute before any reaction or surge.
+ * @property {number} avgStake Average slip, in minor units; single slips vary around it.
+ * @property {number} favouriteBias 0–1, see the header.
+ * @property {number} goalReaction ≥ 1; 1 ignores goals.
+ * @property {number} lateSurge ≥ 1; 1 keeps the volume flat.
+ * @property {number} lateFrom 0–1: share of the match after which the surge starts.
+ */
+
+/**
+ * A crowd is page state next to a match, like its clock: plain data apart from `rng`, see crowdSnapshot().
+ * @typedef {Object} Crowd
+ * @property {boolean} enabled
+ * @property {CrowdConfig} config
+ * @property {number} seed
+ * @property {ReturnType<typeof createRng>} rng
+ */
+
+function normalizeCrowdConfig(raw) {
+  // Returns { ok, config } or { ok: false, reason }. Missing fields take the defaults.
+  const c = { ...DEFAULT_CROWD_CONFIG, ...(raw || {}) };
+  if (!(Number.isFinite(c.betsPerMinute) && c.betsPerMinute >= 0 && c.betsPerMinute <= MAX_CROWD_BETS_PER_MINUTE)) {
+    return { ok: false, reason: `Crowd bets per minute must be between 0 and ${MAX_CROWD_BETS_PER_MINUTE}.` };
+  }
+  if (!(Number.isInteger(c.avgStake) && c.avgStake > 0)) return { ok: false, reason: "Crowd average stake must be greater than 0." };
+  if (!(Number.isFinite(c.favouriteBias) && c.favouriteBias >= 0 && c.favouriteBias <= 1)) {
+    return { ok: false, reason: "Favourite bias must be between 0% and 100%." };
+  }
+  if (!(Number.isFinite(c.goalReaction) && c.goalReaction >= 1 && c.goalReaction <= 10)) {
+    return { ok: false, reason: "Goal reaction must be between 1× and 10×." };
+  }
+  if (!(Number.isFinite(c.lateSurge) && c.lateSurge >= 1 && c.lateSurge <= 10)) {
+    return { ok: false, reason: "Late surge must be between 1× and 10×." };
+  }
+  if (!(Number.isFinite(c.lateFrom) && c.lateFrom >= 0 && c.lateFrom <= 1)) {
+    return { ok: false, reason: "Late surge start must be between 0% and 100% of the match." };
+  }
+
+  const { betsPerMinute, avgStake, favouriteBias, goalReaction, lateSurge, lateFrom } = c;
+  return { ok: true, config: { betsPerMinute, avgStake, favouriteBias, goalReaction, lateSurge, lateFrom } };
+}
+
+function crowdSeed(matchSeed) {
+  // A stream of its own, derived from the match seed so the same match gets the same crowd.
+  return (matchSeed ^ 0x9E3779B9) >>> 0;
+}
+
+/**
+ * @param {{enabled?:boolean, config?:CrowdConfig, seed:number, position?:number}} options
+ * @returns {Crowd}
+ */
+function createCrowd({ enabled = false, config = DEFAULT_CROWD_CONFIG, seed, position }) {
+  return { enabled, config: normalizeCrowdConfig(config).config || { ...DEFAULT_CROWD_CONFIG }, seed: seed >>> 0, rng: createRng(seed, position) };
+}
+
+function crowdSnapshot(crowd) {
+  const { enabled, config, seed } = crowd;
+  return { enabled, config, seed, position: crowd.rng.position() };
+}
+
+function crowdFromSnapshot(data) {
+  // Returns { ok, crowd } or { ok: false, reason }.
+  if (!data || typeof data !== "object") return { ok: false, reason: "Saved crowd is not an object." };
+  const res = normalizeCrowdConfig(data.config);
+  if (!res.ok) return { ok: false, reason: `Saved crowd is invalid: ${res.reason}` };
+  if (!Number.isInteger(data.seed) || !Number.isInteger(data.position)) return { ok: false, reason: "Saved crowd has no PRNG state." };
+  return { ok: true, crowd: createCrowd({ enabled: data.enabled === true, config: res.config, seed: data.seed, position: data.position }) };
+}
+
+function isReacting(match, minute) {
+  const last = match.events[match.events.length - 1];
+  return Boolean(last) && minute - last.minute < GOAL_REACTION_MINUTES;
+}
+
+function crowdRate(config, match, minute) {
+  // Expected slips for the minute just played.
+  let rate = config.betsPerMinute;
+  if (isReacting(match, minute)) rate *= config.goalReaction;
+
+  // Over the minutes actually played, added time included.
+  const duration = periodEnds(match.fixture, match.addedTime).fullTime;
+  const lateStart = Math.max(1, Math.ceil(duration * config.lateFrom));
+  if (minute >= lateStart) rate *= 1 + (config.lateSurge - 1) * (minute - lateStart + 1) / (duration - lateStart + 1);
+
+  return Math.min(rate, MAX_CROWD_BETS_PER_MINUTE);
+}
+
+function drawCount(rng, rate) {
+  // Poisson(rate) by multiplying uniforms (Knuth); rate stays small enough for this to be exact and fast.
+  const limit = Math.exp(-rate);
+  let count = 0;
+  let p = rng.next();
+  while (p > limit) {
+    count++;
+    p *= rng.next();
+  }
+  return count;
+}
+
+function drawStake(rng, avgStake) {
+  // Exponential around the average, in whole major units, capped at 10× the average.
+  const unit = minorScale();
+  const x = avgStake * -Math.log(1 - rng.next());
+  return Math.min(avgStake * 10, Math.max(unit, Math.round(x / unit) * unit));
+}
+
+function pickWeighted(rng, weights) {
+  const total = weights.reduce((sum, w) => sum + w, 0);
+  let x = rng.next() * total;
+  for (let i = 0; i < weights.length; i++) {
+    x -= weights[i];
+    if (x < 0) return i;
+  }
+  return weights.length - 1;
+}
+
+function outcomeWeights(config, match, market, reacting) {
+  const pools = match.pools[market.id];
+  const n = market.outcomes.length;
+  const total = market.outcomes.reduce((sum, o) => sum + pools[o.id], 0);
+  // Only the outcome the score points to gets the goal reaction; a market the score says nothing about
+  // yet (first scorer at 0–0) has none.
+  const leader = reacting ? market.resolve(liveResult(match)) : null;
+
+  return market.outcomes.map((o) => {
+    const share = total > 0 ? pools[o.id] / total : 1 / n;
+    const w = (1 - config.favouriteBias) / n + config.favouriteBias * share;
+    // A floor so an outcome nobody has backed yet still gets the odd slip.
+    return Math.max(w, 0.01 / n) * (o.id === leader ? config.goalReaction : 1);
+  });
+}
+
+function playCrowdMinute(crowd, match, minute) {
+  // Places the crowd's slips for `minute` (just played by tickMatch()). Returns the slips placed.
+  if (!crowd.enabled || match.mode !== "pool" || match.ended) return [];
+
+  const { config, rng } = crowd;
+  const count = drawCount(rng, crowdRate(config, match, minute));
+  const reacting = isReacting(match, minute);
+  const slips = [];
+  for (let i = 0; i < count; i++) {
+    const markets = match.markets.filter(m => isMarketOpen(match, m));
+    if (markets.length === 0) break;
+
+    const market = markets[rng.int(0, markets.length - 1)];
+    const outcome = market.outcomes[pickWeighted(rng, outcomeWeights(config, match, market, reacting))];
+    const res = placeBet(match, {
+      bettor: `Crowd ${rng.int(1, CROWD_SIZE)}`,
+      marketId: market.id,
+      outcomeId: outcome.id,
+      stake: drawStake(rng, config.avgStake)
+    });
+    if (res.ok) slips.push(res.slip);
+  }
+  return slips;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    CROWD_SIZE,
+    MAX_CROWD_BETS_PER_MINUTE,
+    DEFAULT_CROWD_CONFIG,
+    normalizeCrowdConfig,
+    crowdSeed,
+    createCrowd,
+    crowdSnapshot,
+    crowdFromSnapshot,
+    crowdRate,
+    playCrowdMinute
+  };
+}
@@ -0,0 +1,2215 @@
+// Match engine for the betting exchange simulator: DOM-free, runs in the browser and in Node
+// Everything that moves money lives here: fixture → markets, pools and bet slips, in-play cashouts,
+// back/lay orders (orderbook.js), the seeded goal timeline (rng.js), the odds history, settlement,
+// withdrawals, seed replay, settlement verification and snapshots. app.js is the page on top of it.
+// A match is a plain object from createMatch(); every function takes it first and reports
+// problems as { ok: false, reason } instead of touching the page.
+// Every amount is an integer number of minor units (kobo for ₦), rounded by the rules in money.js.
+//
+// From Node:
+//   const engine = require("./match-engine.js");
+//   const match = engine.createMatch({ seed: 42 });
+//   engine.placeBet(match, { bettor: "Ada", marketId: "matchResult", outcomeId: "home", stake: 100000 }); // ₦1,000
+//   engine.startMatch(match);
+//   while (!match.ended) engine.tickMatch(match); // half-time included: the next tick kicks off the second half
+//   match.settlement; // the same JSON the page exports
+
+// In Node the sibling scripts are required; in the browser they are already loaded as globals.
+if (typeof module !== "undefined" && module.exports) {
+  var { randomSeed, createRng } = require("./rng.js");
+  var { activeCurrency, findCurrency, fmtDecimal, fmtMoney, mulDiv, mulRate, roundMinor, allocate } = require("./money.js");
+  var { csvCell } = require("./text.js");
+  var { createOrderBook, layLiability, submitOrder, cancelOrder, lapseOrders, settleMatchedBet } = require("./orderbook.js");
+}
+
+// -----------------------------
+// Utilities
+// -----------------------------
+
+function safeNumber(inputValue) {
+  // Convert input string to a finite number >= 0.
+  const n = Number(inputValue);
+  if (!Number.isFinite(n)) return 0;
+  return Math.max(0, n);
+}
+
+function safeDivide(numerator, denominator) {
+  // Prevent division by zero and negative/invalid denominators.
+  if (!Number.isFinite(numerator) || !Number.isFinite(denominator) || denominator <= 0) return 0;
+  return numerator / denominator;
+}
+
+// -----------------------------
+// Fixture
+// -----------------------------
+
+/**
+ * @typedef {Object} Fixture
+ * @property {string} competition
+ * @property {{name:string}} home
+ * @property {{name:string}} away
+ * @property {number} durationMinutes Regulation match length, split into two halves; added time comes on top (see Match clock).
+ * @property {{homeRate:number, awayRate:number, maxGoals:number}} scoring Expected goals per match for each
+ *   team (Poisson rate, spread evenly over the minutes) and a per-team goal cap that also sizes the correct-score grid.
+ */
+
+/** @type {Fixture} */
+const DEFAULT_FIXTURE = {
+  competition: "Premier League",
+  home: { name: "Arsenal" },
+  away: { name: "Liverpool" },
+  durationMinutes: 90,
+  scoring: { homeRate: 1.6, awayRate: 1.4, maxGoals: 4 }
+};
+
+function normalizeFixture(raw) {
+  // Returns { ok, fixture } or { ok: false, reason }. Missing fields fall back to the default fixture.
+  if (!raw || typeof raw !== "object") return { ok: false, reason: "Fixture must be a JSON object." };
+
+  const pickName = (team, fallback) => {
+    const name = typeof team === "string" ? team : (team && team.name);
+    return String(name == null ? fallback : name).trim();
+  };
+
+  const home = pickName(raw.home, DEFAULT_FIXTURE.home.name);
+  const away = pickName(raw.away, DEFAULT_FIXTURE.away.name);
+  if (!home || !away) return { ok: false, reason: "Fixture needs both a home and an away team name." };
+  if (home === away) return { ok: false, reason: "Home and away teams must have different names." };
+
+  const durationMinutes = Number(raw.durationMinutes == null ? DEFAULT_FIXTURE.durationMinutes : raw.durationMinutes);
+  if (!Number.isInteger(durationMinutes) || durationMinutes < 1 || durationMinutes > 240) {
+    return { ok: false, reason: "durationMinutes must be a whole number between 1 and 240." };
+  }
+
+  const scoring = raw.scoring || {};
+  const pickScoring = (key) => Number(scoring[key] == null ? DEFAULT_FIXTURE.scoring[key] : scoring[key]);
+  const homeRate = pickScoring("homeRate");
+  const awayRate = pickScoring("awayRate");
+  const maxGoals = pickScoring("maxGoals");
+  if (!Number.isFinite(homeRate) || !Number.isFinite(awayRate) || homeRate < 0 || awayRate < 0
+    || homeRate > durationMinutes || awayRate > durationMinutes) {
+    return { ok: false, reason: "scoring.homeRate/awayRate must be between 0 and durationMinutes (expected goals per match)." };
+  }
+  if (!Number.isInteger(maxGoals) || maxGoals < 0 || maxGoals > 12) {
+    return { ok: false, reason: "scoring.maxGoals must be a whole number between 0 and 12." };
+  }
+
+  return {
+    ok: true,
+    fixture: {
+      competition: String(raw.competition == null ? DEFAULT_FIXTURE.competition : raw.competition).trim(),
+      home: { name: home },
+      away: { name: away },
+      durationMinutes,
+      scoring: { homeRate, awayRate, maxGoals }
+    }
+  };
+}
+
+function fixtureTitle(fixture) {
+  return `${fixture.home.name} vs ${fixture.away.name}`;
+}
+
+// -----------------------------
+// Markets
+// -----------------------------
+
+const GOALS_LINE = 2.5;
+
+function correctScoreOutcomes(maxGoals) {
+  const outcomes = [];
+  for (let a = 0; a <= maxGoals; a++) {
+    for (let b = 0; b <= maxGoals; b++) {
+      outcomes.push({ id: `${a}-${b}`, label: `${a}–${b}` });
+    }
+  }
+  // Catch-all so the market still has a winner if the score model ever goes beyond the grid.
+  outcomes.push({ id: "other", label: "Any other score" });
+  return outcomes;
+}
+
+/**
+ * @typedef {Object} MatchResult
+ * @property {number} homeGoals
+ * @property {number} awayGoals
+ * @property {string} winningSide First scorer: the home or away team name, or "No goal".
+ */
+
+/**
+ * Builds the market catalogue for a fixture. `resolve` returns the winning outcome id
+ * for a result, or null when the market is void (every slip is refunded).
+ * `isDecided` (optional) reports, from the live score, that the outcome can no longer
+ * change; the market is then suspended for new slips.
+ * @param {Fixture} fixture
+ * @returns {Array<{id:string, name:string, outcomes:Array<{id:string, label:string}>, resolve:(r:MatchResult)=>string|null, isDecided?:(r:MatchResult)=>boolean}>}
+ */
+function buildMarkets(fixture) {
+  const home = fixture.home.name;
+  const away = fixture.away.name;
+  const maxGoals = fixture.scoring.maxGoals;
+
+  return [
+    {
+      id: "firstScorer",
+      name: "Who will score first?",
+      outcomes: [
+        { id: "home", label: home },
+        { id: "away", label: away }
+      ],
+      // If 0–0, the market is void.
+      resolve: (r) => {
+        if (r.winningSide === home) return "home";
+        if (r.winningSide === away) return "away";
+        return null;
+      },
+      isDecided: (r) => r.homeGoals + r.awayGoals > 0
+    },
+    {
+      id: "matchResult",
+      name: "Match result (1X2)",
+      outcomes: [
+        { id: "home", label: home },
+        { id: "draw", label: "Draw" },
+        { id: "away", label: away }
+      ],
+      resolve: (r) => {
+        if (r.homeGoals > r.awayGoals) return "home";
+        if (r.homeGoals < r.awayGoals) return "away";
+        return "draw";
+      }
+    },
+    {
+      id: "totalGoals",
+      name: `Total goals over/under ${GOALS_LINE}`,
+      outcomes: [
+        { id: "over", label: `Over ${GOALS_LINE}` },
+        { id: "under", label: `Under ${GOALS_LINE}` }
+      ],
+      resolve: (r) => (r.homeGoals + r.awayGoals > GOALS_LINE ? "over" : "under"),
+      isDecided: (r) => r.homeGoals + r.awayGoals > GOALS_LINE
+    },
+    {
+      id: "btts",
+      name: "Both teams to score",
+      outcomes: [
+        { id: "yes", label: "Yes" },
+        { id: "no", label: "No" }
+      ],
+      resolve: (r) => (r.homeGoals > 0 && r.awayGoals > 0 ? "yes" : "no"),
+      isDecided: (r) => r.homeGoals > 0 && r.awayGoals > 0
+    },
+    {
+      id: "correctScore",
+      name: "Correct score",
+      outcomes: correctScoreOutcomes(maxGoals),
+      resolve: (r) => {
+        const id = `${r.homeGoals}-${r.awayGoals}`;
+        return (r.homeGoals <= maxGoals && r.awayGoals <= maxGoals) ? id : "other";
+      }
+    }
+  ];
+}
+
+function getMarket(match, marketId) {
+  return match.markets.find(m => m.id === marketId) || null;
+}
+
+function isMarketOpen(match, market) {
+  // Markets close at full time, or earlier once the live score has decided them; all of them are
+  // suspended during half-time.
+  if (match.ended || match.halfTime) return false;
+  return !(market.isDecided && market.isDecided(liveResult(match)));
+}
+
+function outcomeLabel(market, outcomeId) {
+  const outcome = market.outcomes.find(o => o.id === outcomeId);
+  return outcome ? outcome.label : outcomeId;
+}
+
+function emptyPools(markets) {
+  // { [marketId]: { [outcomeId]: amount } }
+  const pools = {};
+  for (const market of markets) {
+    pools[market.id] = {};
+    for (const outcome of market.outcomes) pools[market.id][outcome.id] = 0;
+  }
+  return pools;
+}
+
+// -----------------------------
+// Fee models
+// -----------------------------
+
+// How the house takes its cut. A fee model is plain JSON so it travels in snapshots and settlements:
+// - { type: "flat", rate }: rate × gross payout (the original 3% exit fee)
+// - { type: "net", rate }: rate × net winnings (gross − stake), so refunds and losses pay nothing
+// - { type: "tiered", basis: "gross"|"net", tiers: [{ upTo, rate }, …] }: the rate of the first tier
+//   whose upTo covers the stake (upTo null = no cap), applied to the gross payout or the net winnings
+// A fee schedule is a default model plus per-market overrides: { model, markets: { [marketId]: model } }.
+// Exchange commission is always charged on the winner's profit; the model only picks its rate.
+
+const EXIT_FEE = 0.03;
+
+function flatFeeSchedule(rate = EXIT_FEE) {
+  return { model: { type: "flat", rate }, markets: {} };
+}
+
+function isFeeRate(x) {
+  return Number.isFinite(x) && x >= 0 && x < 1;
+}
+
+function normalizeFeeModel(raw) {
+  // Returns { ok, model } (a clean copy) or { ok: false, reason }.
+  if (!raw || typeof raw !== "object") return { ok: false, reason: "Fee model must be an object." };
+
+  if (raw.type === "flat" || raw.type === "net") {
+    if (!isFeeRate(raw.rate)) return { ok: false, reason: "Fee rate must be at least 0 and below 1." };
+    return { ok: true, model: { type: raw.type, rate: raw.rate } };
+  }
+
+  if (raw.type === "tiered") {
+    const basis = raw.basis === "net" ? "net" : "gross";
+    if (!Array.isArray(raw.tiers) || raw.tiers.length === 0) return { ok: false, reason: "A tiered fee model needs at least one tier." };
+
+    const tiers = [];
+    let lastCap = 0;
+    for (const [i, tier] of raw.tiers.entries()) {
+      const last = i === raw.tiers.length - 1;
+      if (!tier || !isFeeRate(tier.rate)) return { ok: false, reason: `Tier ${i + 1}: rate must be at least 0 and below 1.` };
+      if (last && tier.upTo == null) {
+        tiers.push({ upTo: null, rate: tier.rate });
+        continue;
+      }
+      if (!(Number.isFinite(tier.upTo) && tier.upTo > lastCap)) {
+        return { ok: false, reason: `Tier ${i + 1}: upTo must be above the previous tier (only the last tier may be open-ended).` };
+      }
+      tiers.push({ upTo: tier.upTo, rate: tier.rate });
+      lastCap = tier.upTo;
+    }
+    if (tiers[tiers.length - 1].upTo !== null) return { ok: false, reason: "The last tier must be open-ended (upTo: null)." };
+    return { ok: true, model: { type: "tiered", basis, tiers } };
+  }
+
+  return { ok: false, reason: "Fee model type must be flat, net or tiered." };
+}
+
+function normalizeFeeSchedule(raw) {
+  // Returns { ok, schedule } (a clean copy) or { ok: false, reason }.
+  if (!raw || typeof raw !== "object") return { ok: false, reason: "Fee schedule must be an object." };
+
+  const base = normalizeFeeModel(raw.model);
+  if (!base.ok) return base;
+
+  const markets = {};
+  for (const [marketId, model] of Object.entries(raw.markets || {})) {
+    const res = normalizeFeeModel(model);
+    if (!res.ok) return { ok: false, reason: `${marketId}: ${res.reason}` };
+    markets[marketId] = res.model;
+  }
+  return { ok: true, schedule: { model: base.model, markets } };
+}
+
+function feeModelFor(schedule, marketId) {
+  return schedule.markets[marketId] || schedule.model;
+}
+
+function feeRate(model, stake) {
+  if (model.type !== "tiered") return model.rate;
+  return model.tiers.find(t => t.upTo === null || stake <= t.upTo).rate;
+}
+
+function calcFee(model, { stake, grossPayout }) {
+  // The house's cut of one payout (cashout, settled slip or refund), rounded half up to a minor unit.
+  const onNet = model.type === "net" || (model.type === "tiered" && model.basis === "net");
+  const base = onNet ? Math.max(0, grossPayout - stake) : grossPayout;
+  return mulRate(base, feeRate(model, stake));
+}
+
+function describeFeeModel(model) {
+  const pct = (rate) => `${Number((rate * 100).toFixed(2))}%`;
+  if (model.type === "flat") return `${pct(model.rate)} of gross`;
+  if (model.type === "net") return `${pct(model.rate)} of net winnings`;
+  const tiers = model.tiers.map(t => (t.upTo === null ? `${pct(t.rate)} above` : `${pct(t.rate)} up to ${fmtMoney(t.upTo)}`));
+  return `${tiers.join(", ")} stake, of ${model.basis === "net" ? "net winnings" : "gross"}`;
+}
+
+// -----------------------------
+// House ledger
+// -----------------------------
+
+/**
+ * Fees the house has actually collected: cashout fees in-play, exchange commission at full time
+ * and the fee of every slip withdrawn afterwards.
+ * @typedef {Object} HouseEntry
+ * @property {"cashout"|"commission"|"withdrawal"} source
+ * @property {number} [slipId]
+ * @property {number} [betId] Matched bet, for commission.
+ * @property {string} marketId
+ * @property {number} minute
+ * @property {number} amount
+ */
+
+function emptyHouseLedger() {
+  return { collected: 0, entries: [] };
+}
+
+function recordFee(match, entry) {
+  if (!(entry.amount > 0)) return;
+  match.house.entries.push(entry);
+  match.house.collected += entry.amount;
+}
+
+function houseLedgerFrom({ slips, settlement, minute }) {
+  // Rebuilds the ledger of a match saved before there was one (cashouts, commission, then withdrawals).
+  const house = emptyHouseLedger();
+  const record = (entry) => recordFee({ house }, entry);
+  for (const slip of slips) {
+    if (slip.status === "cashed_out") {
+      record({ source: "cashout", slipId: slip.id, marketId: slip.marketId, minute: slip.cashout.minute, amount: slip.cashout.fee });
+    }
+  }
+  const matchedBets = settlement && settlement.exchange ? settlement.exchange.matchedBets : [];
+  for (const bet of matchedBets) {
+    record({ source: "commission", betId: bet.id, marketId: bet.marketId, minute, amount: bet.commission });
+  }
+  for (const slip of slips) {
+    if (slip.status === "withdrawn") {
+      record({ source: "withdrawal", slipId: slip.id, marketId: slip.marketId, minute, amount: slip.settlement.fee });
+    }
+  }
+  return house;
+}
+
+function fullTimeSettlement(settlement) {
+  // The settlement as it stood at full time: withdrawals made afterwards only add house entries.
+  if (!settlement.fees.house) return settlement;
+  const entries = settlement.fees.house.entries.filter(e => e.source !== "withdrawal");
+  const house = { collected: sumOf(entries, e => e.amount), entries };
+  return { ...settlement, fees: { ...settlement.fees, house } };
+}
+
+// -----------------------------
+// Abandonment
+// -----------------------------
+
+// How a match can end. "timer" and "manual" produce a full result ("manual" plays the remaining
+// minutes instantly); "abandoned" stops where the clock is; "postponed" is only possible before kick-off.
+const END_REASONS = ["timer", "manual", "abandoned", "postponed"];
+
+// What happens to the markets of an abandoned match. Part of the market terms, so like the fee model it
+// is fixed before the first stake. A postponed match always voids everything.
+const ABANDON_RULES = {
+  settle_decided: "Markets the score has already decided stand (first scorer after the first goal, over 2.5, both teams to score); the rest are void",
+  void_all: "Every market is void and every stake is refunded"
+};
+const DEFAULT_ABANDON_RULE = "settle_decided";
+
+function isAbandonRule(rule) {
+  return Object.prototype.hasOwnProperty.call(ABANDON_RULES, rule);
+}
+
+function settledOutcome(market, result, reason, rule) {
+  // Winning outcome of one market for a match ended by `reason` under abandonment `rule`.
+  // Returns { winningOutcome, voidReason }: voidReason is null when the market has a winner,
+  // "result" when its own rules void it (first scorer on 0–0), or the end reason that voided it.
+  if (reason === "postponed") return { winningOutcome: null, voidReason: "postponed" };
+  if (reason === "abandoned") {
+    const stands = rule === "settle_decided" && Boolean(market.isDecided) && market.isDecided(result);
+    if (!stands) return { winningOutcome: null, voidReason: "abandoned" };
+  }
+  const winningOutcome = market.resolve(result);
+  return { winningOutcome, voidReason: winningOutcome === null ? "result" : null };
+}
+
+// -----------------------------
+// Match clock
+// -----------------------------
+
+// A match is two halves (the first gets the odd minute), each followed by added time drawn from the seed
+// on a stream of its own, so the added time never changes which minutes of a seed have goals in them.
+// Minutes are counted in play order with the added time in between: after +2 in a 90-minute match,
+// minute 46 is 45+1', minute 48 is 46' and minute 92 is 90'. clockLabel() turns one into what a
+// scoreboard shows. Between the halves the match stands at half-time: every market is suspended until
+// startSecondHalf(), or the next tickMatch(), kicks off the second half.
+
+// Added time is drawn from 1 to this share of the half (rounded up): 1–4 and 1–8 minutes after 45-minute halves.
+const ADDED_TIME_SHARE = { first: 0.08, second: 0.16 };
+const ADDED_TIME_SALT = 0x85EBCA6B;
+// Matches saved or exported before added time existed carry `addedTime: null` and are played without it.
+const NO_ADDED_TIME = { first: 0, second: 0 };
+const HALF_TIME_SUSPENDED = "Half-time: every market is suspended until the second half kicks off.";
+
+function halfLength(fixture) {
+  return Math.ceil(fixture.durationMinutes / 2);
+}
+
+function addedTimeFor(fixture, seed) {
+  const rng = createRng((seed ^ ADDED_TIME_SALT) >>> 0);
+  const first = halfLength(fixture);
+  const second = fixture.durationMinutes - first;
+  return {
+    first: rng.int(1, Math.max(1, Math.ceil(first * ADDED_TIME_SHARE.first))),
+    second: rng.int(1, Math.max(1, Math.ceil(second * ADDED_TIME_SHARE.second)))
+  };
+}
+
+function isAddedTime(x) {
+  return Boolean(x) && typeof x === "object"
+    && Number.isInteger(x.first) && x.first >= 0 && x.first <= 60
+    && Number.isInteger(x.second) && x.second >= 0 && x.second <= 60;
+}
+
+function periodEnds(fixture, addedTime) {
+  // Last minute of the first half and of the match, added time included.
+  const added = addedTime || NO_ADDED_TIME;
+  return {
+    firstHalf: halfLength(fixture) + added.first,
+    fullTime: fixture.durationMinutes + added.first + added.second
+  };
+}
+
+function clockLabel(match, minute = match.minute) {
+  // 1 → "1'", 46 → "45+1'" (with added time in the first half), and so on.
+  const half = halfLength(match.fixture);
+  const added = match.addedTime || NO_ADDED_TIME;
+  if (minute <= half) return `${minute}'`;
+  if (minute <= half + added.first) return `${half}+${minute - half}'`;
+
+  const shown = minute - added.first;
+  const duration = match.fixture.durationMinutes;
+  return shown <= duration ? `${shown}'` : `${duration}+${shown - duration}'`;
+}
+
+function inAddedTime(match, minute = match.minute) {
+  return clockLabel(match, minute).includes("+");
+}
+
+// -----------------------------
+// Match
+// -----------------------------
+
+/**
+ * @typedef {Object} GoalEvent
+ * @property {number} minute
+ * @property {"home"|"away"} team
+ * @property {string} teamName
+ * @property {number} homeGoals Score after the goal.
+ * @property {number} awayGoals
+ */
+
+/**
+ * @typedef {Object} BetSlip
+ * @property {number} id
+ * @property {string} bettor
+ * @property {string} marketId
+ * @property {string} outcomeId
+ * @property {number} stake
+ * @property {number} minute Match minute the slip was placed.
+ * @property {number} oddsTaken Pool odds of the outcome right after the slip went in.
+ * @property {"open"|"cashed_out"|"won"|"lost"|"void"|"withdrawn"} status
+ * @property {null|{minute:number, oddsAtCashout:number, grossPayout:number, fee:number, payout:number}} cashout
+ * @property {null|{grossPayout:number, fee:number, payout:number, netProfit:number}} settlement
+ */
+
+/**
+ * Everything one match is made of. Plain data apart from `markets` (rebuilt from the fixture)
+ * and `rng` (rebuilt from seed + position), see matchSnapshot().
+ * @typedef {Object} Match
+ * @property {{model:Object, markets:Object<string, Object>}} feeSchedule Fee model per market (see Fee models).
+ * @property {keyof ABANDON_RULES} abandonRule What an abandonment does to the markets (see Abandonment).
+ * @property {{collected:number, entries:HouseEntry[]}} house Fees collected so far.
+ * @property {Fixture} fixture
+ * @property {ReturnType<typeof buildMarkets>} markets
+ * @property {number} minute Next minute to be played, counted in play order (see Match clock).
+ * @property {null|{first:number, second:number}} addedTime Minutes added to each half; null on matches from
+ *   before added time.
+ * @property {boolean} halfTime The first half is over and the second has not kicked off; markets are suspended.
+ * @property {boolean} running Clock is live (in-play cashouts are only offered then).
+ * @property {boolean} ended
+ * @property {number} seed Seed of the PRNG driving the goal events (see rng.js).
+ * @property {ReturnType<typeof createRng>} rng
+ * @property {GoalEvent[]} events
+ * @property {number} nextSlipId
+ * @property {BetSlip[]} slips
+ * @property {boolean} imported True when the ended match was rebuilt from a settlement JSON.
+ * @property {"pool"|"exchange"} mode "pool": parimutuel bet slips; "exchange": back/lay orders matched in `book`.
+ * @property {ReturnType<typeof createOrderBook>} book
+ * @property {Array<{type:"bet"|"cashout"|"order"|"cancel", minute:number}>} actions Ordered user actions,
+ *   so a seed replay can re-apply them exactly.
+ * @property {Object<string, Object<string, number>>} pools Remaining liquidity per market outcome.
+ *   Grows with each slip, shrinks with each cashout and withdrawal.
+ * @property {null|Object} settlement Settlement snapshot, set at full time.
+ * @property {null|PayoutReport} payoutReport Report of the last settleAllWinners() run.
+ * @property {JournalEntry[]} journal Append-only audit journal of every state-changing action.
+ * @property {OddsSample[]} oddsHistory Prices sampled every minute and on every edit, up to settlement.
+ */
+
+/**
+ * @param {{fixture?:Fixture, seed?:number, mode?:"pool"|"exchange", feeSchedule?:Object, abandonRule?:string, addedTime?:Object}} [options]
+ *   `addedTime` defaults to what the seed draws.
+ * @returns {Match}
+ */
+function createMatch({
+  fixture = DEFAULT_FIXTURE,
+  seed = randomSeed(),
+  mode = "pool",
+  feeSchedule = flatFeeSchedule(),
+  abandonRule = DEFAULT_ABANDON_RULE,
+  addedTime = addedTimeFor(fixture, seed)
+} = {}) {
+  const markets = buildMarkets(fixture);
+  const match = {
+    feeSchedule: normalizeFeeSchedule(feeSchedule).schedule || flatFeeSchedule(),
+    abandonRule: isAbandonRule(abandonRule) ? abandonRule : DEFAULT_ABANDON_RULE,
+    house: emptyHouseLedger(),
+    fixture,
+    markets,
+    minute: 1,
+    addedTime: addedTime === null || isAddedTime(addedTime) ? addedTime : addedTimeFor(fixture, seed),
+    halfTime: false,
+    running: false,
+    ended: false,
+    seed,
+    rng: createRng(seed),
+    events: [],
+    nextSlipId: 1,
+    slips: [],
+    imported: false,
+    mode: mode === "exchange" ? "exchange" : "pool",
+    book: createOrderBook(),
+    actions: [],
+    pools: emptyPools(markets),
+    settlement: null,
+    payoutReport: null,
+    journal: [],
+    oddsHistory: []
+  };
+  logAction(match, {
+    action: "create",
+    details: { fixture, seed, mode: match.mode, feeSchedule: match.feeSchedule, abandonRule: match.abandonRule, addedTime: match.addedTime }
+  });
+  return match;
+}
+
+function canChangeMode(match) {
+  // Before kick-off and before anyone has a stake on the fixture.
+  return !match.running && !match.ended && match.minute === 1 && match.slips.length === 0 && match.book.orders.length === 0;
+}
+
+function setMode(match, mode) {
+  if (mode !== "pool" && mode !== "exchange") return { ok: false, reason: "Unknown market mode." };
+  if (mode !== match.mode && !canChangeMode(match)) {
+    return { ok: false, reason: "The market mode can only be changed before kick-off and before any bet or order." };
+  }
+
+  match.mode = mode;
+  logAction(match, { action: "mode", details: { mode } });
+  return { ok: true, mode };
+}
+
+function setFeeSchedule(match, schedule) {
+  // Fees are priced into every cashout quote, so they are fixed before the first stake like the mode.
+  const res = normalizeFeeSchedule(schedule);
+  if (!res.ok) return res;
+  if (!canChangeMode(match)) {
+    return { ok: false, reason: "The fee model can only be changed before kick-off and before any bet or order." };
+  }
+
+  match.feeSchedule = res.schedule;
+  logAction(match, { action: "fees", details: { schedule: res.schedule } });
+  return { ok: true, schedule: res.schedule };
+}
+
+function setAbandonRule(match, rule) {
+  // Bettors price the abandonment terms in, so they are fixed before the first stake like the fee model.
+  if (!isAbandonRule(rule)) return { ok: false, reason: "Unknown abandonment rule." };
+  if (rule !== match.abandonRule && !canChangeMode(match)) {
+    return { ok: false, reason: "The abandonment rule can only be changed before kick-off and before any bet or order." };
+  }
+
+  match.abandonRule = rule;
+  logAction(match, { action: "rules", details: { abandonRule: rule } });
+  return { ok: true, rule };
+}
+
+function setFixture(match, fixture) {
+  // Markets and pools are keyed by the fixture, so it can only change before any slip exists.
+  if (!canChangeMode(match)) {
+    return { ok: false, reason: "The fixture can only be changed before kick-off and before any slip is placed." };
+  }
+
+  match.fixture = fixture;
+  match.markets = buildMarkets(fixture);
+  match.pools = emptyPools(match.markets);
+  match.addedTime = addedTimeFor(fixture, match.seed);
+  logAction(match, { action: "fixture", details: { fixture } });
+  return { ok: true, fixture };
+}
+
+function setSeed(match, seed) {
+  if (match.running || match.ended || match.minute > 1) {
+    return { ok: false, reason: "The seed can only be changed before kick-off." };
+  }
+
+  match.seed = seed;
+  match.rng = createRng(seed);
+  match.addedTime = addedTimeFor(match.fixture, seed);
+  logAction(match, { action: "seed", details: { seed } });
+  return { ok: true, seed };
+}
+
+function startMatch(match) {
+  if (match.ended) return { ok: false, reason: "Match has ended." };
+  if (match.running) return { ok: true };
+  match.running = true;
+  logAction(match, { action: "start" });
+  return { ok: true };
+}
+
+function pauseMatch(match) {
+  if (match.ended) return { ok: false, reason: "Match has ended." };
+  if (!match.running) return { ok: true };
+  match.running = false;
+  logAction(match, { action: "pause" });
+  return { ok: true };
+}
+
+function startSecondHalf(match, actor = "clock") {
+  // Ends the half-time break: the clock does when the break is over, the operator can cut it short.
+  if (match.ended) return { ok: false, reason: "Match has ended." };
+  if (!match.halfTime) return { ok: false, reason: "The match is not at half-time." };
+  match.halfTime = false;
+  logAction(match, { action: "second_half", actor });
+  return { ok: true };
+}
+
+// -----------------------------
+// Pools
+// -----------------------------
+
+function getPools(match, marketId) {
+  const pools = { ...match.pools[marketId] };
+  const totalPool = Object.values(pools).reduce((sum, x) => sum + x, 0);
+  return { pools, totalPool };
+}
+
+function impliedOdds(pools) {
+  // Parimutuel odds per outcome: total pool / outcome pool.
+  const totalPool = Object.values(pools).reduce((sum, x) => sum + x, 0);
+  const odds = {};
+  for (const [outcomeId, pool] of Object.entries(pools)) {
+    const x = safeDivide(totalPool, pool);
+    odds[outcomeId] = Number.isFinite(x) ? x : 0;
+  }
+  return odds;
+}
+
+function allPoolsTotal(match) {
+  let total = 0;
+  for (const market of match.markets) total += getPools(match, market.id).totalPool;
+  return total;
+}
+
+function applyPools(match, marketId, nextPools) {
+  for (const [outcomeId, amount] of Object.entries(nextPools)) {
+    match.pools[marketId][outcomeId] = Math.floor(Math.max(0, Number(amount) || 0));
+  }
+}
+
+// -----------------------------
+// Odds history
+// -----------------------------
+
+/**
+ * Every market's prices at one moment of the match. In exchange mode `pools` are the stakes
+ * matched on each outcome and `odds` its last matched price (0 before the first trade).
+ * @typedef {Object} OddsSample
+ * @property {number} minute
+ * @property {"minute"|"bet"|"cashout"|"order"|"cancel"|"settlement"} trigger A minute played, an edit, or full time.
+ * @property {Object<string, Object<string, number>>} pools
+ * @property {Object<string, Object<string, number>>} odds
+ */
+
+function marketPrices(match, market) {
+  if (match.mode !== "exchange") {
+    const { pools } = getPools(match, market.id);
+    return { pools, odds: impliedOdds(pools) };
+  }
+
+  const pools = {};
+  const odds = {};
+  for (const outcome of market.outcomes) {
+    pools[outcome.id] = 0;
+    odds[outcome.id] = 0;
+  }
+  // Matched bets are in the order they traded, so the last one sets the price.
+  for (const bet of match.book.matched) {
+    if (bet.marketId !== market.id) continue;
+    pools[bet.outcomeId] += bet.stake;
+    odds[bet.outcomeId] = bet.odds;
+  }
+  return { pools, odds };
+}
+
+function sampleOdds(match, trigger, minute = match.minute) {
+  // Only from kick-off to settlement; withdrawals after full time move pools, not prices.
+  /** @type {OddsSample} */
+  const sample = { minute, trigger, pools: {}, odds: {} };
+  for (const market of match.markets) {
+    const prices = marketPrices(match, market);
+    sample.pools[market.id] = prices.pools;
+    sample.odds[market.id] = prices.odds;
+  }
+  match.oddsHistory.push(sample);
+  return sample;
+}
+
+// -----------------------------
+// Bet ledger
+// -----------------------------
+
+function placeBet(match, { bettor, marketId, outcomeId, stake }) {
+  if (match.ended) return { ok: false, reason: "Match has ended. No more bets are accepted." };
+  if (match.halfTime) return { ok: false, reason: HALF_TIME_SUSPENDED };
+
+  const name = String(bettor || "").trim();
+  if (!name) return { ok: false, reason: "Bettor name is required." };
+
+  const market = getMarket(match, marketId);
+  if (!market) return { ok: false, reason: "Pick a market." };
+  if (!isMarketOpen(match, market)) return { ok: false, reason: `${market.name} is already decided. Market suspended.` };
+  if (!market.outcomes.some(o => o.id === outcomeId)) return { ok: false, reason: "Pick an outcome to back." };
+
+  const amount = Math.floor(safeNumber(stake));
+  if (!(amount > 0)) return { ok: false, reason: "Stake must be greater than 0." };
+
+  const before = copyPools(match);
+
+  /** @type {BetSlip} */
+  const slip = {
+    id: match.nextSlipId++,
+    bettor: name,
+    marketId,
+    outcomeId,
+    stake: amount,
+    minute: match.minute,
+    oddsTaken: 0,
+    status: "open",
+    cashout: null,
+    settlement: null
+  };
+  match.slips.push(slip);
+
+  // Pools are the sum of the slips on each outcome.
+  match.pools[marketId][outcomeId] += amount;
+  slip.oddsTaken = impliedOdds(match.pools[marketId])[outcomeId];
+
+  match.actions.push({ type: "bet", minute: slip.minute, bettor: name, marketId, outcomeId, stake: amount });
+  sampleOdds(match, "bet");
+  logAction(match, { action: "bet", actor: name, details: { slipId: slip.id, marketId, outcomeId, stake: amount }, before });
+
+  return { ok: true, slip };
+}
+
+function cashoutQuote(match, slip) {
+  // In-play cashout price from the live pools:
+  // gross = stake × odds taken / current odds, capped at what the market can pay (stake + opposite pools),
+  // then the market's fee comes off like any other payout.
+  const { pools, totalPool } = getPools(match, slip.marketId);
+  const currentOdds = safeDivide(totalPool, pools[slip.outcomeId]);
+  const oppositePool = totalPool - pools[slip.outcomeId];
+
+  // Rounded down to a minor unit like every payout.
+  const grossPayout = Math.min(roundMinor(slip.stake * safeDivide(slip.oddsTaken, currentOdds)), slip.stake + oppositePool);
+  const fee = calcFee(feeModelFor(match.feeSchedule, slip.marketId), { stake: slip.stake, grossPayout });
+  return { currentOdds, grossPayout, fee, payout: grossPayout - fee };
+}
+
+function canCashOut(match, slip) {
+  return match.running && !match.ended && slip.status === "open" && isMarketOpen(match, getMarket(match, slip.marketId));
+}
+
+function cashOutSlip(match, slipId) {
+  const slip = match.slips.find(x => x.id === slipId);
+  if (!slip) return { ok: false, reason: "Unknown bet slip." };
+  if (!match.running || match.ended) return { ok: false, reason: "Cashout is only available while the match is live." };
+  if (match.halfTime) return { ok: false, reason: HALF_TIME_SUSPENDED };
+  if (slip.status !== "open") return { ok: false, reason: `Slip #${slip.id} is not open.` };
+
+  const market = getMarket(match, slip.marketId);
+  if (!isMarketOpen(match, market)) return { ok: false, reason: `${market.name} is already decided. Cashout suspended.` };
+
+  const quote = cashoutQuote(match, slip);
+  const before = copyPools(match);
+  const { pools } = getPools(match, market.id);
+  const opposite = Object.keys(pools).filter(outcomeId => outcomeId !== slip.outcomeId);
+
+  // Pool movement:
+  // - The slip's stake leaves its own outcome pool, so everyone else's odds move.
+  // - (gross − stake) is taken from (or, below stake, handed to) the opposite pools in proportion to their size.
+  // - The exit fee leaves the market with the payout.
+  const shares = allocate(quote.grossPayout - slip.stake, opposite.map(id => pools[id]));
+  const nextPools = {};
+  for (const [outcomeId, pool] of Object.entries(pools)) {
+    nextPools[outcomeId] = outcomeId === slip.outcomeId ? pool - slip.stake : pool - shares[opposite.indexOf(outcomeId)];
+  }
+
+  applyPools(match, market.id, nextPools);
+
+  slip.status = "cashed_out";
+  slip.cashout = {
+    minute: match.minute,
+    oddsAtCashout: quote.currentOdds,
+    grossPayout: quote.grossPayout,
+    fee: quote.fee,
+    payout: quote.payout
+  };
+  match.actions.push({ type: "cashout", minute: match.minute, slipId: slip.id });
+  sampleOdds(match, "cashout");
+  recordFee(match, { source: "cashout", slipId: slip.id, marketId: slip.marketId, minute: match.minute, amount: quote.fee });
+  logAction(match, { action: "cashout", actor: slip.bettor, details: { slipId: slip.id, payout: quote.payout, fee: quote.fee }, before });
+
+  return { ok: true, slip, market, ...slip.cashout };
+}
+
+function settleSlips(match, marketResults) {
+  // Each slip is settled against its market's pools frozen at full time.
+  // Slips cashed out in-play were already paid and are left as they are.
+  for (const slip of match.slips) {
+    if (slip.status === "cashed_out") {
+      const c = slip.cashout;
+      slip.settlement = { grossPayout: c.grossPayout, fee: c.fee, payout: c.payout, netProfit: c.payout - slip.stake };
+      continue;
+    }
+
+    const { pools, winningOutcome } = marketResults[slip.marketId];
+
+    if (winningOutcome === null) {
+      slip.status = "void";
+    } else {
+      slip.status = slip.outcomeId === winningOutcome ? "won" : "lost";
+    }
+
+    if (slip.status === "lost") {
+      slip.settlement = { grossPayout: 0, fee: 0, payout: 0, netProfit: -slip.stake };
+      continue;
+    }
+
+    const result = calcFinalPayout({ winningOutcome, stake: slip.stake, pools, feeModel: feeModelFor(match.feeSchedule, slip.marketId) });
+    slip.settlement = {
+      grossPayout: result.grossPayout,
+      fee: result.fee,
+      payout: result.payout,
+      netProfit: result.netProfit
+    };
+  }
+}
+
+function withdrawFinalPayout(match, slipId) {
+  if (!match.ended || !match.settlement) return { ok: false, reason: "Match must be ended to withdraw." };
+
+  const slip = match.slips.find(x => x.id === slipId);
+  if (!slip) return { ok: false, reason: "Unknown bet slip." };
+  if (slip.status === "withdrawn") return { ok: false, reason: `Slip #${slip.id} has already been withdrawn.` };
+  if (slip.status !== "won" && slip.status !== "void") {
+    return { ok: false, reason: `Slip #${slip.id} lost. Nothing to withdraw.` };
+  }
+
+  const { payout } = slip.settlement;
+  const stake = slip.stake;
+  const market = getMarket(match, slip.marketId);
+  const winningOutcome = match.settlement.markets[market.id].winningOutcome;
+
+  // Current pools (these will be reduced as withdrawals happen)
+  const before = copyPools(match);
+  const { pools } = getPools(match, market.id);
+
+  if (slip.status === "void") {
+    // Void market: the refund comes straight out of the slip's own outcome pool.
+    if (stake > pools[slip.outcomeId]) {
+      return { ok: false, reason: "Insufficient pool to refund this stake." };
+    }
+    applyPools(match, market.id, { [slip.outcomeId]: pools[slip.outcomeId] - stake });
+
+    slip.status = "withdrawn";
+    recordFee(match, { source: "withdrawal", slipId: slip.id, marketId: market.id, minute: match.minute, amount: slip.settlement.fee });
+    logAction(match, { action: "withdrawal", actor: slip.bettor, details: { slipId: slip.id, payout, fee: slip.settlement.fee }, before });
+    return { ok: true, slip, market, stake, payout, winningOutcome, profitPart: 0 };
+  }
+
+  const res = winnerWithdrawal(pools, winningOutcome, stake, payout);
+  if (!res.ok) return res;
+
+  applyPools(match, market.id, res.nextPools);
+
+  slip.status = "withdrawn";
+  recordFee(match, { source: "withdrawal", slipId: slip.id, marketId: market.id, minute: match.minute, amount: slip.settlement.fee });
+  logAction(match, { action: "withdrawal", actor: slip.bettor, details: { slipId: slip.id, payout, fee: slip.settlement.fee }, before });
+
+  return {
+    ok: true,
+    slip,
+    market,
+    stake,
+    payout,
+    winningOutcome,
+    profitPart: res.profitPart
+  };
+}
+
+function winnerWithdrawal(pools, winningOutcome, stake, payout) {
+  // Pools after paying one winner; returns { ok, nextPools, profitPart } or { ok: false, reason }.
+  const currentWinningPool = pools[winningOutcome];
+  const currentLosingPool = Object.entries(pools)
+    .filter(([outcomeId]) => outcomeId !== winningOutcome)
+    .reduce((sum, [, x]) => sum + x, 0);
+
+  // Withdrawal rules (as requested):
+  // - Total pool reduces by payout.
+  // - Winning outcome pool reduces by the user's stake.
+  // - Losing outcome pools reduce by (payout - stake) i.e. the profit part,
+  //   shared in proportion to their size.
+  // - If winning outcome pool hits 0, no more withdrawals.
+  if (!(currentWinningPool > 0)) {
+    return { ok: false, reason: "Winning outcome pool is empty. No more winner withdrawals remain." };
+  }
+  if (stake > currentWinningPool) {
+    return { ok: false, reason: "Stake cannot exceed the remaining winning outcome pool." };
+  }
+
+  const profitPart = payout - stake;
+  if (profitPart > currentLosingPool) {
+    return { ok: false, reason: "Insufficient losing pools to pay the profit part of this withdrawal." };
+  }
+
+  const losing = Object.keys(pools).filter(outcomeId => outcomeId !== winningOutcome);
+  const shares = allocate(profitPart, losing.map(id => pools[id]));
+  const nextPools = {};
+  for (const [outcomeId, pool] of Object.entries(pools)) {
+    nextPools[outcomeId] = outcomeId === winningOutcome ? pool - stake : pool - shares[losing.indexOf(outcomeId)];
+  }
+
+  if (Object.values(nextPools).some(x => x < 0)) {
+    return { ok: false, reason: "Withdrawal would make pools negative." };
+  }
+
+  return { ok: true, nextPools, profitPart };
+}
+
+// -----------------------------
+// Batch settlement
+// -----------------------------
+
+/**
+ * @typedef {Object} PayoutReport
+ * @property {number} seed
+ * @property {string} finalScore
+ * @property {Array<{slipId:number, bettor:string, marketId:string, outcomeId:string, status:"won"|"void",
+ *   stake:number, grossPayout:number, fee:number, payout:number, paid:boolean, reason:string}>} positions
+ * @property {Array<{marketId:string, winningOutcome:(string|null), poolsBefore:Object<string, number>,
+ *   poolsAfter:Object<string, number>, residue:number}>} markets
+ * @property {{positions:number, paid:number, skipped:number, payout:number, fees:number, residue:number}} totals
+ */
+
+function settleAllWinners(match) {
+  // Pays every winning or void slip that has not been withdrawn yet, in slip order, in one pass,
+  // moving the pools exactly as one withdrawal after another would.
+  // Whatever stays in the pools afterwards (fees, losing stakes nobody won, rounding) is the residue.
+  // Returns { ok, report } or { ok: false, reason }.
+  if (!match.ended || !match.settlement) return { ok: false, reason: "Match must be ended to settle winners." };
+
+  const due = match.slips.filter(s => s.status === "won" || s.status === "void");
+  if (due.length === 0) return { ok: false, reason: "No unpaid winning or void slips." };
+
+  const before = copyPools(match);
+  const working = {};
+  const markets = [];
+  for (const market of match.markets) {
+    const { pools } = getPools(match, market.id);
+    working[market.id] = { ...pools };
+    markets.push({ marketId: market.id, winningOutcome: match.settlement.markets[market.id].winningOutcome, poolsBefore: pools });
+  }
+
+  const positions = [];
+  for (const slip of due) {
+    const { grossPayout, fee, payout } = slip.settlement;
+    const pools = working[slip.marketId];
+    const position = {
+      slipId: slip.id,
+      bettor: slip.bettor,
+      marketId: slip.marketId,
+      outcomeId: slip.outcomeId,
+      status: slip.status,
+      stake: slip.stake,
+      grossPayout,
+      fee,
+      payout,
+      paid: false,
+      reason: ""
+    };
+    positions.push(position);
+
+    if (slip.status === "void") {
+      if (slip.stake > pools[slip.outcomeId]) {
+        position.reason = "Insufficient pool to refund this stake.";
+        continue;
+      }
+      pools[slip.outcomeId] -= slip.stake;
+    } else {
+      const winningOutcome = match.settlement.markets[slip.marketId].winningOutcome;
+      const res = winnerWithdrawal(pools, winningOutcome, slip.stake, payout);
+      if (!res.ok) {
+        position.reason = res.reason;
+        continue;
+      }
+      working[slip.marketId] = res.nextPools;
+    }
+
+    slip.status = "withdrawn";
+    recordFee(match, { source: "withdrawal", slipId: slip.id, marketId: slip.marketId, minute: match.minute, amount: fee });
+    position.paid = true;
+  }
+
+  for (const entry of markets) {
+    applyPools(match, entry.marketId, working[entry.marketId]);
+    entry.poolsAfter = getPools(match, entry.marketId).pools;
+    entry.residue = sumOf(Object.values(entry.poolsAfter), x => x);
+  }
+
+  const paid = positions.filter(p => p.paid);
+  /** @type {PayoutReport} */
+  const report = {
+    seed: match.seed,
+    finalScore: match.settlement.result.finalScore,
+    positions,
+    markets,
+    totals: {
+      positions: positions.length,
+      paid: paid.length,
+      skipped: positions.length - paid.length,
+      payout: sumOf(paid, p => p.payout),
+      fees: sumOf(paid, p => p.fee),
+      residue: sumOf(markets, m => m.residue)
+    }
+  };
+  match.payoutReport = report;
+  const { paid: paidCount, payout, fees, residue } = report.totals;
+  logAction(match, { action: "settle_all", details: { paid: paidCount, payout, fees, residue }, before });
+  return { ok: true, report };
+}
+
+function payoutReportCsv(report) {
+  // One row per position, then one row per market with its remaining pools, then the totals.
+  // Amounts are in major units of the current currency.
+  const money = fmtDecimal;
+  const rows = [["section", "slip", "bettor", "market", "outcome", "status", "stake", "gross_payout", "fee", "payout", "paid", "note"]];
+  for (const p of report.positions) {
+    rows.push(["position", p.slipId, p.bettor, p.marketId, p.outcomeId, p.status, money(p.stake), money(p.grossPayout), money(p.fee), money(p.payout), p.paid ? "yes" : "no", p.reason]);
+  }
+  for (const m of report.markets) {
+    const pools = Object.entries(m.poolsAfter).map(([outcomeId, x]) => `${outcomeId}=${money(x)}`).join(" ");
+    rows.push(["market", "", "", m.marketId, m.winningOutcome === null ? "void" : m.winningOutcome, "", "", "", "", "", "", `pools ${pools}; residue ${money(m.residue)}`]);
+  }
+  const t = report.totals;
+  rows.push(["totals", "", "", "", "", "", "", "", money(t.fees), money(t.payout), `${t.paid}/${t.positions}`, `residue ${money(t.residue)}`]);
+  return rows.map(row => row.map(csvCell).join(",")).join("\n") + "\n";
+}
+
+// -----------------------------
+// Back/lay exchange
+// -----------------------------
+
+function placeOrder(match, { bettor, marketId, outcomeId, side, odds, stake }) {
+  if (match.ended) return { ok: false, reason: "Match has ended. The order book is closed." };
+  if (match.halfTime) return { ok: false, reason: HALF_TIME_SUSPENDED };
+
+  const name = String(bettor || "").trim();
+  if (!name) return { ok: false, reason: "Bettor name is required." };
+
+  const market = getMarket(match, marketId);
+  if (!market) return { ok: false, reason: "Pick a market." };
+  if (!isMarketOpen(match, market)) return { ok: false, reason: `${market.name} is already decided. Market suspended.` };
+  if (!market.outcomes.some(o => o.id === outcomeId)) return { ok: false, reason: "Pick an outcome." };
+
+  const res = submitOrder(match.book, { bettor: name, marketId, outcomeId, side, odds, stake, minute: match.minute });
+  if (!res.ok) return res;
+
+  const { order } = res;
+  match.actions.push({
+    type: "order",
+    minute: match.minute,
+    bettor: name,
+    marketId,
+    outcomeId,
+    side: order.side,
+    odds: order.odds,
+    stake: order.stake
+  });
+  sampleOdds(match, "order");
+  logAction(match, {
+    action: "order",
+    actor: name,
+    details: { orderId: order.id, marketId, outcomeId, side: order.side, odds: order.odds, stake: order.stake, matched: order.stake - order.remaining }
+  });
+
+  return res;
+}
+
+function cancelOrderById(match, orderId) {
+  if (match.ended) return { ok: false, reason: "Match has ended. Unmatched orders have lapsed." };
+
+  const res = cancelOrder(match.book, orderId);
+  if (!res.ok) return res;
+
+  match.actions.push({ type: "cancel", minute: match.minute, orderId });
+  sampleOdds(match, "cancel");
+  logAction(match, { action: "cancel", actor: res.order.bettor, details: { orderId, cancelled: res.cancelled } });
+  return res;
+}
+
+function settleExchange(match, markets) {
+  // Lapse whatever is unmatched, then settle every matched bet on its market's result.
+  const lapsedOrders = lapseOrders(match.book);
+
+  let totalCommission = 0;
+  let totalWinnings = 0;
+  const matchedBets = match.book.matched.map((bet) => {
+    const commissionRate = feeRate(feeModelFor(match.feeSchedule, bet.marketId), bet.stake);
+    const s = settleMatchedBet(bet, markets[bet.marketId].winningOutcome, commissionRate);
+    totalCommission += s.commission;
+    totalWinnings += Math.max(0, s.backerPnl) + Math.max(0, s.layerPnl);
+    recordFee(match, { source: "commission", betId: bet.id, marketId: bet.marketId, minute: match.minute, amount: s.commission });
+    return { ...bet, commissionRate, ...s };
+  });
+
+  return {
+    lapsedOrders,
+    orders: match.book.orders.map(o => ({ ...o })),
+    matchedBets,
+    totalMatched: matchedBets.reduce((sum, b) => sum + b.stake, 0),
+    totalWinnings,
+    totalCommission
+  };
+}
+
+// -----------------------------
+// Goal timeline
+// -----------------------------
+
+function scoreFrom(events) {
+  // Score after a list of goal events, shaped like a MatchResult.
+  const last = events[events.length - 1];
+  const first = events[0];
+  return {
+    homeGoals: last ? last.homeGoals : 0,
+    awayGoals: last ? last.awayGoals : 0,
+    winningSide: first ? first.teamName : "No goal"
+  };
+}
+
+function liveResult(match) {
+  // Score so far, so markets can be checked mid-match.
+  return scoreFrom(match.events);
+}
+
+function playMinuteInto(events, minute, fixture, rng) {
+  // Goals are timed events: each minute a team scores with probability rate / duration,
+  // so the goal count over the match is ~Poisson(rate). Appends to `events` and returns the goals of this minute.
+  const { home, away, scoring, durationMinutes } = fixture;
+  const teams = [
+    { team: "home", teamName: home.name, p: scoring.homeRate / durationMinutes },
+    { team: "away", teamName: away.name, p: scoring.awayRate / durationMinutes }
+  ];
+  // Both teams can score in the same minute; pick who goes first fairly.
+  if (rng.chance(0.5)) teams.reverse();
+
+  const goals = [];
+  for (const t of teams) {
+    const live = scoreFrom(events);
+    const scored = t.team === "home" ? live.homeGoals : live.awayGoals;
+    if (scored >= scoring.maxGoals) continue;
+    if (!rng.chance(t.p)) continue;
+
+    /** @type {GoalEvent} */
+    const event = {
+      minute,
+      team: t.team,
+      teamName: t.teamName,
+      homeGoals: live.homeGoals + (t.team === "home" ? 1 : 0),
+      awayGoals: live.awayGoals + (t.team === "away" ? 1 : 0)
+    };
+    events.push(event);
+    goals.push(event);
+  }
+  return goals;
+}
+
+function playMinute(match, minute) {
+  return playMinuteInto(match.events, minute, match.fixture, match.rng);
+}
+
+function simulateEvents(fixture, seed, addedTime = addedTimeFor(fixture, seed)) {
+  // Every match plays all of its minutes (a manual finish fast-forwards), so the goal
+  // timeline depends only on the fixture, the seed and the added time.
+  const rng = createRng(seed);
+  const events = [];
+  const { fullTime } = periodEnds(fixture, addedTime);
+  for (let m = 1; m <= fullTime; m++) playMinuteInto(events, m, fixture, rng);
+  return events;
+}
+
+function tickMatch(match) {
+  // Plays the current minute, then moves the clock on: to half-time after the first half's added time,
+  // or to the end of the match at full time. Called at half-time, it kicks off the second half first.
+  // Returns { ok, minute, goals, ended, halfTime } with the minute just played and its goals.
+  if (match.ended) return { ok: false, reason: "Match has ended." };
+  if (match.halfTime) startSecondHalf(match);
+
+  const minute = match.minute;
+  const goals = playMinute(match, minute);
+  sampleOdds(match, "minute", minute);
+
+  const ends = periodEnds(match.fixture, match.addedTime);
+  if (minute >= ends.fullTime) {
+    endMatch(match, "timer");
+    return { ok: true, minute, goals, ended: true, halfTime: false };
+  }
+
+  match.minute += 1;
+  if (minute === ends.firstHalf) {
+    match.halfTime = true;
+    logAction(match, { action: "half_time", actor: "clock" });
+  }
+  return { ok: true, minute, goals, ended: false, halfTime: match.halfTime };
+}
+
+// -----------------------------
+// Settlement
+// -----------------------------
+
+function endMatch(match, reason) {
+  // Ends the match ("timer" at full time, "manual" to finish early, "abandoned" or "postponed", see
+  // Abandonment) and settles it. Returns { ok, settlement }.
+  if (match.ended) return { ok: false, reason: "Match has already ended." };
+  if (!END_REASONS.includes(reason)) return { ok: false, reason: `Unknown way to end a match: "${reason}".` };
+  if (reason === "postponed" && (match.minute > 1 || match.events.length > 0)) {
+    return { ok: false, reason: "Only a match that has not kicked off can be postponed; abandon it instead." };
+  }
+
+  match.running = false;
+  match.halfTime = false;
+
+  // A manual finish plays out the remaining minutes instantly, so the result
+  // is always a full match built from the goal timeline.
+  const stoppedAt = match.minute;
+  if (reason === "manual") {
+    for (let m = match.minute; m <= periodEnds(match.fixture, match.addedTime).fullTime; m++) {
+      match.minute = m;
+      playMinute(match, m);
+    }
+  }
+
+  match.ended = true;
+
+  const { home, away } = match.fixture;
+  const { homeGoals, awayGoals, winningSide } = liveResult(match);
+
+  // Use an en-dash for display: "Arsenal 1 – 2 Liverpool"
+  const finalScore = `${home.name} ${homeGoals} – ${awayGoals} ${away.name}`;
+
+  // The first scorer market is resolved from the first goal event; "No goal" on 0–0.
+  const result = {
+    finalScore,
+    homeGoals,
+    awayGoals,
+    winningSide,
+    events: match.events.map(e => ({ ...e }))
+  };
+
+  // Snapshot every market's pools + final odds at end, and resolve it off the score
+  // (or void it, when the match was abandoned or postponed).
+  const voidRule = reason === "abandoned" ? match.abandonRule : (reason === "postponed" ? "void_all" : null);
+  const markets = {};
+  for (const market of match.markets) {
+    const { pools, totalPool } = getPools(match, market.id);
+    const { winningOutcome, voidReason } = settledOutcome(market, result, reason, voidRule);
+    markets[market.id] = {
+      name: market.name,
+      pools,
+      totalPool,
+      estimatedOdds: impliedOdds(pools),
+      winningOutcome,
+      void: winningOutcome === null,
+      voidReason
+    };
+  }
+
+  // No wall-clock timestamps in here: the same seed and ledger must replay byte-for-byte.
+  match.settlement = {
+    meta: {
+      purpose: "education_and_simulation_only",
+      match: fixtureTitle(match.fixture),
+      fixture: match.fixture,
+      seed: match.seed,
+      mode: match.mode,
+      endReason: reason,
+      // The abandonment rule applied: null for a match that was played out.
+      voidRule,
+      currency: { code: activeCurrency().code, minorUnits: activeCurrency().minorUnits },
+      // Minutes below count in play order, with this added time in between (see Match clock).
+      addedTime: match.addedTime,
+      minuteEnded: match.minute,
+      clockStoppedAt: stoppedAt
+    },
+    result,
+    markets,
+    fees: {
+      schedule: match.feeSchedule
+    },
+    slips: [],
+    cashouts: []
+  };
+
+  // Settle every slip against its market's snapshot pools.
+  settleSlips(match, markets);
+
+  // Post-match payouts and in-play cashouts are totalled separately; fees cover both.
+  let totalFees = 0;
+  let cashoutFees = 0;
+  for (const slip of match.slips) {
+    if (slip.status === "cashed_out") {
+      cashoutFees += slip.cashout.fee;
+      match.settlement.cashouts.push({
+        slipId: slip.id,
+        bettor: slip.bettor,
+        market: slip.marketId,
+        outcome: slip.outcomeId,
+        stake: slip.stake,
+        oddsTaken: slip.oddsTaken,
+        ...slip.cashout
+      });
+    } else {
+      totalFees += slip.settlement.fee;
+    }
+
+    match.settlement.slips.push({
+      id: slip.id,
+      bettor: slip.bettor,
+      market: slip.marketId,
+      outcome: slip.outcomeId,
+      stake: slip.stake,
+      minute: slip.minute,
+      oddsTaken: slip.oddsTaken,
+      status: slip.status,
+      grossPayout: slip.settlement.grossPayout,
+      fee: slip.settlement.fee,
+      payout: slip.settlement.payout,
+      netProfit: slip.settlement.netProfit
+    });
+  }
+  match.settlement.fees.settlementFees = totalFees;
+  match.settlement.fees.cashoutFees = cashoutFees;
+  match.settlement.fees.totalFees = totalFees + cashoutFees;
+
+  // Exchange mode settles matched bets with liability and commission instead of pool payouts.
+  if (match.mode === "exchange") {
+    const exchange = settleExchange(match, markets);
+    match.settlement.exchange = exchange;
+    match.settlement.fees.commission = exchange.totalCommission;
+    match.settlement.fees.totalFees += exchange.totalCommission;
+  }
+
+  // Fees due (above) vs fees collected: the house ledger keeps growing as slips are withdrawn.
+  match.settlement.fees.house = match.house;
+
+  // The settlement point closes the price series; nothing is sampled after it.
+  sampleOdds(match, "settlement", stoppedAt);
+  match.settlement.oddsHistory = match.oddsHistory;
+
+  logAction(match, {
+    action: "end",
+    actor: reason === "timer" ? "clock" : "operator",
+    details: voidRule ? { reason, finalScore, voidRule } : { reason, finalScore },
+    minute: stoppedAt
+  });
+
+  return { ok: true, settlement: match.settlement };
+}
+
+function calcFinalPayout({ winningOutcome, stake, pools, feeModel = flatFeeSchedule().model }) {
+  // Final payout formula (parimutuel, any number of outcomes):
+  // Final payout = stake × (1 + opposite pools / winning pool) − fee
+  // where "opposite pools" is every other outcome of the same market and the fee comes from the
+  // market's fee model (3% of gross by default). A void market refunds the stake without a fee.
+  if (winningOutcome === null) {
+    return {
+      winningPool: 0,
+      oppositePool: 0,
+      grossPayout: stake,
+      fee: 0,
+      payout: stake,
+      netProfit: 0
+    };
+  }
+
+  const totalPool = Object.values(pools).reduce((sum, x) => sum + x, 0);
+  const winningPool = pools[winningOutcome] || 0;
+  const oppositePool = totalPool - winningPool;
+
+  // stake × total / winning pool, rounded down; an empty winning pool just returns the stake.
+  const grossPayout = winningPool > 0 ? mulDiv(stake, totalPool, winningPool) : stake;
+  const fee = calcFee(feeModel, { stake, grossPayout });
+  const payout = grossPayout - fee;
+  return {
+    winningPool,
+    oppositePool,
+    grossPayout,
+    fee,
+    payout,
+    netProfit: payout - stake
+  };
+}
+
+// -----------------------------
+// Seed & replay
+// -----------------------------
+
+function replayMatch(match, seed) {
+  // Re-runs a finished match from `seed`: same fixture, same bets and cashouts in the
+  // same order at the same minutes, same way of ending. With the original seed the settlement comes out byte-identical.
+  // Returns { ok, match, seed, previousSeed, identical } with the replayed match; `match` itself is left alone.
+  if (!match.ended || !match.settlement) return { ok: false, reason: "Finish the match first; a replay re-runs its ledger." };
+  if (match.imported) return { ok: false, reason: "An imported settlement has no action log to replay." };
+
+  // The same seed keeps the match's own added time (none, on a match from before added time).
+  const replay = createMatch({
+    fixture: match.fixture,
+    seed,
+    mode: match.mode,
+    feeSchedule: match.feeSchedule,
+    abandonRule: match.abandonRule,
+    addedTime: seed === match.seed ? match.addedTime : undefined
+  });
+  const { endReason, clockStoppedAt } = match.settlement.meta;
+
+  // The replay clock counts as live so in-play cashouts are accepted again.
+  startMatch(replay);
+  while (!replay.ended) {
+    // Nothing can be placed during the break, so the ledger carries on in the second half.
+    if (replay.halfTime) startSecondHalf(replay);
+    for (const action of match.actions) {
+      if (action.minute !== replay.minute) continue;
+      if (action.type === "bet") placeBet(replay, action);
+      else if (action.type === "cashout") cashOutSlip(replay, action.slipId);
+      else if (action.type === "order") placeOrder(replay, action);
+      else if (action.type === "cancel") cancelOrderById(replay, action.orderId);
+    }
+    if (endReason !== "timer" && replay.minute === clockStoppedAt) {
+      endMatch(replay, endReason);
+      break;
+    }
+    tickMatch(replay);
+  }
+
+  // Withdrawals after full time are not part of the ledger, so they are left out of the comparison.
+  const identical = JSON.stringify(replay.settlement, null, 2) === JSON.stringify(fullTimeSettlement(match.settlement), null, 2);
+  return { ok: true, match: replay, seed, previousSeed: match.seed, identical };
+}
+
+// -----------------------------
+// Audit journal
+// -----------------------------
+
+/**
+ * One state-changing action. Entries are frozen when appended and never edited afterwards.
+ * @typedef {Object} JournalEntry
+ * @property {number} seq 1, 2, 3, … in the order the actions happened.
+ * @property {string} at Wall-clock time (ISO 8601); the only field a replay does not reproduce.
+ * @property {number} minute Match minute the action happened at.
+ * @property {"create"|"mode"|"fees"|"rules"|"fixture"|"seed"|"start"|"pause"|"half_time"|"second_half"|"bet"|"cashout"|"order"|"cancel"|"end"|"withdrawal"|"settle_all"|"import"} action
+ * @property {string} actor The bettor for their own slips and orders, "operator" for the match controls, "clock" at half-time and full time.
+ * @property {Object} details Everything needed to apply the action again.
+ * @property {Object<string, Object<string, number>>} poolsBefore Pools of the markets the action changed, before it.
+ * @property {Object<string, Object<string, number>>} poolsAfter The same markets after it.
+ */
+
+function copyPools(match) {
+  return JSON.parse(JSON.stringify(match.pools));
+}
+
+function deepFreeze(value) {
+  if (value && typeof value === "object" && !Object.isFrozen(value)) {
+    Object.freeze(value);
+    for (const x of Object.values(value)) deepFreeze(x);
+  }
+  return value;
+}
+
+function logAction(match, { action, actor = "operator", details = {}, before = null, minute = match.minute }) {
+  // Appends one entry; only markets whose pools actually changed are recorded.
+  const poolsBefore = {};
+  const poolsAfter = {};
+  if (before) {
+    for (const [marketId, pools] of Object.entries(match.pools)) {
+      if (JSON.stringify(before[marketId]) === JSON.stringify(pools)) continue;
+      poolsBefore[marketId] = before[marketId];
+      poolsAfter[marketId] = { ...pools };
+    }
+  }
+
+  const entry = {
+    seq: match.journal.length + 1,
+    at: new Date().toISOString(),
+    minute,
+    action,
+    actor,
+    details: JSON.parse(JSON.stringify(details)),
+    poolsBefore,
+    poolsAfter
+  };
+  match.journal.push(deepFreeze(entry));
+  return entry;
+}
+
+function replayJournal(journal) {
+  // Rebuilds a match from its journal alone: a fresh match from the "create" entry, the clock played
+  // up to each entry's minute (goals come from the seed), then the entry's action applied again.
+  // Every entry's poolsAfter is checked on the way. Returns { ok, match, mismatches } or { ok: false, reason }.
+  if (!Array.isArray(journal) || journal.length === 0 || journal[0].action !== "create") {
+    return { ok: false, reason: "The journal does not start with the creation of the match." };
+  }
+  if (journal.some(e => e.action === "import")) {
+    return { ok: false, reason: "An imported settlement has no journal of the match to replay." };
+  }
+
+  // A journal written before added time has none in its "create" entry, and its match was played without it.
+  const match = createMatch({ addedTime: null, ...journal[0].details });
+  const mismatches = [];
+
+  for (const entry of journal.slice(1)) {
+    while (!match.ended && !match.halfTime && match.minute < entry.minute) tickMatch(match);
+
+    const d = entry.details;
+    let res;
+    if (entry.action === "mode") res = setMode(match, d.mode);
+    else if (entry.action === "fees") res = setFeeSchedule(match, d.schedule);
+    else if (entry.action === "rules") res = setAbandonRule(match, d.abandonRule);
+    else if (entry.action === "fixture") res = setFixture(match, d.fixture);
+    else if (entry.action === "seed") res = setSeed(match, d.seed);
+    else if (entry.action === "start") res = startMatch(match);
+    else if (entry.action === "pause") res = pauseMatch(match);
+    else if (entry.action === "half_time") res = match.halfTime ? { ok: true } : { ok: false, reason: "The clock is not at half-time here." };
+    else if (entry.action === "second_half") res = startSecondHalf(match, entry.actor);
+    else if (entry.action === "bet") res = placeBet(match, { bettor: entry.actor, ...d });
+    else if (entry.action === "cashout") res = cashOutSlip(match, d.slipId);
+    else if (entry.action === "order") res = placeOrder(match, { bettor: entry.actor, ...d });
+    else if (entry.action === "cancel") res = cancelOrderById(match, d.orderId);
+    else if (entry.action === "withdrawal") res = withdrawFinalPayout(match, d.slipId);
+    else if (entry.action === "settle_all") res = settleAllWinners(match);
+    else if (entry.action === "end") {
+      // At full time the clock ends the match by playing its last minute.
+      if (match.ended) res = { ok: true };
+      else res = d.reason === "timer" ? tickMatch(match) : endMatch(match, d.reason);
+    } else res = { ok: false, reason: `Unknown action "${entry.action}".` };
+
+    if (!res.ok) {
+      mismatches.push({ seq: entry.seq, action: entry.action, reason: res.reason });
+      continue;
+    }
+    for (const [marketId, pools] of Object.entries(entry.poolsAfter)) {
+      if (JSON.stringify(match.pools[marketId]) !== JSON.stringify(pools)) {
+        mismatches.push({ seq: entry.seq, action: entry.action, reason: `${marketId} pools differ after the action.` });
+      }
+    }
+  }
+
+  return { ok: true, match, mismatches };
+}
+
+function journalCsv(journal) {
+  // One row per entry; details and pools as compact JSON.
+  const rows = [["seq", "at", "minute", "action", "actor", "details", "pools_before", "pools_after"]];
+  for (const e of journal) {
+    rows.push([e.seq, e.at, e.minute, e.action, e.actor, JSON.stringify(e.details), JSON.stringify(e.poolsBefore), JSON.stringify(e.poolsAfter)]);
+  }
+  return rows.map(row => row.map(csvCell).join(",")).join("\n") + "\n";
+}
+
+// -----------------------------
+// Import & verify
+// -----------------------------
+
+function sameAmount(a, b) {
+  // Money is whole minor units, so amounts must match exactly.
+  return Number.isInteger(a) && a === b;
+}
+
+function nearlyEqual(a, b) {
+  // Odds in the JSON are floats; allow for serialisation noise only.
+  if (!Number.isFinite(a) || !Number.isFinite(b)) return false;
+  return Math.abs(a - b) <= 1e-6 * Math.max(1, Math.abs(a), Math.abs(b));
+}
+
+function sumOf(list, pick) {
+  return list.reduce((sum, x) => sum + pick(x), 0);
+}
+
+function verifySettlement(settlement, fixture) {
+  // Recomputes everything derivable from the settlement's own inputs (fixture, seed, pools, stakes)
+  // and returns one finding per check: { ok, text }. A failed check means the JSON was edited.
+  const findings = [];
+  const check = (ok, text) => findings.push({ ok: Boolean(ok), text });
+
+  const markets = buildMarkets(fixture);
+  const { result, meta, fees } = settlement;
+  const feeSchedule = settlementFeeSchedule(fees);
+  check(feeSchedule.ok, feeSchedule.ok ? `Fee model is valid (${describeFeeModel(feeSchedule.schedule.model)}).` : `Fee model is invalid: ${feeSchedule.reason}`);
+  const schedule = feeSchedule.ok ? feeSchedule.schedule : flatFeeSchedule();
+
+  // Added time: what the seed draws, or none on an export from before added time.
+  const addedTime = meta.addedTime == null ? null : meta.addedTime;
+  if (addedTime === null) {
+    check(true, "No added time recorded (exported before added time); the match is checked over its regulation minutes.");
+  } else {
+    const drawn = Number.isInteger(meta.seed) ? addedTimeFor(fixture, meta.seed) : null;
+    check(isAddedTime(addedTime) && drawn !== null && addedTime.first === drawn.first && addedTime.second === drawn.second,
+      `Added time (+${addedTime.first} / +${addedTime.second}) is the one seed ${meta.seed} draws.`);
+  }
+  const { fullTime } = periodEnds(fixture, isAddedTime(addedTime) ? addedTime : null);
+
+  // Goal timeline → score → first scorer.
+  const events = Array.isArray(result.events) ? result.events : [];
+  let home = 0;
+  let away = 0;
+  let lastMinute = 1;
+  let timelineOk = true;
+  for (const e of events) {
+    if (e.team === "home") home++;
+    else if (e.team === "away") away++;
+    else timelineOk = false;
+    const teamName = e.team === "home" ? fixture.home.name : fixture.away.name;
+    if (e.teamName !== teamName || e.homeGoals !== home || e.awayGoals !== away) timelineOk = false;
+    if (!(e.minute >= lastMinute && e.minute <= fullTime)) timelineOk = false;
+    lastMinute = e.minute;
+  }
+  check(timelineOk, "Goal events count up one goal at a time, in minute order, within the match.");
+
+  const score = scoreFrom(events);
+  check(result.homeGoals === score.homeGoals && result.awayGoals === score.awayGoals,
+    `Final score ${result.homeGoals}–${result.awayGoals} matches the goal events (${score.homeGoals}–${score.awayGoals}).`);
+  check(result.winningSide === score.winningSide,
+    `First scorer "${result.winningSide}" matches the first goal event ("${score.winningSide}").`);
+  check(result.finalScore === `${fixture.home.name} ${result.homeGoals} – ${result.awayGoals} ${fixture.away.name}`,
+    "Final score text matches the goals.");
+
+  // How the match ended, and so how much of the timeline was played and which rule voids the markets.
+  const reason = meta.endReason;
+  const stopped = reason === "abandoned" || reason === "postponed";
+  const ruleOk = reason === "abandoned" ? isAbandonRule(meta.voidRule)
+    : reason === "postponed" ? meta.voidRule === "void_all" && meta.clockStoppedAt === 1
+      : END_REASONS.includes(reason) && meta.voidRule == null;
+  check(ruleOk, stopped
+    ? `Match ${reason} at minute ${meta.clockStoppedAt} under rule "${meta.voidRule}".`
+    : `Match ended by "${reason}" and was played out; no abandonment rule applies.`);
+
+  if (Number.isInteger(meta.seed)) {
+    // An abandoned match only played the minutes before the clock stopped.
+    const replayed = simulateEvents(fixture, meta.seed, isAddedTime(addedTime) ? addedTime : NO_ADDED_TIME)
+      .filter(e => !stopped || e.minute < meta.clockStoppedAt);
+    check(JSON.stringify(replayed) === JSON.stringify(events), `Goal timeline is the one seed ${meta.seed} produces.`);
+  } else {
+    check(false, "No seed recorded, so the goal timeline cannot be reproduced.");
+  }
+
+  // Markets: pools → odds, result → winning outcome.
+  for (const market of markets) {
+    const m = settlement.markets[market.id];
+    if (!m) {
+      check(false, `${market.name}: missing from the settlement.`);
+      continue;
+    }
+
+    const ids = market.outcomes.map(o => o.id);
+    const poolsOk = Object.keys(m.pools).length === ids.length
+      && ids.every(id => Number.isFinite(m.pools[id]) && m.pools[id] >= 0);
+    check(poolsOk, `${market.name}: pools cover exactly the market's outcomes.`);
+    if (!poolsOk) continue;
+
+    check(sameAmount(m.totalPool, sumOf(ids, id => m.pools[id])), `${market.name}: total pool equals the sum of outcome pools.`);
+
+    const odds = impliedOdds(m.pools);
+    check(ids.every(id => m.estimatedOdds && nearlyEqual(m.estimatedOdds[id], odds[id])),
+      `${market.name}: estimated odds equal Total / Outcome pool.`);
+
+    // Exports made before abandonment rules carry no voidReason.
+    const expected = settledOutcome(market, score, reason, meta.voidRule);
+    check(m.winningOutcome === expected.winningOutcome && m.void === (expected.winningOutcome === null)
+      && (m.voidReason === undefined || m.voidReason === expected.voidReason),
+    `${market.name}: winning outcome "${m.winningOutcome}" follows from the result.`);
+  }
+  for (const id of Object.keys(settlement.markets)) {
+    if (!markets.some(m => m.id === id)) check(false, `Unknown market "${id}" in the settlement.`);
+  }
+
+  // Slips: stake → pools, result → status, pools → payout.
+  const cashouts = settlement.cashouts || [];
+  for (const slip of settlement.slips) {
+    const market = markets.find(m => m.id === slip.market);
+    const m = settlement.markets[slip.market];
+    if (!market || !m || !market.outcomes.some(o => o.id === slip.outcome)) {
+      check(false, `Slip #${slip.id}: unknown market or outcome.`);
+      continue;
+    }
+
+    if (slip.status === "cashed_out") {
+      const c = cashouts.find(x => x.slipId === slip.id);
+      const fee = c && calcFee(feeModelFor(schedule, slip.market), { stake: slip.stake, grossPayout: c.grossPayout });
+      check(c && sameAmount(c.payout, slip.payout) && sameAmount(c.fee, slip.fee) && sameAmount(c.fee, fee),
+        `Slip #${slip.id}: cashout record and fee agree.`);
+      continue;
+    }
+
+    let status = "lost";
+    if (m.winningOutcome === null) status = "void";
+    else if (slip.outcome === m.winningOutcome) status = "won";
+    check(slip.status === status, `Slip #${slip.id}: status "${slip.status}" follows from the result (${status}).`);
+
+    const expected = status === "lost"
+      ? { grossPayout: 0, fee: 0, payout: 0 }
+      : calcFinalPayout({ winningOutcome: m.winningOutcome, stake: slip.stake, pools: m.pools, feeModel: feeModelFor(schedule, slip.market) });
+    check(sameAmount(slip.grossPayout, expected.grossPayout) && sameAmount(slip.fee, expected.fee) && sameAmount(slip.payout, expected.payout),
+      `Slip #${slip.id}: payout ${fmtMoney(slip.payout)} matches the pools (${fmtMoney(expected.payout)}).`);
+  }
+
+  // Without cashouts a market's pools are exactly the stakes placed on it.
+  for (const market of markets) {
+    const m = settlement.markets[market.id];
+    if (!m || cashouts.some(c => c.market === market.id)) continue;
+    const stakesOk = market.outcomes.every((o) => {
+      const staked = sumOf(settlement.slips.filter(x => x.market === market.id && x.outcome === o.id), x => x.stake);
+      return sameAmount(staked, m.pools[o.id]);
+    });
+    check(stakesOk, `${market.name}: pools equal the stakes of its slips.`);
+  }
+
+  // Exchange: matched bets → liability and P/L.
+  let commission = 0;
+  if (settlement.exchange) {
+    const ex = settlement.exchange;
+    for (const bet of ex.matchedBets) {
+      const m = settlement.markets[bet.marketId];
+      const expected = m ? settleMatchedBet(bet, m.winningOutcome, feeRate(feeModelFor(schedule, bet.marketId), bet.stake)) : null;
+      check(expected && sameAmount(bet.liability, layLiability(bet.stake, bet.odds))
+        && bet.result === expected.result && sameAmount(bet.backerPnl, expected.backerPnl) && sameAmount(bet.layerPnl, expected.layerPnl),
+      `Matched bet #${bet.id}: liability and P/L follow from odds, stake and result.`);
+    }
+    commission = sumOf(ex.matchedBets, b => b.commission);
+    check(sameAmount(ex.totalCommission, commission), "Exchange commission total equals the sum over matched bets.");
+  }
+
+  // Fee totals.
+  const settlementFees = sumOf(settlement.slips.filter(x => x.status !== "cashed_out"), x => x.fee);
+  const cashoutFees = sumOf(cashouts, c => c.fee);
+  check(sameAmount(fees.settlementFees, settlementFees) && sameAmount(fees.cashoutFees, cashoutFees)
+    && sameAmount(fees.totalFees, settlementFees + cashoutFees + commission),
+  `Fee totals add up (${fmtMoney(fees.totalFees)}).`);
+
+  // House ledger: every fee collected belongs to a cashout, a matched bet or a paid slip, once each.
+  if (fees.house) {
+    const entries = Array.isArray(fees.house.entries) ? fees.house.entries : [];
+    const seen = new Set();
+    let ledgerOk = true;
+    for (const e of entries) {
+      const key = `${e.source}:${e.source === "commission" ? e.betId : e.slipId}`;
+      let expected;
+      if (e.source === "cashout") {
+        const c = cashouts.find(x => x.slipId === e.slipId);
+        expected = c && c.fee;
+      } else if (e.source === "withdrawal") {
+        const slip = settlement.slips.find(x => x.id === e.slipId);
+        expected = slip && (slip.status === "won" || slip.status === "void") ? slip.fee : undefined;
+      } else if (e.source === "commission") {
+        const bet = settlement.exchange && settlement.exchange.matchedBets.find(b => b.id === e.betId);
+        expected = bet && bet.commission;
+      }
+      if (seen.has(key) || !sameAmount(e.amount, expected)) ledgerOk = false;
+      seen.add(key);
+    }
+    check(ledgerOk, `House ledger: each of ${entries.length} fee entries matches a cashout, matched bet or paid slip, once.`);
+    check(sameAmount(fees.house.collected, sumOf(entries, e => e.amount)),
+      `House revenue collected (${fmtMoney(fees.house.collected)}) is the sum of its entries.`);
+  }
+
+  // Odds history (exports made before it have none): in minute order, prices that follow from the
+  // sampled pools, ending at the settlement with the settled pools.
+  if (Array.isArray(settlement.oddsHistory) && settlement.oddsHistory.length > 0) {
+    const history = settlement.oddsHistory;
+    let orderOk = true;
+    let pricesOk = true;
+    let lastMinute = 1;
+    for (const sample of history) {
+      if (!(sample.minute >= lastMinute && sample.minute <= fullTime)) orderOk = false;
+      lastMinute = sample.minute;
+      for (const market of markets) {
+        const pools = sample.pools && sample.pools[market.id];
+        const odds = sample.odds && sample.odds[market.id];
+        if (!pools || !odds || !market.outcomes.every(o => Number.isFinite(pools[o.id]) && Number.isFinite(odds[o.id]))) {
+          pricesOk = false;
+          continue;
+        }
+        if (settlement.exchange) continue;
+        const implied = impliedOdds(pools);
+        if (!market.outcomes.every(o => nearlyEqual(odds[o.id], implied[o.id]))) pricesOk = false;
+      }
+    }
+    check(orderOk, `Odds history: ${history.length} samples in minute order, within the match.`);
+    check(pricesOk, settlement.exchange
+      ? "Odds history: every sample prices every outcome."
+      : "Odds history: every sampled price equals Total / Outcome pool.");
+
+    const last = history[history.length - 1];
+    const closes = last.trigger === "settlement" && markets.every((market) => {
+      const m = settlement.markets[market.id];
+      if (!m || !last.pools || !last.pools[market.id]) return false;
+      return market.outcomes.every((o) => {
+        const expected = settlement.exchange
+          ? sumOf(settlement.exchange.matchedBets.filter(b => b.marketId === market.id && b.outcomeId === o.id), b => b.stake)
+          : m.pools[o.id];
+        return sameAmount(last.pools[market.id][o.id], expected);
+      });
+    });
+    check(closes, "Odds history ends at the settlement point with the settled pools.");
+  }
+
+  return findings;
+}
+
+function settlementFeeSchedule(fees) {
+  // Exports made before fee models carry a single exitFeeRate, which is a flat model.
+  if (fees.schedule) return normalizeFeeSchedule(fees.schedule);
+  if (!isFeeRate(fees.exitFeeRate)) return { ok: false, reason: `exit fee rate ${fees.exitFeeRate} is not a valid rate.` };
+  return { ok: true, schedule: flatFeeSchedule(fees.exitFeeRate) };
+}
+
+function parseSettlement(text) {
+  // Returns { ok, settlement, fixture } or { ok: false, reason } for JSON that is not a settlement at all.
+  let settlement;
+  try {
+    settlement = JSON.parse(text);
+  } catch (err) {
+    return { ok: false, reason: `Not valid JSON: ${err.message}` };
+  }
+
+  const isObject = (x) => x && typeof x === "object" && !Array.isArray(x);
+  if (!isObject(settlement) || !isObject(settlement.meta) || !isObject(settlement.result)
+    || !isObject(settlement.markets) || !isObject(settlement.fees) || !Array.isArray(settlement.slips)) {
+    return { ok: false, reason: "Not a settlement export: expected meta, result, markets, fees and slips." };
+  }
+  if (!Array.isArray(settlement.cashouts)) settlement.cashouts = [];
+
+  // Exports without a currency hold float amounts in major units and would not verify against minor-unit rounding.
+  const c = settlement.meta.currency;
+  if (!isObject(c)) {
+    return { ok: false, reason: "This settlement was exported before amounts were kept in minor units and cannot be imported." };
+  }
+  const known = findCurrency(c.code);
+  if (!known || known.minorUnits !== c.minorUnits) {
+    return { ok: false, reason: `Settlement currency ${c.code} is not supported.` };
+  }
+
+  const parsed = normalizeFixture(settlement.meta.fixture);
+  if (!parsed.ok) return { ok: false, reason: `Settlement fixture is invalid: ${parsed.reason}` };
+  return { ok: true, settlement, fixture: parsed.fixture };
+}
+
+function settlementShapeProblem(settlement, fixture) {
+  // What the rebuild reads beyond parseSettlement(): null when it is all there, else what is missing.
+  // Every pool, stake, payout and fee must be whole minor units, as placeBet() and the settlement write them:
+  // a fraction would only fail later, inside the money arithmetic of a withdrawal or batch run.
+  const isObject = (x) => x && typeof x === "object" && !Array.isArray(x);
+  const isAmount = (x) => Number.isInteger(x) && x >= 0;
+  const isStake = (x) => Number.isInteger(x) && x > 0;
+  const isOdds = (x) => Number.isFinite(x) && x > 1;
+  const markets = buildMarkets(fixture);
+  for (const market of markets) {
+    const m = settlement.markets[market.id];
+    if (!isObject(m) || !isObject(m.pools)) return `market "${market.id}" has no pools.`;
+    if (!market.outcomes.every(o => isAmount(m.pools[o.id]))) return `market "${market.id}" has a pool that is not a whole amount.`;
+  }
+  for (const c of settlement.cashouts) {
+    if (!isObject(c) || !isStake(c.stake) || ![c.grossPayout, c.fee, c.payout].every(isAmount)) {
+      return "a cash-out needs a stake above 0 and whole amounts for its payout and fee.";
+    }
+  }
+  const statuses = ["open", "cashed_out", "won", "lost", "void", "withdrawn"];
+  for (const [i, x] of settlement.slips.entries()) {
+    if (!isObject(x) || !Number.isInteger(x.id) || !isStake(x.stake) || !statuses.includes(x.status)) {
+      return `slip ${i + 1} needs a whole-number id, a stake above 0 and a known status.`;
+    }
+    if (![x.grossPayout, x.fee, x.payout].every(isAmount) || !Number.isInteger(x.netProfit)) return `slip #${x.id} has a payout that is not a whole amount.`;
+    const market = markets.find(m => m.id === x.market);
+    if (!market || !market.outcomes.some(o => o.id === x.outcome)) return `slip #${x.id} is on an unknown market or outcome.`;
+    if (x.status === "cashed_out" && !settlement.cashouts.some(c => c.slipId === x.id)) return `slip #${x.id} is cashed out but has no cash-out.`;
+  }
+  const { events } = settlement.result;
+  if (events != null && (!Array.isArray(events) || !events.every(g => isObject(g) && (g.team === "home" || g.team === "away")))) {
+    return "result events need to be a list of home and away goals.";
+  }
+  const { exchange } = settlement;
+  if (exchange != null) {
+    if (!isObject(exchange) || !Array.isArray(exchange.orders) || !Array.isArray(exchange.matchedBets)) return "the exchange needs orders and matchedBets lists.";
+    if (!exchange.orders.every(o => isObject(o) && isOdds(o.odds) && isStake(o.stake) && isAmount(o.remaining))) {
+      return "an order needs odds above 1, a stake above 0 and a whole remaining amount.";
+    }
+    if (!exchange.matchedBets.every(b => isObject(b) && isOdds(b.odds) && isStake(b.stake) && isAmount(b.liability))) {
+      return "a matched bet needs odds above 1, a stake above 0 and a whole liability.";
+    }
+  }
+  const { house } = settlement.fees;
+  if (house != null) {
+    if (!isObject(house) || !Array.isArray(house.entries)) return "the house ledger needs an entries list.";
+    if (!isAmount(house.collected) || !house.entries.every(e => isObject(e) && isAmount(e.amount))) return "the house ledger has an amount that is not whole.";
+  }
+  return null;
+}
+
+function matchFromSettlement(text) {
+  // Rebuilds the ended match from an exported settlement so withdrawals work against it,
+  // and verifies it on the way in. Returns { ok, match, settlement, findings } or { ok: false, reason }.
+  const parsed = parseSettlement(text);
+  if (!parsed.ok) return parsed;
+  const { settlement, fixture } = parsed;
+
+  const problem = settlementShapeProblem(settlement, fixture);
+  if (problem) return { ok: false, reason: `Settlement is malformed: ${problem}` };
+
+  const findings = verifySettlement(settlement, fixture);
+  const match = rebuildFromSettlement(settlement, fixture);
+  return { ok: true, match, settlement, findings };
+}
+
+function rebuildFromSettlement(settlement, fixture) {
+  const feeSchedule = settlementFeeSchedule(settlement.fees);
+  const match = createMatch({
+    fixture,
+    seed: Number.isInteger(settlement.meta.seed) ? settlement.meta.seed : 0,
+    mode: settlement.meta.mode,
+    feeSchedule: feeSchedule.ok ? feeSchedule.schedule : undefined,
+    abandonRule: settlement.meta.endReason === "abandoned" ? settlement.meta.voidRule : undefined,
+    addedTime: isAddedTime(settlement.meta.addedTime) ? settlement.meta.addedTime : null
+  });
+  match.imported = true;
+  match.minute = settlement.meta.minuteEnded || periodEnds(fixture, match.addedTime).fullTime;
+  match.events = (settlement.result.events || []).map(e => ({ ...e }));
+  for (const market of match.markets) {
+    for (const outcome of market.outcomes) {
+      match.pools[market.id][outcome.id] = settlement.markets[market.id].pools[outcome.id];
+    }
+  }
+
+  match.slips = settlement.slips.map((x) => {
+    const cashout = settlement.cashouts.find(c => c.slipId === x.id);
+    return {
+      id: x.id,
+      bettor: x.bettor,
+      marketId: x.market,
+      outcomeId: x.outcome,
+      stake: x.stake,
+      minute: x.minute,
+      oddsTaken: x.oddsTaken,
+      status: x.status,
+      cashout: cashout
+        ? { minute: cashout.minute, oddsAtCashout: cashout.oddsAtCashout, grossPayout: cashout.grossPayout, fee: cashout.fee, payout: cashout.payout }
+        : null,
+      settlement: { grossPayout: x.grossPayout, fee: x.fee, payout: x.payout, netProfit: x.netProfit }
+    };
+  });
+  match.nextSlipId = match.slips.reduce((max, x) => Math.max(max, x.id), 0) + 1;
+
+  if (settlement.exchange) {
+    match.book.orders = settlement.exchange.orders.map(o => ({ ...o }));
+    match.book.matched = settlement.exchange.matchedBets.map(b => ({ ...b }));
+  }
+
+  // The journal of an imported match starts at the import; what happened before is not known here.
+  match.journal = [];
+  logAction(match, { action: "import", details: { seed: match.seed, finalScore: settlement.result.finalScore } });
+
+  // Back to full time: the slips can be withdrawn again, so earlier withdrawal fees are dropped.
+  match.ended = true;
+  match.settlement = fullTimeSettlement(settlement);
+  match.house = match.settlement.fees.house || houseLedgerFrom(match);
+  match.settlement.fees.house = match.house;
+  match.oddsHistory = Array.isArray(match.settlement.oddsHistory) ? match.settlement.oddsHistory : [];
+
+  return match;
+}
+
+// -----------------------------
+// Snapshots
+// -----------------------------
+
+function matchSnapshot(match) {
+  // Plain JSON-safe copy of everything needed to resume a match (e.g. after a page reload).
+  // Markets are rebuilt from the fixture and the PRNG from its position.
+  return {
+    fixture: match.fixture,
+    mode: match.mode,
+    seed: match.seed,
+    rngPosition: match.rng.position(),
+    feeSchedule: match.feeSchedule,
+    abandonRule: match.abandonRule,
+    house: match.house,
+    minute: match.minute,
+    addedTime: match.addedTime,
+    halfTime: match.halfTime,
+    running: match.running,
+    ended: match.ended,
+    imported: match.imported,
+    events: match.events,
+    nextSlipId: match.nextSlipId,
+    slips: match.slips,
+    book: match.book,
+    actions: match.actions,
+    pools: match.pools,
+    settlement: match.settlement,
+    payoutReport: match.payoutReport,
+    journal: match.journal,
+    oddsHistory: match.oddsHistory
+  };
+}
+
+function matchFromSnapshot(data) {
+  // Returns { ok, match, running } or { ok: false, reason }. The match comes back paused;
+  // `running` says whether its clock was live when the snapshot was taken.
+  if (!data || typeof data !== "object") return { ok: false, reason: "Saved match is not an object." };
+  const parsed = normalizeFixture(data.fixture);
+  if (!parsed.ok) return { ok: false, reason: `Saved fixture is invalid: ${parsed.reason}` };
+  const addedTime = data.addedTime === null || isAddedTime(data.addedTime) ? data.addedTime : undefined;
+  if (addedTime === undefined) return { ok: false, reason: "Saved added time is invalid." };
+  if (!Number.isInteger(data.seed) || !Number.isInteger(data.minute) || data.minute < 1 || data.minute > periodEnds(parsed.fixture, addedTime).fullTime
+    || !Array.isArray(data.events) || !Array.isArray(data.slips) || !Array.isArray(data.actions)
+    || !data.pools || !data.book || !Array.isArray(data.book.orders) || !Array.isArray(data.book.matched)
+    || (data.settlement != null && (typeof data.settlement !== "object" || !data.settlement.fees || typeof data.settlement.fees !== "object"))) {
+    return { ok: false, reason: "Saved session is incomplete." };
+  }
+  const pools = Object.values(data.pools).flatMap(x => (x && typeof x === "object" ? Object.values(x) : [x]));
+  if (!pools.every(x => Number.isInteger(x) && x >= 0)) return { ok: false, reason: "Saved pools are not whole amounts." };
+
+  const feeSchedule = normalizeFeeSchedule(data.feeSchedule);
+  if (!feeSchedule.ok) return { ok: false, reason: `Saved fee model is invalid: ${feeSchedule.reason}` };
+  if (!data.house || !Array.isArray(data.house.entries) || !Array.isArray(data.journal) || !Array.isArray(data.oddsHistory)) {
+    return { ok: false, reason: "Saved session is incomplete." };
+  }
+  if (!isAbandonRule(data.abandonRule)) return { ok: false, reason: "Saved abandonment rule is invalid." };
+
+  const match = createMatch({
+    fixture: parsed.fixture,
+    seed: data.seed,
+    mode: data.mode,
+    feeSchedule: feeSchedule.schedule,
+    abandonRule: data.abandonRule,
+    addedTime
+  });
+  match.rng = createRng(data.seed, data.rngPosition);
+  match.halfTime = data.halfTime === true && !data.ended;
+  match.house = data.house;
+  match.journal = data.journal.map(deepFreeze);
+  match.oddsHistory = data.oddsHistory;
+  match.minute = data.minute;
+  match.imported = Boolean(data.imported);
+  match.events = data.events;
+  match.nextSlipId = data.nextSlipId;
+  match.slips = data.slips;
+  match.book = data.book;
+  match.actions = data.actions;
+  // Pools as saved, so withdrawals made before the snapshot stay withdrawn.
+  for (const market of match.markets) {
+    for (const outcome of market.outcomes) {
+      const saved = data.pools[market.id] && data.pools[market.id][outcome.id];
+      match.pools[market.id][outcome.id] = saved || 0;
+    }
+  }
+
+  if (data.ended && data.settlement) {
+    match.ended = true;
+    match.settlement = data.settlement;
+    match.settlement.fees.house = match.house;
+    if (match.settlement.oddsHistory) match.settlement.oddsHistory = match.oddsHistory;
+    match.payoutReport = data.payoutReport || null;
+  }
+
+  return { ok: true, match, running: Boolean(data.running) && !match.ended };
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    EXIT_FEE,
+    GOALS_LINE,
+    END_REASONS,
+    ABANDON_RULES,
+    DEFAULT_ABANDON_RULE,
+    NO_ADDED_TIME,
+    HALF_TIME_SUSPENDED,
+    halfLength,
+    addedTimeFor,
+    isAddedTime,
+    periodEnds,
+    clockLabel,
+    inAddedTime,
+    flatFeeSchedule,
+    normalizeFeeModel,
+    normalizeFeeSchedule,
+    feeModelFor,
+    feeRate,
+    calcFee,
+    describeFeeModel,
+    houseLedgerFrom,
+    fmtMoney,
+    DEFAULT_FIXTURE,
+    normalizeFixture,
+    fixtureTitle,
+    buildMarkets,
+    getMarket,
+    isMarketOpen,
+    outcomeLabel,
+    createMatch,
+    canChangeMode,
+    setMode,
+    setFeeSchedule,
+    setAbandonRule,
+    setFixture,
+    setSeed,
+    startMatch,
+    pauseMatch,
+    startSecondHalf,
+    getPools,
+    impliedOdds,
+    allPoolsTotal,
+    marketPrices,
+    sampleOdds,
+    placeBet,
+    cashoutQuote,
+    canCashOut,
+    cashOutSlip,
+    withdrawFinalPayout,
+    settleAllWinners,
+    payoutReportCsv,
+    replayJournal,
+    journalCsv,
+    placeOrder,
+    cancelOrderById,
+    scoreFrom,
+    liveResult,
+    simulateEvents,
+    tickMatch,
+    endMatch,
+    calcFinalPayout,
+    replayMatch,
+    verifySettlement,
+    parseSettlement,
+    matchFromSettlement,
+    matchSnapshot,
+    matchFromSnapshot
+  };
+}
@@ -0,0 +1,178 @@
+// Money in whole minor units (kobo, pesewas, cents), shared by both simulators: DOM-free, runs in the browser and in Node
+// The engines only ever hold integers: ₦1,000 is stored as 100000. The pages turn typed major
+// amounts into minor units with toMinor() and show them with fmtMoney().
+// Rounding rules, applied once per amount and never left to float drift:
+// - typed amounts keep whole minor units only (extra digits are cut off)
+// - payouts round down: a pool never pays out a fraction of a minor unit it does not hold
+// - fees round half up
+// - proportional pool movements are split with allocate(), so the shares add up exactly
+// The currency is a display setting shared by both pages; amounts are not converted when it changes.
+
+const CURRENCIES = {
+  NGN: { code: "NGN", name: "Nigerian naira", locale: "en-NG", minorUnits: 2 },
+  GHS: { code: "GHS", name: "Ghanaian cedi", locale: "en-GH", minorUnits: 2 },
+  KES: { code: "KES", name: "Kenyan shilling", locale: "en-KE", minorUnits: 2 },
+  ZAR: { code: "ZAR", name: "South African rand", locale: "en-ZA", minorUnits: 2 },
+  USD: { code: "USD", name: "US dollar", locale: "en-US", minorUnits: 2 },
+  GBP: { code: "GBP", name: "Pound sterling", locale: "en-GB", minorUnits: 2 },
+  EUR: { code: "EUR", name: "Euro", locale: "en-IE", minorUnits: 2 }
+};
+
+const DEFAULT_CURRENCY = "NGN";
+const CURRENCY_KEY = "tradebet.currency";
+
+const PAYOUT_ROUNDING = "down";
+const FEE_ROUNDING = "halfUp";
+
+// Fee rates are applied to the nearest millionth.
+const RATE_SCALE = 1000000;
+
+let moneyCurrency = CURRENCIES[DEFAULT_CURRENCY];
+let moneyFormatter = currencyFormatter(moneyCurrency);
+
+function currencyFormatter(c) {
+  return new Intl.NumberFormat(c.locale, {
+    style: "currency",
+    currency: c.code,
+    minimumFractionDigits: c.minorUnits,
+    maximumFractionDigits: c.minorUnits
+  });
+}
+
+function activeCurrency() {
+  return moneyCurrency;
+}
+
+function findCurrency(code) {
+  // The supported currency with that code, or null.
+  return Object.prototype.hasOwnProperty.call(CURRENCIES, code) ? CURRENCIES[code] : null;
+}
+
+function setCurrency(code) {
+  // Switches the display currency (and remembers it for both pages). Returns { ok, currency } or { ok: false, reason }.
+  const next = findCurrency(code);
+  if (!next) return { ok: false, reason: `Unknown currency "${code}".` };
+
+  moneyCurrency = next;
+  moneyFormatter = currencyFormatter(next);
+  try {
+    if (typeof window !== "undefined") window.localStorage.setItem(CURRENCY_KEY, code);
+  } catch (err) {
+    // Storage disabled: the choice lasts until the page is closed.
+  }
+  return { ok: true, currency: next };
+}
+
+function loadCurrency() {
+  // The currency picked last on either page, or the default.
+  let code = DEFAULT_CURRENCY;
+  try {
+    if (typeof window !== "undefined") code = window.localStorage.getItem(CURRENCY_KEY) || DEFAULT_CURRENCY;
+  } catch (err) {
+    // Storage disabled.
+  }
+  if (!findCurrency(code)) code = DEFAULT_CURRENCY;
+  return setCurrency(code).currency;
+}
+
+function minorScale() {
+  return 10 ** moneyCurrency.minorUnits;
+}
+
+function toMinor(value) {
+  // "1,234.567" → 123456 (in a currency with 2 minor units). Invalid or negative input is 0.
+  const text = String(value == null ? "" : value).replace(/,/g, "").trim();
+  const m = /^(\d*)(?:\.(\d*))?$/.exec(text);
+  if (!m || (!m[1] && !m[2])) return 0;
+
+  const digits = moneyCurrency.minorUnits;
+  const fraction = (m[2] || "").slice(0, digits).padEnd(digits, "0");
+  return Number(m[1] || "0") * minorScale() + Number(fraction || "0");
+}
+
+function fromMinor(minor) {
+  return minor / minorScale();
+}
+
+function fmtDecimal(minor) {
+  // Plain major-unit text for exports: 123456 → "1234.56".
+  if (!Number.isFinite(minor)) return "";
+  return fromMinor(minor).toFixed(moneyCurrency.minorUnits);
+}
+
+function fmtMoney(minor) {
+  if (!Number.isFinite(minor)) return "—";
+  return moneyFormatter.format(fromMinor(minor));
+}
+
+function mulDiv(amount, numerator, denominator, rounding = PAYOUT_ROUNDING) {
+  // amount × numerator / denominator for whole, non-negative numbers: exact, then rounded once
+  // ("down", "up" or "halfUp"). A zero denominator gives 0.
+  if (!(denominator > 0)) return 0;
+  const product = BigInt(amount) * BigInt(numerator);
+  const d = BigInt(denominator);
+  let q = product / d;
+  const r = product % d;
+  if (rounding === "up" && r > 0n) q += 1n;
+  else if (rounding === "halfUp" && r * 2n >= d) q += 1n;
+  return Number(q);
+}
+
+function mulRate(amount, rate, rounding = FEE_ROUNDING) {
+  // amount × rate (a fraction such as 0.03) in whole minor units.
+  return mulDiv(amount, Math.round(rate * RATE_SCALE), RATE_SCALE, rounding);
+}
+
+function roundMinor(x, rounding = PAYOUT_ROUNDING) {
+  // For amounts that come out of odds (floats): representation noise is dropped first, so
+  // 1999.9999999997 rounds down to 2000, not 1999.
+  const y = Math.round(x * 1e6) / 1e6;
+  if (rounding === "up") return Math.ceil(y);
+  if (rounding === "halfUp") return Math.floor(y + 0.5);
+  return Math.floor(y);
+}
+
+function allocate(amount, weights) {
+  // Splits a whole amount over whole weights in proportion. Shares are rounded down, then the minor
+  // units left over go to the largest remainders (ties to the earlier weight), so they add up to exactly
+  // `amount`. A negative amount is split the same way; all-zero weights get nothing.
+  const total = weights.reduce((sum, w) => sum + w, 0);
+  if (!(total > 0) || amount === 0) return weights.map(() => 0);
+
+  const sign = amount < 0 ? -1 : 1;
+  const abs = Math.abs(amount);
+  const shares = weights.map(w => mulDiv(abs, w, total, "down"));
+  let left = abs - shares.reduce((sum, x) => sum + x, 0);
+
+  const order = weights
+    .map((w, i) => ({ i, remainder: Number((BigInt(abs) * BigInt(w)) % BigInt(total)) }))
+    .sort((a, b) => b.remainder - a.remainder || a.i - b.i);
+  for (const { i } of order) {
+    if (left <= 0) break;
+    shares[i] += 1;
+    left -= 1;
+  }
+  return shares.map(x => sign * x + 0); // + 0 turns -0 into 0
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    CURRENCIES,
+    DEFAULT_CURRENCY,
+    PAYOUT_ROUNDING,
+    FEE_ROUNDING,
+    activeCurrency,
+    findCurrency,
+    setCurrency,
+    loadCurrency,
+    minorScale,
+    toMinor,
+    fromMinor,
+    fmtDecimal,
+    fmtMoney,
+    mulDiv,
+    mulRate,
+    roundMinor,
+    allocate
+  };
+}
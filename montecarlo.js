@@ -0,0 +1,268 @@
+// Monte Carlo runs of the pool markets: DOM-free, runs in the browser and in Node
+// Plays thousands of matches off the same score model as the live page (simulateEvents), with no clock,
+// and settles each market the way endMatch() does, to estimate what bettors and the house can expect
+// from a market design before a demo:
+// - every run draws its pools around a base book (± spread) and its goals from its own seed
+// - a market is void when resolve() says so (first scorer on 0–0): stakes are refunded, no fee
+// - winners are priced with calcFinalPayout() for a reference slip; the whole winning pool is then
+//   paid and charged at that slip's rate, so fees follow the match's fee schedule (EXIT_FEE by default)
+// A simulation is a plain object from createMonteCarlo(); runMonteCarlo() plays it in chunks so the page
+// can stay responsive, and monteCarloSummary() turns the tallies into tables and histograms.
+
+// In Node the sibling scripts are required; in the browser they are already loaded as globals.
+if (typeof module !== "undefined" && module.exports) {
+  var { createRng } = require("./rng.js");
+  var { fmtDecimal, mulDiv } = require("./money.js");
+  var { normalizeFixture, fixtureTitle, buildMarkets, normalizeFeeSchedule, feeModelFor, outcomeLabel, simulateEvents, scoreFrom, calcFinalPayout } = require("./match-engine.js");
+  var { csvCell } = require("./text.js");
+}
+
+const MAX_MONTE_CARLO_RUNS = 100000;
+const HISTOGRAM_BINS = 20;
+
+/**
+ * @typedef {Object} MonteCarloConfig
+ * @property {Fixture} fixture
+ * @property {Object} feeSchedule
+ * @property {Object<string, Object<string, number>>} pools Base book per market and outcome; a missing outcome is 0.
+ * @property {number} spread Every run draws each pool uniformly within ± this share of its base (0–1).
+ * @property {number} stake Reference slip that payout multiples and fee rates are quoted for.
+ * @property {number} runs
+ * @property {number} seed
+ */
+
+/**
+ * @typedef {Object} MonteCarloRun
+ * @property {number} run
+ * @property {number} seed Goal seed: ?seed=… on the page replays the same match.
+ * @property {string} score "home-away"
+ * @property {string} firstScorer Outcome id, or "void" on 0–0.
+ * @property {number} staked
+ * @property {number} paid Winnings and refunds.
+ * @property {number} fees
+ */
+
+function createMonteCarlo({ fixture, feeSchedule, pools, spread, stake, runs, seed }) {
+  // Returns { ok, sim } or { ok: false, reason }. Nothing is played until runMonteCarlo().
+  const parsed = normalizeFixture(fixture);
+  if (!parsed.ok) return { ok: false, reason: `Fixture is invalid: ${parsed.reason}` };
+
+  const schedule = normalizeFeeSchedule(feeSchedule);
+  if (!schedule.ok) return { ok: false, reason: schedule.reason };
+
+  if (!(Number.isInteger(runs) && runs >= 1 && runs <= MAX_MONTE_CARLO_RUNS)) {
+    return { ok: false, reason: `Runs must be a whole number from 1 to ${MAX_MONTE_CARLO_RUNS.toLocaleString("en-US")}.` };
+  }
+  if (!(Number.isFinite(spread) && spread >= 0 && spread <= 1)) return { ok: false, reason: "Pool spread must be between 0% and 100%." };
+  if (!(Number.isInteger(stake) && stake > 0)) return { ok: false, reason: "Reference stake must be greater than 0." };
+
+  const markets = buildMarkets(parsed.fixture);
+  const base = {};
+  let total = 0;
+  for (const market of markets) {
+    base[market.id] = {};
+    for (const outcome of market.outcomes) {
+      const x = pools && pools[market.id] ? pools[market.id][outcome.id] : 0;
+      base[market.id][outcome.id] = Number.isInteger(x) && x > 0 ? x : 0;
+      total += base[market.id][outcome.id];
+    }
+  }
+  if (total === 0) return { ok: false, reason: "The base pools are empty: there is nothing to settle." };
+
+  return {
+    ok: true,
+    sim: {
+      config: { fixture: parsed.fixture, feeSchedule: schedule.schedule, pools: base, spread, stake, runs, seed: seed >>> 0 },
+      rng: createRng(seed),
+      markets,
+      tallies: Object.fromEntries(markets.map(market => [market.id, {
+        wins: Object.fromEntries(market.outcomes.map(o => [o.id, 0])),
+        multipleSums: Object.fromEntries(market.outcomes.map(o => [o.id, 0])),
+        void: 0,
+        noWinner: 0,
+        multiples: [],
+        paid: 0,
+        fees: 0
+      }])),
+      /** @type {MonteCarloRun[]} */
+      runs: []
+    }
+  };
+}
+
+function drawPools(base, spread, rng) {
+  const pools = {};
+  for (const [outcomeId, x] of Object.entries(base)) pools[outcomeId] = Math.round(x * (1 + spread * (2 * rng.next() - 1)));
+  return pools;
+}
+
+function playMonteCarloRun(sim) {
+  const { fixture, feeSchedule, pools: base, spread, stake } = sim.config;
+  // Goal seeds come off the simulation's own stream, so the whole batch replays from one seed.
+  const seed = Math.floor(sim.rng.next() * 4294967296);
+  const result = scoreFrom(simulateEvents(fixture, seed));
+
+  /** @type {MonteCarloRun} */
+  const run = { run: sim.runs.length + 1, seed, score: `${result.homeGoals}-${result.awayGoals}`, firstScorer: "void", staked: 0, paid: 0, fees: 0 };
+
+  for (const market of sim.markets) {
+    const tally = sim.tallies[market.id];
+    const pools = drawPools(base[market.id], spread, sim.rng);
+    const totalPool = Object.values(pools).reduce((sum, x) => sum + x, 0);
+    const winningOutcome = market.resolve(result);
+    run.staked += totalPool;
+    if (market.id === "firstScorer" && winningOutcome !== null) run.firstScorer = winningOutcome;
+
+    if (winningOutcome === null) {
+      tally.void++;
+      tally.paid += totalPool;
+      run.paid += totalPool;
+      continue;
+    }
+
+    tally.wins[winningOutcome]++;
+    const winningPool = pools[winningOutcome];
+    if (winningPool === 0) {
+      // Nobody backed the winner: the losing stakes stay in the pools.
+      tally.noWinner++;
+      continue;
+    }
+
+    const quote = calcFinalPayout({ winningOutcome, stake, pools, feeModel: feeModelFor(feeSchedule, market.id) });
+    const multiple = quote.payout / stake;
+    tally.multiples.push(multiple);
+    tally.multipleSums[winningOutcome] += multiple;
+
+    const paid = mulDiv(winningPool, quote.payout, stake);
+    const fees = mulDiv(winningPool, quote.fee, stake, "halfUp");
+    tally.paid += paid;
+    tally.fees += fees;
+    run.paid += paid;
+    run.fees += fees;
+  }
+
+  sim.runs.push(run);
+}
+
+function runMonteCarlo(sim, count = Infinity) {
+  // Plays up to `count` more runs. Returns { done, finished }.
+  const target = Math.min(sim.config.runs, sim.runs.length + count);
+  while (sim.runs.length < target) playMonteCarloRun(sim);
+  return { done: sim.runs.length, finished: sim.runs.length >= sim.config.runs };
+}
+
+function valueRange(values) {
+  // { min, max } without spreading (a spread of 100,000 values can overflow the call stack).
+  let min = Infinity;
+  let max = -Infinity;
+  for (const v of values) {
+    if (v < min) min = v;
+    if (v > max) max = v;
+  }
+  return { min, max };
+}
+
+function histogram(values, bins = HISTOGRAM_BINS) {
+  // Equal-width bins from the smallest to the largest value: [{ from, to, count }].
+  if (values.length === 0) return [];
+  const { min, max } = valueRange(values);
+  if (min === max) return [{ from: min, to: max, count: values.length }];
+
+  const width = (max - min) / bins;
+  const counts = new Array(bins).fill(0);
+  for (const v of values) counts[Math.min(bins - 1, Math.floor((v - min) / width))]++;
+  return counts.map((count, i) => ({ from: min + width * i, to: i === bins - 1 ? max : min + width * (i + 1), count }));
+}
+
+function ratioOf(sum, count) {
+  return count > 0 ? sum / count : null;
+}
+
+/**
+ * Summary of the runs played so far. Amounts are minor units; rates are shares of the runs.
+ * Average multiples are per winning slip (void markets and runs where nobody backed the winner are left out).
+ */
+function monteCarloSummary(sim) {
+  const runs = sim.runs.length;
+  const markets = sim.markets.map((market) => {
+    const t = sim.tallies[market.id];
+    const priced = t.multiples.length;
+    const range = valueRange(t.multiples);
+    return {
+      marketId: market.id,
+      name: market.name,
+      void: t.void,
+      voidRate: ratioOf(t.void, runs),
+      noWinner: t.noWinner,
+      avgMultiple: ratioOf(t.multiples.reduce((sum, x) => sum + x, 0), priced),
+      minMultiple: priced > 0 ? range.min : null,
+      maxMultiple: priced > 0 ? range.max : null,
+      paid: t.paid,
+      fees: t.fees,
+      avgFees: ratioOf(t.fees, runs),
+      outcomes: market.outcomes.map(o => ({
+        outcomeId: o.id,
+        label: outcomeLabel(market, o.id),
+        wins: t.wins[o.id],
+        share: ratioOf(t.wins[o.id], runs),
+        avgMultiple: ratioOf(t.multipleSums[o.id], t.wins[o.id])
+      })),
+      multipleHistogram: histogram(t.multiples)
+    };
+  });
+
+  const staked = sim.runs.reduce((sum, r) => sum + r.staked, 0);
+  const paid = sim.runs.reduce((sum, r) => sum + r.paid, 0);
+  const fees = sim.runs.reduce((sum, r) => sum + r.fees, 0);
+  const { fixture, feeSchedule, spread, stake, seed } = sim.config;
+  return {
+    match: fixtureTitle(fixture),
+    seed,
+    runs,
+    spread,
+    stake,
+    feeSchedule,
+    voidRate: ratioOf(sim.tallies.firstScorer.void, runs),
+    totals: { staked, paid, fees, avgFees: ratioOf(fees, runs), returnRate: ratioOf(paid, staked) },
+    markets,
+    feeHistogram: histogram(sim.runs.map(r => r.fees)),
+    runsDetail: sim.runs
+  };
+}
+
+function monteCarloCsv(summary) {
+  // One row per market, one per outcome, then the histogram bins and every run.
+  // Amounts are in major units of the current currency; multiples and rates are plain numbers.
+  const money = fmtDecimal;
+  const num = (x, digits) => (x == null ? "" : x.toFixed(digits));
+  const rows = [["section", "market", "outcome", "count", "rate", "avg_multiple", "min_multiple", "max_multiple", "bin_from", "bin_to", "paid", "fees", "note"]];
+  for (const m of summary.markets) {
+    rows.push(["market", m.marketId, "", m.void, num(m.voidRate, 4), num(m.avgMultiple, 4), num(m.minMultiple, 4), num(m.maxMultiple, 4), "", "", money(m.paid), money(m.fees), `void runs; ${m.noWinner} run(s) with no winning stake`]);
+    for (const o of m.outcomes) {
+      rows.push(["outcome", m.marketId, o.outcomeId, o.wins, num(o.share, 4), num(o.avgMultiple, 4), "", "", "", "", "", "", o.label]);
+    }
+    for (const b of m.multipleHistogram) {
+      rows.push(["multiple_bin", m.marketId, "", b.count, "", "", "", "", num(b.from, 4), num(b.to, 4), "", "", ""]);
+    }
+  }
+  for (const b of summary.feeHistogram) {
+    rows.push(["fee_bin", "", "", b.count, "", "", "", "", money(Math.round(b.from)), money(Math.round(b.to)), "", "", "house fees per run"]);
+  }
+  for (const r of summary.runsDetail) {
+    rows.push(["run", "", r.firstScorer, r.run, num(r.staked > 0 ? r.paid / r.staked : null, 4), "", "", "", "", "", money(r.paid), money(r.fees), `seed ${r.seed}; score ${r.score}; staked ${money(r.staked)}`]);
+  }
+  const t = summary.totals;
+  rows.push(["totals", "", "", summary.runs, num(t.returnRate, 4), "", "", "", "", "", money(t.paid), money(t.fees), `staked ${money(t.staked)}; first scorer void rate ${num(summary.voidRate, 4)}`]);
+  return rows.map(row => row.map(csvCell).join(",")).join("\n") + "\n";
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    MAX_MONTE_CARLO_RUNS,
+    createMonteCarlo,
+    runMonteCarlo,
+    histogram,
+    monteCarloSummary,
+    monteCarloCsv
+  };
+}
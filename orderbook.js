@@ -0,0 +1,219 @@
+// Back/lay order book with a price-time priority matching engine: DOM-free, runs in the browser and in Node
+// One book holds every market/outcome of a match. Stakes are always quoted in backer's stake,
+// in whole minor units (money.js): a lay order for ₦1,000 at 3.00 risks a liability of ₦2,000.
+// - A back order at P matches resting lay orders priced ≥ P (highest first, then oldest).
+// - A lay order at P matches resting back orders priced ≤ P (lowest first, then oldest).
+// - Fills happen at the resting order's price; whatever is left rests in the book until cancelled.
+
+// In Node the sibling scripts are required; in the browser they are already loaded as globals.
+if (typeof module !== "undefined" && module.exports) {
+  var { mulDiv, mulRate } = require("./money.js");
+}
+
+const MIN_ODDS = 1.01;
+const MAX_ODDS = 1000;
+
+/**
+ * @typedef {Object} Order
+ * @property {number} id
+ * @property {number} seq Arrival sequence, for time priority.
+ * @property {string} bettor
+ * @property {string} marketId
+ * @property {string} outcomeId
+ * @property {"back"|"lay"} side
+ * @property {number} odds Decimal odds.
+ * @property {number} stake Backer's stake asked for.
+ * @property {number} remaining Unmatched part of the stake.
+ * @property {number} minute Match minute the order arrived.
+ * @property {"open"|"partial"|"filled"|"cancelled"|"lapsed"} status
+ */
+
+/**
+ * @typedef {Object} MatchedBet
+ * @property {number} id
+ * @property {string} marketId
+ * @property {string} outcomeId
+ * @property {number} backOrderId
+ * @property {number} layOrderId
+ * @property {string} backer
+ * @property {string} layer
+ * @property {number} odds Matched price.
+ * @property {number} stake Backer's stake.
+ * @property {number} liability Layer's risk: stake × (odds − 1), rounded down; also the backer's profit if the back wins.
+ * @property {number} minute
+ */
+
+function createOrderBook() {
+  return {
+    nextOrderId: 1,
+    nextBetId: 1,
+    nextSeq: 1,
+    /** @type {Order[]} */
+    orders: [],
+    /** @type {MatchedBet[]} */
+    matched: []
+  };
+}
+
+function roundOdds(x) {
+  return Math.round(x * 100) / 100;
+}
+
+function layLiability(stake, odds) {
+  // stake × (odds − 1) in whole minor units. Odds have two decimals, so this is exact before the one rounding down.
+  return mulDiv(stake, Math.round(odds * 100) - 100, 100, "down");
+}
+
+function isResting(order) {
+  return (order.status === "open" || order.status === "partial") && order.remaining > 0;
+}
+
+function restingOrders(book, marketId, outcomeId, side) {
+  return book.orders.filter(o => o.marketId === marketId && o.outcomeId === outcomeId && o.side === side && isResting(o));
+}
+
+function submitOrder(book, { bettor, marketId, outcomeId, side, odds, stake, minute }) {
+  // Returns { ok, order, fills } or { ok: false, reason }.
+  if (side !== "back" && side !== "lay") return { ok: false, reason: "Order side must be back or lay." };
+
+  const price = roundOdds(Number(odds));
+  if (!Number.isFinite(price) || price < MIN_ODDS || price > MAX_ODDS) {
+    return { ok: false, reason: `Odds must be between ${MIN_ODDS.toFixed(2)} and ${MAX_ODDS}.` };
+  }
+
+  const amount = Math.floor(Number(stake) || 0);
+  if (!(amount > 0)) return { ok: false, reason: "Stake must be greater than 0." };
+
+  /** @type {Order} */
+  const order = {
+    id: book.nextOrderId++,
+    seq: book.nextSeq++,
+    bettor,
+    marketId,
+    outcomeId,
+    side,
+    odds: price,
+    stake: amount,
+    remaining: amount,
+    minute,
+    status: "open"
+  };
+
+  // Opposite side, best price first, then time priority.
+  const candidates = side === "back"
+    ? restingOrders(book, marketId, outcomeId, "lay").filter(o => o.odds >= price).sort((a, b) => b.odds - a.odds || a.seq - b.seq)
+    : restingOrders(book, marketId, outcomeId, "back").filter(o => o.odds <= price).sort((a, b) => a.odds - b.odds || a.seq - b.seq);
+
+  /** @type {MatchedBet[]} */
+  const fills = [];
+  for (const resting of candidates) {
+    if (order.remaining <= 0) break;
+
+    const size = Math.min(order.remaining, resting.remaining);
+    const backOrder = side === "back" ? order : resting;
+    const layOrder = side === "back" ? resting : order;
+
+    /** @type {MatchedBet} */
+    const bet = {
+      id: book.nextBetId++,
+      marketId,
+      outcomeId,
+      backOrderId: backOrder.id,
+      layOrderId: layOrder.id,
+      backer: backOrder.bettor,
+      layer: layOrder.bettor,
+      odds: resting.odds,
+      stake: size,
+      liability: layLiability(size, resting.odds),
+      minute
+    };
+    book.matched.push(bet);
+    fills.push(bet);
+
+    order.remaining -= size;
+    resting.remaining -= size;
+    resting.status = resting.remaining > 0 ? "partial" : "filled";
+  }
+
+  if (order.remaining <= 0) order.status = "filled";
+  else if (fills.length > 0) order.status = "partial";
+
+  book.orders.push(order);
+  return { ok: true, order, fills };
+}
+
+function cancelOrder(book, orderId) {
+  // Cancels the unmatched part only; matched bets stand.
+  const order = book.orders.find(o => o.id === orderId);
+  if (!order) return { ok: false, reason: "Unknown order." };
+  if (!isResting(order)) return { ok: false, reason: `Order #${order.id} has nothing left to cancel.` };
+
+  const cancelled = order.remaining;
+  order.status = "cancelled";
+  return { ok: true, order, cancelled };
+}
+
+function lapseOrders(book) {
+  // Unmatched orders lapse when the market closes.
+  let count = 0;
+  for (const order of book.orders) {
+    if (!isResting(order)) continue;
+    order.status = "lapsed";
+    count++;
+  }
+  return count;
+}
+
+function priceLadder(book, marketId, outcomeId, depth) {
+  // Best prices with the stake available at each, aggregated per price.
+  // "toBack" = resting lays a backer can take (best = highest odds);
+  // "toLay" = resting backs a layer can take (best = lowest odds).
+  const levels = (orders, better) => {
+    const byPrice = new Map();
+    for (const o of orders) byPrice.set(o.odds, (byPrice.get(o.odds) || 0) + o.remaining);
+    return [...byPrice.entries()]
+      .map(([odds, stake]) => ({ odds, stake }))
+      .sort(better)
+      .slice(0, depth);
+  };
+
+  return {
+    toBack: levels(restingOrders(book, marketId, outcomeId, "lay"), (a, b) => b.odds - a.odds),
+    toLay: levels(restingOrders(book, marketId, outcomeId, "back"), (a, b) => a.odds - b.odds)
+  };
+}
+
+function settleMatchedBet(bet, winningOutcome, commissionRate) {
+  // Profit and loss for both sides of a matched bet. Commission is charged on the winner's profit only
+  // and rounded like any other fee (money.js).
+  // winningOutcome === null → the market is void and both sides get their money back.
+  if (winningOutcome === null) {
+    return { result: "void", backerPnl: 0, layerPnl: 0, commission: 0 };
+  }
+
+  if (bet.outcomeId === winningOutcome) {
+    const profit = bet.liability;
+    const commission = mulRate(profit, commissionRate);
+    return { result: "back_won", backerPnl: profit - commission, layerPnl: -bet.liability, commission };
+  }
+
+  const commission = mulRate(bet.stake, commissionRate);
+  return { result: "lay_won", backerPnl: -bet.stake, layerPnl: bet.stake - commission, commission };
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    MIN_ODDS,
+    MAX_ODDS,
+    createOrderBook,
+    roundOdds,
+    layLiability,
+    isResting,
+    restingOrders,
+    submitOrder,
+    cancelOrder,
+    lapseOrders,
+    priceLadder,
+    settleMatchedBet
+  };
+}
@@ -0,0 +1,61 @@
+// Seeded pseudo-random numbers shared by both simulators: DOM-free, runs in the browser and in Node
+// Same seed → same sequence, so a reported match or round can be reproduced exactly.
+// mulberry32: tiny and fast; fine for simulation, NOT for real gambling.
+
+const SEED_MAX = 0xFFFFFFFF;
+
+function randomSeed() {
+  // Fresh 32-bit seed when the user did not ask for one.
+  if (typeof crypto !== "undefined" && crypto.getRandomValues) {
+    return crypto.getRandomValues(new Uint32Array(1))[0];
+  }
+  return Math.floor(Math.random() * SEED_MAX);
+}
+
+function normalizeSeed(value) {
+  // Accepts a whole number in [0, 2^32 − 1] or any other text (hashed with FNV-1a).
+  // Returns null for empty input.
+  const text = String(value == null ? "" : value).trim();
+  if (!text) return null;
+
+  if (/^\d+$/.test(text) && Number(text) <= SEED_MAX) return Number(text);
+
+  let h = 0x811C9DC5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h;
+}
+
+/**
+ * @param {number} seed 32-bit unsigned integer.
+ * @param {number} [position] Value of rng.position() from a saved session, to carry on where it stopped.
+ * @returns {{seed:number, next:()=>number, int:(min:number, max:number)=>number, chance:(p:number)=>boolean, position:()=>number}}
+ */
+function createRng(seed, position) {
+  let a = (position == null ? seed : position) >>> 0;
+
+  function next() {
+    // Uniform float in [0, 1).
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  return {
+    seed: seed >>> 0,
+    next,
+    // inclusive
+    int: (min, max) => Math.floor(next() * (max - min + 1)) + min,
+    chance: (p) => next() < p,
+    // Internal state, so a saved session can resume the exact same sequence.
+    position: () => a
+  };
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { SEED_MAX, randomSeed, normalizeSeed, createRng };
+}
@@ -0,0 +1,61 @@
+// Versioned session snapshots in localStorage, shared by both simulators (browser-only demo)
+// Each page keeps one snapshot under its own key: { version, data }.
+// An older snapshot is upgraded through the page's migrations; one that cannot be upgraded
+// is ignored rather than half-loaded into a state it no longer fits.
+
+function saveSnapshot(key, version, data) {
+  // Returns { ok } or { ok: false, reason } (storage disabled, quota exceeded).
+  try {
+    window.localStorage.setItem(key, JSON.stringify({ version, data }));
+    return { ok: true };
+  } catch (err) {
+    return { ok: false, reason: `Could not save the session: ${err.message}` };
+  }
+}
+
+function loadSnapshot(key, version, migrations) {
+  // Returns { ok, data } (data is null when nothing was saved) or { ok: false, reason }.
+  // migrations[n] turns the data of a version-n snapshot into version n + 1.
+  let text;
+  try {
+    text = window.localStorage.getItem(key);
+  } catch (err) {
+    return { ok: false, reason: `Could not read the saved session: ${err.message}` };
+  }
+  if (text == null) return { ok: true, data: null };
+
+  let snapshot;
+  try {
+    snapshot = JSON.parse(text);
+  } catch (err) {
+    return { ok: false, reason: "Saved session is not valid JSON." };
+  }
+  if (!snapshot || !Number.isInteger(snapshot.version) || !snapshot.data || typeof snapshot.data !== "object") {
+    return { ok: false, reason: "Saved session has no schema version." };
+  }
+
+  let { data } = snapshot;
+  let current = snapshot.version;
+  // A migration reads the old shape as it was written; one that does not find it fails like a snapshot
+  // that cannot be upgraded.
+  try {
+    while (current < version && migrations && migrations[current]) {
+      data = migrations[current](data);
+      current++;
+    }
+  } catch (err) {
+    return { ok: false, reason: `Saved session v${snapshot.version} could not be upgraded (${err.message}).` };
+  }
+  if (current !== version) {
+    return { ok: false, reason: `Saved session uses schema v${snapshot.version}; this page reads v${version}.` };
+  }
+  return { ok: true, data };
+}
+
+function clearSnapshot(key) {
+  try {
+    window.localStorage.removeItem(key);
+  } catch (err) {
+    // Storage disabled: nothing was saved either.
+  }
+}
@@ -0,0 +1,84 @@
+// Crash journal: the hash chain shows edits, the replay reproduces a recorded round, and a forged
+// journal comes back as a mismatch instead of hanging the replay.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const engine = require("../crash-engine.js");
+
+function playedJournal() {
+  // Two stakes, one manual cash-out, then flown to the crash.
+  const game = engine.createCrashGame({ seed: 7 });
+  engine.addStake(game, 1000);
+  engine.addStake(game, 5000);
+  engine.startCountdown(game);
+  engine.beginFlight(game);
+  for (let i = 0; i < 50 && game.phase === "flying"; i++) engine.tickFlight(game);
+  if (game.playersActive.length > 0) engine.cashOutPlayer(game, game.playersActive[0].id);
+  while (game.phase === "flying") engine.tickFlight(game);
+  return JSON.parse(JSON.stringify(game.journal));
+}
+
+function rehash(journal) {
+  // What a forger would do after editing: recompute every link so the chain verifies again.
+  journal.forEach((e, i) => {
+    e.prevHash = i === 0 ? engine.GENESIS_HASH : journal[i - 1].hash;
+    e.hash = engine.journalHash(e);
+  });
+  return journal;
+}
+
+test("an untouched journal verifies and replays without a mismatch", () => {
+  const journal = playedJournal();
+  const chain = engine.verifyJournalChain(journal);
+  assert.equal(chain.ok, true);
+  assert.deepEqual(chain.breaks, []);
+  assert.equal(chain.head, journal[journal.length - 1].hash);
+
+  const replay = engine.replayCrashJournal(journal);
+  assert.equal(replay.ok, true);
+  assert.equal(replay.mismatch, null);
+  assert.equal(replay.crashes.length, 1);
+});
+
+test("an entry edited after it was written breaks the chain", () => {
+  const journal = playedJournal();
+  journal[1].details.stake = 9000;
+  const chain = engine.verifyJournalChain(journal);
+  assert.equal(chain.breaks.length, 1);
+  assert.equal(chain.breaks[0].seq, journal[1].seq);
+});
+
+test("a rehashed edit verifies but does not replay", () => {
+  const journal = playedJournal();
+  journal[1].details.stake = 9000;
+  rehash(journal);
+  assert.deepEqual(engine.verifyJournalChain(journal).breaks, []);
+  assert.notEqual(engine.replayCrashJournal(journal).mismatch, null);
+});
+
+test("flight settings no game can fly are a mismatch, not an endless replay", () => {
+  for (const step of [0.001, -0.02, 0]) {
+    const journal = playedJournal();
+    journal[0].details = { ...journal[0].details, step };
+    const replay = engine.replayCrashJournal(rehash(journal));
+    assert.equal(replay.ok, true);
+    assert.equal(replay.mismatch.action, "carry_over");
+  }
+});
+
+test("a cause recorded at a tick the flight never reaches is a mismatch", () => {
+  const game = engine.createCrashGame({ seed: 9 });
+  engine.startCountdown(game);
+  engine.beginFlight(game);
+  for (let i = 0; i < 10; i++) engine.tickFlight(game);
+  engine.addStake(game, 100);
+  const journal = JSON.parse(JSON.stringify(game.journal));
+  journal[journal.length - 1].details.tick = 10000000;
+  assert.match(engine.replayCrashJournal(rehash(journal)).mismatch.reason, /does not reach tick/);
+});
+
+test("createCrashGame refuses a step or start outside the allowed ranges", () => {
+  assert.throws(() => engine.createCrashGame({ step: 0.001 }), RangeError);
+  assert.throws(() => engine.createCrashGame({ step: 2 }), RangeError);
+  assert.throws(() => engine.createCrashGame({ startMultiplier: 11 }), RangeError);
+  assert.equal(engine.flightSettingsProblem({}), null);
+});
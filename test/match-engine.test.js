@@ -0,0 +1,91 @@
+// Pool payouts and settlement import: an exported match verifies on the way back in, an edited one does not.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const engine = require("../match-engine.js");
+
+function endedMatch(mode) {
+  // A seeded match played to the final whistle; returns its settlement as the page exports it.
+  const match = engine.createMatch({ seed: 42, mode });
+  if (mode === "pool") {
+    engine.placeBet(match, { bettor: "Ada", marketId: "matchResult", outcomeId: "home", stake: 100000 });
+    engine.placeBet(match, { bettor: "Bo", marketId: "matchResult", outcomeId: "away", stake: 50000 });
+    engine.placeBet(match, { bettor: "Cy", marketId: "matchResult", outcomeId: "draw", stake: 70000 });
+    engine.startMatch(match);
+    engine.tickMatch(match);
+    engine.tickMatch(match);
+    engine.cashOutSlip(match, 2);
+  } else {
+    engine.placeOrder(match, { bettor: "Ada", marketId: "matchResult", outcomeId: "home", side: "back", odds: 2.5, stake: 100000 });
+    engine.placeOrder(match, { bettor: "Bo", marketId: "matchResult", outcomeId: "home", side: "lay", odds: 2.5, stake: 60000 });
+    engine.startMatch(match);
+  }
+  while (!match.ended) engine.tickMatch(match);
+  return JSON.parse(JSON.stringify(match.settlement));
+}
+
+const failed = (findings) => findings.filter(f => !f.ok).map(f => f.text);
+
+test("calcFinalPayout pays stake × total / winning pool, less the fee", () => {
+  assert.deepEqual(engine.calcFinalPayout({ winningOutcome: "home", stake: 100000, pools: { home: 100000, away: 50000, draw: 70000 } }), {
+    winningPool: 100000,
+    oppositePool: 120000,
+    grossPayout: 220000,
+    fee: 6600,
+    payout: 213400,
+    netProfit: 113400
+  });
+});
+
+test("calcFinalPayout rounds the gross payout down to whole minor units", () => {
+  const res = engine.calcFinalPayout({ winningOutcome: "home", stake: 1, pools: { home: 3, away: 1 } });
+  assert.equal(res.grossPayout, 1);
+  assert.equal(res.payout, 1);
+});
+
+test("calcFinalPayout returns the stake less the fee from an empty winning pool, and refunds a void market in full", () => {
+  assert.equal(engine.calcFinalPayout({ winningOutcome: "away", stake: 5000, pools: { home: 5000, away: 0 } }).payout, 4850);
+  const refund = engine.calcFinalPayout({ winningOutcome: null, stake: 5000, pools: { home: 5000, away: 0 } });
+  assert.equal(refund.payout, 5000);
+  assert.equal(refund.fee, 0);
+});
+
+test("an exported pool settlement imports and verifies", () => {
+  const settlement = endedMatch("pool");
+  const res = engine.matchFromSettlement(JSON.stringify(settlement));
+  assert.equal(res.ok, true);
+  assert.deepEqual(failed(res.findings), []);
+  assert.equal(res.match.ended, true);
+  assert.equal(res.match.slips.length, settlement.slips.length);
+});
+
+test("an exported exchange settlement imports and verifies", () => {
+  const res = engine.matchFromSettlement(JSON.stringify(endedMatch("exchange")));
+  assert.equal(res.ok, true);
+  assert.deepEqual(failed(res.findings), []);
+});
+
+test("an edited stake imports but fails verification", () => {
+  const settlement = endedMatch("pool");
+  settlement.slips[0].stake += 100;
+  const res = engine.matchFromSettlement(JSON.stringify(settlement));
+  assert.equal(res.ok, true);
+  assert.notDeepEqual(failed(res.findings), []);
+});
+
+test("a settlement with a fractional pool or a missing amount is refused", () => {
+  const fractional = endedMatch("pool");
+  fractional.markets.matchResult.pools.home += 0.5;
+  assert.match(engine.matchFromSettlement(JSON.stringify(fractional)).reason, /not a whole amount/);
+
+  const missing = endedMatch("pool");
+  delete missing.slips[0].payout;
+  assert.equal(engine.matchFromSettlement(JSON.stringify(missing)).ok, false);
+});
+
+test("text that is not a settlement is refused", () => {
+  assert.equal(engine.matchFromSettlement("{").ok, false);
+  assert.equal(engine.matchFromSettlement("[]").ok, false);
+  const majorUnits = endedMatch("pool");
+  delete majorUnits.meta.currency;
+  assert.match(engine.matchFromSettlement(JSON.stringify(majorUnits)).reason, /minor units/);
+});
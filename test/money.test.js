@@ -0,0 +1,48 @@
+// Minor-unit arithmetic: mulDiv() rounds once, allocate() always adds back up to the amount.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { mulDiv, mulRate, roundMinor, allocate } = require("../money.js");
+
+test("mulDiv rounds the exact quotient once, in the direction asked", () => {
+  assert.equal(mulDiv(100, 2, 3), 66);
+  assert.equal(mulDiv(100, 2, 3, "down"), 66);
+  assert.equal(mulDiv(100, 2, 3, "up"), 67);
+  assert.equal(mulDiv(100, 2, 3, "halfUp"), 67);
+  assert.equal(mulDiv(5, 1, 2, "halfUp"), 3);
+  assert.equal(mulDiv(99, 3, 3, "up"), 99);
+});
+
+test("mulDiv stays exact past the float range and gives 0 for a zero denominator", () => {
+  assert.equal(mulDiv(9007199254740991, 3, 3), 9007199254740991);
+  assert.equal(mulDiv(1000, 7, 0), 0);
+});
+
+test("mulDiv throws on amounts that are not whole", () => {
+  assert.throws(() => mulDiv(10.5, 1, 2), RangeError);
+});
+
+test("mulRate takes a fee rate off a whole amount", () => {
+  assert.equal(mulRate(100001, 0.03, "down"), 3000);
+  assert.equal(mulRate(100001, 0.03, "up"), 3001);
+});
+
+test("roundMinor drops float noise before rounding", () => {
+  assert.equal(roundMinor(1999.9999999997), 2000);
+  assert.equal(roundMinor(1999.5), 1999);
+  assert.equal(roundMinor(1999.5, "halfUp"), 2000);
+  assert.equal(roundMinor(1999.1, "up"), 2000);
+});
+
+test("allocate hands the leftover units to the largest remainders", () => {
+  assert.deepEqual(allocate(100, [1, 1, 1]), [34, 33, 33]);
+  assert.deepEqual(allocate(10, [1, 2]), [3, 7]);
+  assert.deepEqual(allocate(-100, [1, 1, 1]), [-34, -33, -33]);
+  assert.deepEqual(allocate(100, [0, 0]), [0, 0]);
+  assert.deepEqual(allocate(0, [1, 2]), [0, 0]);
+});
+
+test("allocate always adds up to the amount", () => {
+  for (const [amount, weights] of [[1, [3, 3, 3]], [997, [5, 11, 2, 7]], [123457, [1, 0, 99]]]) {
+    assert.equal(allocate(amount, weights).reduce((sum, x) => sum + x, 0), amount);
+  }
+});
@@ -0,0 +1,59 @@
+// Order book matching: price-time priority, partial fills, and what each side of a matched bet settles at.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createOrderBook, submitOrder, cancelOrder, layLiability, settleMatchedBet } = require("../orderbook.js");
+
+const order = (side, odds, stake, bettor = side) => ({ bettor, marketId: "matchResult", outcomeId: "home", side, odds, stake, minute: 0 });
+
+test("a back order takes the best resting lay first, then the earlier one at the same price", () => {
+  const book = createOrderBook();
+  submitOrder(book, order("lay", 2.4, 50000, "L1"));
+  submitOrder(book, order("lay", 2.6, 30000, "L2"));
+  submitOrder(book, order("lay", 2.6, 30000, "L3"));
+
+  const res = submitOrder(book, order("back", 2.4, 70000, "B"));
+  assert.equal(res.ok, true);
+  assert.deepEqual(res.fills.map(b => [b.layer, b.odds, b.stake]), [["L2", 2.6, 30000], ["L3", 2.6, 30000], ["L1", 2.4, 10000]]);
+  assert.equal(res.order.status, "filled");
+  assert.equal(book.orders[0].status, "partial");
+  assert.equal(book.orders[0].remaining, 40000);
+});
+
+test("orders that do not cross rest on the book", () => {
+  const book = createOrderBook();
+  submitOrder(book, order("lay", 2.0, 10000));
+  const res = submitOrder(book, order("back", 2.2, 10000));
+  assert.equal(res.fills.length, 0);
+  assert.equal(res.order.status, "open");
+  assert.equal(cancelOrder(book, res.order.id).cancelled, 10000);
+  assert.equal(cancelOrder(book, res.order.id).ok, false);
+});
+
+test("a matched bet is priced at the resting order's odds", () => {
+  const book = createOrderBook();
+  submitOrder(book, order("back", 3.0, 10000));
+  const [bet] = submitOrder(book, order("lay", 3.5, 10000)).fills;
+  assert.equal(bet.odds, 3.0);
+  assert.equal(bet.liability, 20000);
+});
+
+test("orders outside the odds range or without a stake are refused", () => {
+  const book = createOrderBook();
+  assert.equal(submitOrder(book, order("back", 1.0, 10000)).ok, false);
+  assert.equal(submitOrder(book, order("back", 1001, 10000)).ok, false);
+  assert.equal(submitOrder(book, order("back", 2.0, 0)).ok, false);
+  assert.equal(submitOrder(book, order("sideways", 2.0, 100)).ok, false);
+  assert.equal(book.orders.length, 0);
+});
+
+test("the lay liability rounds down to whole minor units", () => {
+  assert.equal(layLiability(100000, 2.5), 150000);
+  assert.equal(layLiability(333, 1.01), 3);
+});
+
+test("commission comes off the winner's profit only", () => {
+  const bet = { outcomeId: "home", stake: 100000, liability: 150000 };
+  assert.deepEqual(settleMatchedBet(bet, "home", 0.03), { result: "back_won", backerPnl: 145500, layerPnl: -150000, commission: 4500 });
+  assert.deepEqual(settleMatchedBet(bet, "away", 0.03), { result: "lay_won", backerPnl: -100000, layerPnl: 97000, commission: 3000 });
+  assert.deepEqual(settleMatchedBet(bet, null, 0.03), { result: "void", backerPnl: 0, layerPnl: 0, commission: 0 });
+});
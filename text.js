@@ -0,0 +1,24 @@
+// Text helpers shared by the pages and the engines: DOM-free, runs in the browser and in Node
+// Bettor names and fixture team names are user input; anything that ends up inside table markup goes
+// through escapeHtml() first, and every CSV export quotes its cells with csvCell().
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function csvCell(value) {
+  const text = value == null ? "" : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    escapeHtml,
+    csvCell
+  };
+}